@@ -0,0 +1,86 @@
+// Atom (RFC 4287) feeds of Emporium issues.
+//
+// A feed's `updated` time is the newest entry's, not the time it was generated, and
+// entry IDs come from the GitLab issue, so refreshing the cached data doesn't make
+// feed readers see new or changed items.
+
+const SUMMARY_LENGTH = 500;
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters XML 1.0 doesn't allow
+    .replace(/[^\t\n\r\u0020-\u{10FFFF}]/gu, '');
+}
+
+// A stable ID for an issue: GitLab's global issue ID within its instance
+function issueEntryId(issue) {
+  const host = /^https?:\/\/([^/]+)/.exec(issue.web_url || '')?.[1] || issue.source;
+  return `tag:${host},2000:issues/${issue.id}`;
+}
+
+function summaryOf(description) {
+  const text = String(description || '').replace(/\s+/g, ' ').trim();
+  return text.length > SUMMARY_LENGTH ? `${text.slice(0, SUMMARY_LENGTH - 1)}…` : text;
+}
+
+// Entry for a For Sale issue listed at `listedAt`
+function issueEntry(issue, { listedAt, priorityLabel }) {
+  const labels = Array.isArray(issue.labels) ? issue.labels : [];
+  const priority = labels.includes(priorityLabel);
+  return {
+    id: issueEntryId(issue),
+    title: `${priority ? '🔥 [Priority] ' : ''}#${issue.iid} ${issue.title}${issue.project_name ? ` (${issue.project_name})` : ''}`,
+    link: issue.web_url,
+    published: issue.created_at,
+    updated: listedAt || issue.created_at,
+    author: issue.author?.name || issue.author?.username || null,
+    categories: labels,
+    summary: summaryOf(issue.description)
+  };
+}
+
+function renderEntry(entry) {
+  return [
+    '  <entry>',
+    `    <id>${escapeXml(entry.id)}</id>`,
+    `    <title>${escapeXml(entry.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(entry.link)}"/>`,
+    `    <published>${escapeXml(entry.published)}</published>`,
+    `    <updated>${escapeXml(entry.updated)}</updated>`,
+    entry.author ? `    <author><name>${escapeXml(entry.author)}</name></author>` : null,
+    ...entry.categories.map(category => `    <category term="${escapeXml(category)}"/>`),
+    entry.summary ? `    <summary type="text">${escapeXml(entry.summary)}</summary>` : null,
+    '  </entry>'
+  ].filter(line => line !== null).join('\n');
+}
+
+// `entries` newest first; `fallbackUpdated` is used when the feed has no entries
+function renderAtomFeed({ id, title, subtitle, selfUrl, alternateUrl, entries, fallbackUpdated }) {
+  const updated = entries.reduce((latest, entry) => (entry.updated > latest ? entry.updated : latest), '') ||
+    fallbackUpdated;
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(id)}</id>`,
+    `  <title>${escapeXml(title)}</title>`,
+    subtitle ? `  <subtitle>${escapeXml(subtitle)}</subtitle>` : null,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(alternateUrl)}"/>`,
+    `  <updated>${escapeXml(updated)}</updated>`,
+    '  <author><name>Bug Emporium</name></author>',
+    '  <generator>Bug Emporium</generator>',
+    ...entries.map(renderEntry),
+    '</feed>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+module.exports = {
+  issueEntry,
+  renderAtomFeed
+};
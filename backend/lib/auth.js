@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Optional login through GitLab OAuth2 or a generic OpenID Connect provider.
+//
+// The authorization code flow runs on the server with PKCE and a `state` bound to the
+// browser's pre-login session. Sessions live in memory and are referenced by a random
+// ID in an HttpOnly cookie; the provider's access token stays on the server. The user
+// is read from the provider's user endpoint (GitLab's /api/v4/user, or the OIDC
+// userinfo endpoint) over the back channel, so ID tokens don't need to be verified.
+
+const SESSION_COOKIE = 'bug_emporium_session';
+// How long a started login may take before the user has to start over
+const LOGIN_TTL = 10 * 60 * 1000;
+
+const DEFAULT_SCOPES = {
+  gitlab: ['read_user'],
+  oidc: ['openid', 'profile', 'email']
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+// PKCE verifier and S256 challenge (RFC 7636)
+function createPkce() {
+  const verifier = base64url(crypto.randomBytes(32));
+  const challenge = base64url(crypto.createHash('sha256').update(verifier).digest());
+  return { verifier, challenge };
+}
+
+function parseCookies(header = '') {
+  return Object.fromEntries(header.split(';')
+    .map(part => part.trim())
+    .filter(part => part.includes('='))
+    .map(part => {
+      const index = part.indexOf('=');
+      const value = part.slice(index + 1);
+      try {
+        return [part.slice(0, index), decodeURIComponent(value)];
+      } catch (_error) {
+        return [part.slice(0, index), value];
+      }
+    }));
+}
+
+// Only same-origin paths are allowed as the place to return to after login
+function safeReturnTo(value) {
+  return typeof value === 'string' && /^\/(?![/\\])/.test(value) ? value : '/';
+}
+
+function timingSafeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Feed readers can't log in, so logged-in users get a feed token to put in their feed
+// URLs: their username and an expiry time (in seconds), signed with `secret`, a secret
+// of its own rather than the OAuth client secret. Tokens survive restarts, run out after
+// `ttl` milliseconds and are all revoked by changing the secret.
+const feedSignature = (username, expires, secret) =>
+  base64url(crypto.createHmac('sha256', secret).update(`feed:${username}:${expires}`).digest());
+
+function createFeedToken(username, secret, { ttl, now = Date.now() }) {
+  const expires = Math.floor((now + ttl) / 1000);
+  return `${base64url(Buffer.from(username))}.${expires}.${feedSignature(username, expires, secret)}`;
+}
+
+// The username a feed token was made for, or null when it isn't valid or has expired
+function verifyFeedToken(token, secret, { now = Date.now() } = {}) {
+  const [encoded, expires, signature] = typeof token === 'string' ? token.split('.') : [];
+  if (!secret || !encoded || !/^\d+$/.test(expires || '') || !signature) return null;
+  if (Number(expires) * 1000 <= now) return null;
+  const username = Buffer.from(encoded, 'base64url').toString();
+  return username && timingSafeEqual(signature, feedSignature(username, expires, secret)) ? username : null;
+}
+
+// In-memory sessions: { id, expiresAt, ...data }
+class SessionStore {
+  constructor({ pruneInterval = 60 * 1000 } = {}) {
+    this.sessions = new Map();
+    this.timer = setInterval(() => this.prune(), pruneInterval);
+    this.timer.unref();
+  }
+
+  create(data, ttl) {
+    const session = { ...data, id: base64url(crypto.randomBytes(32)), expiresAt: Date.now() + ttl };
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  get(id) {
+    const session = id && this.sessions.get(id);
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(id);
+      return null;
+    }
+    return session;
+  }
+
+  destroy(id) {
+    return this.sessions.delete(id);
+  }
+
+  prune() {
+    const now = Date.now();
+    this.sessions.forEach((session, id) => {
+      if (session.expiresAt <= now) this.sessions.delete(id);
+    });
+  }
+
+  // Signed-in users (started logins don't count)
+  get size() {
+    return Array.from(this.sessions.values()).filter(session => session.user).length;
+  }
+}
+
+// Normalize the provider's user record
+function toUser(provider, profile) {
+  if (provider === 'gitlab') {
+    return {
+      id: String(profile.id),
+      username: profile.username,
+      name: profile.name || profile.username,
+      email: profile.email || null,
+      avatarUrl: profile.avatar_url || null,
+      webUrl: profile.web_url || null
+    };
+  }
+  const username = profile.preferred_username || profile.nickname || profile.email || profile.sub;
+  return {
+    id: String(profile.sub),
+    username,
+    name: profile.name || username,
+    email: profile.email || null,
+    avatarUrl: profile.picture || null,
+    webUrl: profile.profile || null
+  };
+}
+
+class OAuthClient {
+  constructor({ provider = 'gitlab', issuer, clientId, clientSecret, scopes, httpsAgent, timeout = 10000 }) {
+    this.provider = provider;
+    this.issuer = issuer.replace(/\/+$/, '');
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.scopes = scopes && scopes.length > 0 ? scopes : DEFAULT_SCOPES[provider];
+    this.http = axios.create({ httpsAgent, timeout });
+    this.discovery = null;
+  }
+
+  // { authorization, token, userinfo } endpoint URLs. GitLab's are fixed; OIDC
+  // providers publish theirs in the discovery document, fetched once.
+  async endpoints() {
+    if (this.provider === 'gitlab') {
+      return {
+        authorization: `${this.issuer}/oauth/authorize`,
+        token: `${this.issuer}/oauth/token`,
+        userinfo: `${this.issuer}/api/v4/user`
+      };
+    }
+
+    if (!this.discovery) {
+      this.discovery = this.http.get(`${this.issuer}/.well-known/openid-configuration`)
+        .then(({ data }) => ({
+          authorization: data.authorization_endpoint,
+          token: data.token_endpoint,
+          userinfo: data.userinfo_endpoint
+        }))
+        .catch(error => {
+          // Try again on the next login instead of caching the failure
+          this.discovery = null;
+          throw error;
+        });
+    }
+    return this.discovery;
+  }
+
+  async authorizationUrl({ redirectUri, state, codeChallenge }) {
+    const { authorization } = await this.endpoints();
+    const url = new URL(authorization);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: redirectUri,
+      scope: this.scopes.join(' '),
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    }).toString();
+    return url.toString();
+  }
+
+  // Exchange the callback's code for tokens: { access_token, refresh_token, expires_in, ... }
+  async exchangeCode({ code, redirectUri, codeVerifier }) {
+    const { token } = await this.endpoints();
+    const response = await this.http.post(token, new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: this.clientId,
+      client_secret: this.clientSecret,
+      code_verifier: codeVerifier
+    }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' }
+    });
+    if (!response.data?.access_token) {
+      throw new Error('The identity provider did not return an access token');
+    }
+    return response.data;
+  }
+
+  // Trade a refresh token for new tokens once the access token has expired
+  async refreshTokens(refreshToken) {
+    const { token } = await this.endpoints();
+    const response = await this.http.post(token, new URLSearchParams({
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+      client_id: this.clientId,
+      client_secret: this.clientSecret
+    }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' }
+    });
+    if (!response.data?.access_token) {
+      throw new Error('The identity provider did not return an access token');
+    }
+    return response.data;
+  }
+
+  async fetchUser(accessToken) {
+    const { userinfo } = await this.endpoints();
+    const response = await this.http.get(userinfo, {
+      headers: { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' }
+    });
+    return toUser(this.provider, response.data);
+  }
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  LOGIN_TTL,
+  SessionStore,
+  OAuthClient,
+  createPkce,
+  parseCookies,
+  safeReturnTo,
+  timingSafeEqual,
+  createFeedToken,
+  verifyFeedToken
+};
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Bulk triage jobs: one action (assign, labels, milestone, close) applied to many
+// issues in the background. The request that starts a job is answered right away; the
+// browser polls the job for each issue's result. Finished jobs are kept for `ttl`, so
+// their failures can be retried as a new job.
+
+const MAX_BULK_ISSUES = 100;
+
+class BulkJobStore {
+  constructor({ ttl = 60 * 60 * 1000, concurrency = 4, pruneInterval = 60 * 1000 } = {}) {
+    this.ttl = ttl;
+    this.concurrency = concurrency;
+    this.jobs = new Map();
+    this.timer = setInterval(() => this.prune(), pruneInterval);
+    this.timer.unref();
+  }
+
+  // Start a job: `run(target)` changes one issue and resolves with whatever `onFinish`
+  // needs; `describeError(error, target)` turns a failure into { error, details, code }.
+  // `onFinish(values)` gets the values of the issues that succeeded.
+  start({ owner, action, targets, retryOf = null, run, describeError, onFinish = () => {} }) {
+    const job = {
+      id: crypto.randomUUID(),
+      owner,
+      action,
+      retryOf,
+      status: 'running',
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      results: targets.map(target => ({ target, status: 'pending' }))
+    };
+    this.jobs.set(job.id, job);
+
+    const values = [];
+    let next = 0;
+    const worker = async () => {
+      while (next < job.results.length) {
+        const result = job.results[next++];
+        try {
+          values.push(await run(result.target));
+          result.status = 'succeeded';
+        } catch (error) {
+          Object.assign(result, { status: 'failed', ...describeError(error, result.target) });
+        }
+      }
+    };
+
+    Promise.all(Array.from({ length: Math.min(this.concurrency, targets.length) }, worker))
+      .then(() => {
+        job.status = 'finished';
+        job.finishedAt = new Date().toISOString();
+        onFinish(values);
+      })
+      .catch(error => logger.error('Failed to finish bulk job', { job: job.id, error }));
+
+    return job;
+  }
+
+  // The job with `id` if `owner` started it
+  get(id, owner) {
+    const job = this.jobs.get(id);
+    return job && job.owner === owner ? job : null;
+  }
+
+  prune(now = Date.now()) {
+    this.jobs.forEach((job, id) => {
+      if (job.finishedAt && now - Date.parse(job.finishedAt) >= this.ttl) this.jobs.delete(id);
+    });
+  }
+
+  stats() {
+    const jobs = Array.from(this.jobs.values());
+    return { jobs: jobs.length, running: jobs.filter(job => job.status === 'running').length };
+  }
+}
+
+// What the API returns for a job, with per-status counts
+function describeJob(job) {
+  const count = (status) => job.results.filter(result => result.status === status).length;
+  return {
+    id: job.id,
+    action: job.action,
+    retryOf: job.retryOf,
+    status: job.status,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    results: job.results,
+    summary: {
+      total: job.results.length,
+      succeeded: count('succeeded'),
+      failed: count('failed'),
+      pending: count('pending')
+    }
+  };
+}
+
+module.exports = {
+  MAX_BULK_ISSUES,
+  BulkJobStore,
+  describeJob
+};
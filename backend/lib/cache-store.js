@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// In-memory cache store. Entries are { data, timestamp, ttl } keyed by cache key.
+class MemoryCacheStore {
+  constructor() {
+    this.type = 'memory';
+    this.entries = new Map();
+  }
+
+  get(key) {
+    return this.entries.get(key);
+  }
+
+  set(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  keys() {
+    return Array.from(this.entries.keys());
+  }
+
+  all() {
+    return Array.from(this.entries.entries());
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  flush() {}
+}
+
+// File-backed cache store. Keeps a working copy in memory and writes the whole
+// cache to a JSON file (debounced) so entries and their timestamps survive restarts.
+class FileCacheStore extends MemoryCacheStore {
+  constructor(filePath, { writeDelay = 1000 } = {}) {
+    super();
+    this.type = 'file';
+    this.filePath = path.resolve(filePath);
+    this.writeDelay = writeDelay;
+    this.writeTimer = null;
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      logger.info('No cache file found, starting with an empty cache', { file: this.filePath });
+      return;
+    }
+
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const now = Date.now();
+      let loaded = 0;
+
+      Object.entries(raw.entries || {}).forEach(([key, entry]) => {
+        // Drop anything that already expired while the server was down
+        if (!entry || typeof entry.timestamp !== 'number') return;
+        if (entry.ttl && now - entry.timestamp >= entry.ttl) return;
+        this.entries.set(key, entry);
+        loaded++;
+      });
+
+      logger.info('Loaded cache entries', { file: this.filePath, entries: loaded });
+    } catch (error) {
+      logger.error('Failed to load cache file, starting with an empty cache', { file: this.filePath, error });
+    }
+  }
+
+  set(key, entry) {
+    super.set(key, entry);
+    this.scheduleWrite();
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) {
+      this.scheduleWrite();
+    }
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    this.scheduleWrite();
+  }
+
+  scheduleWrite() {
+    if (this.writeTimer) return;
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = null;
+      this.flush();
+    }, this.writeDelay);
+    this.writeTimer.unref();
+  }
+
+  // Write the cache to disk synchronously. Writes go to a temp file first so a
+  // crash mid-write never leaves a truncated cache file behind.
+  flush() {
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({
+        version: 1,
+        savedAt: new Date().toISOString(),
+        entries: Object.fromEntries(this.entries)
+      }));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.error('Failed to write cache file', { file: this.filePath, error });
+    }
+  }
+}
+
+function createCacheStore({ type = 'memory', filePath } = {}) {
+  if (type === 'file') {
+    return new FileCacheStore(filePath || path.join(__dirname, '..', 'data', 'cache.json'));
+  }
+  if (type !== 'memory') {
+    logger.warn('Unknown CACHE_STORE, falling back to in-memory cache', { type });
+  }
+  return new MemoryCacheStore();
+}
+
+module.exports = {
+  MemoryCacheStore,
+  FileCacheStore,
+  createCacheStore
+};
@@ -0,0 +1,145 @@
+const { matchesAssignee, matchesMilestone } = require('./issue-query');
+const { logger } = require('./logger');
+
+// Emporium categories: the sections of the board, declared in configuration
+// (emporium.categories) in the order they are shown.
+//
+// An issue belongs to a category when any of the category's rules matches, and a rule
+// matches when all of its conditions hold:
+//
+//   state           opened or closed
+//   labels          has all of these labels
+//   notLabels       has none of these labels
+//   assigned        has an assignee (true) or none (false)
+//   assignees       assigned to any of these usernames
+//   milestone       milestone title, `none` or `any`
+//   mergeRequests   merge requests that close the issue: `none`, `any` (open or merged),
+//                   `open` or `merged`; read from `linked_merge_requests`
+//
+// Each issue goes to one category: the first that matches, trying categories with a
+// higher `precedence` first. That lets "Won't Fix" take closed issues before
+// "Delivered" does while being shown after it. Issues no category matches are left
+// off the board.
+//
+// A category's `role` tells the rest of the Emporium what it holds, whatever it is
+// called: `for-sale` issues can be bought and are in the Atom feed, and SLA policies
+// measure for-sale issues from when they were listed and `in-progress` ones from when
+// they were bought.
+
+const timeOf = (value) => (value ? Date.parse(value) : 0);
+
+// How a category orders its issues (`sort`); `priority` is newest with priority issues first
+const SORTS = {
+  newest: (a, b) => timeOf(b.created_at) - timeOf(a.created_at),
+  oldest: (a, b) => timeOf(a.created_at) - timeOf(b.created_at),
+  updated: (a, b) => timeOf(b.updated_at) - timeOf(a.updated_at),
+  closed: (a, b) => timeOf(b.closed_at) - timeOf(a.closed_at)
+};
+
+function comparator(sort, { priorityLabel }) {
+  if (SORTS[sort]) return SORTS[sort];
+  const hasPriority = (issue) => (Array.isArray(issue.labels) ? issue.labels : []).includes(priorityLabel);
+  return (a, b) => Number(hasPriority(b)) - Number(hasPriority(a)) || SORTS.newest(a, b);
+}
+
+// Configured categories with their defaults filled in; later duplicates of an id are
+// skipped, and so are later claims to a role
+function parseCategories(definitions = []) {
+  const seen = new Set();
+  const roles = new Set();
+  return definitions.filter(definition => {
+    if (seen.has(definition.id)) {
+      logger.error('Duplicate Emporium category id, skipping', { category: definition.id });
+      return false;
+    }
+    seen.add(definition.id);
+    return true;
+  }).map(definition => {
+    let role = definition.role || null;
+    if (role && roles.has(role)) {
+      logger.error('Another Emporium category already has this role, ignoring it', { category: definition.id, role });
+      role = null;
+    }
+    if (role) roles.add(role);
+    return {
+      id: definition.id,
+      name: definition.name,
+      emoji: definition.emoji || '',
+      role,
+      precedence: definition.precedence || 0,
+      sort: definition.sort || 'priority',
+      rules: definition.rules || []
+    };
+  });
+}
+
+// The category with a role, or null when none has it
+function categoryWithRole(categories, role) {
+  return categories.find(category => category.role === role) || null;
+}
+
+function matchesMergeRequests(issue, wanted) {
+  const states = (issue.linked_merge_requests || []).map(mr => mr.state);
+  const open = states.includes('opened');
+  const merged = states.includes('merged');
+  switch (wanted) {
+    case 'none': return !open && !merged;
+    case 'open': return open;
+    case 'merged': return merged;
+    default: return open || merged;
+  }
+}
+
+function matchesRule(issue, rule) {
+  const labels = Array.isArray(issue.labels) ? issue.labels : [];
+  return (!rule.state || issue.state === rule.state) &&
+    (rule.labels || []).every(label => labels.includes(label)) &&
+    !(rule.notLabels || []).some(label => labels.includes(label)) &&
+    (rule.assigned === undefined || matchesAssignee(issue, [rule.assigned ? 'any' : 'none'])) &&
+    (!rule.assignees || rule.assignees.length === 0 || matchesAssignee(issue, rule.assignees)) &&
+    (!rule.milestone || matchesMilestone(issue, rule.milestone)) &&
+    (!rule.mergeRequests || matchesMergeRequests(issue, rule.mergeRequests));
+}
+
+// Categories in the order they get to pick issues: higher precedence first, then as declared
+function matchOrder(categories) {
+  return categories
+    .map((category, index) => ({ category, index }))
+    .sort((a, b) => b.category.precedence - a.category.precedence || a.index - b.index)
+    .map(({ category }) => category);
+}
+
+// Sort issues into categories: { issues: { [id]: [...] }, uncategorized: [...] }, each
+// category sorted by its own policy
+function categorizeIssues(issues, categories, { priorityLabel }) {
+  const categorized = Object.fromEntries(categories.map(category => [category.id, []]));
+  const uncategorized = [];
+  const ordered = matchOrder(categories);
+
+  issues.forEach(issue => {
+    const category = ordered.find(candidate => candidate.rules.some(rule => matchesRule(issue, rule)));
+    (category ? categorized[category.id] : uncategorized).push(issue);
+  });
+
+  categories.forEach(category => categorized[category.id].sort(comparator(category.sort, { priorityLabel })));
+
+  return { issues: categorized, uncategorized };
+}
+
+// What the board needs to show the sections: [{ id, name, emoji, role, sort }]
+function describeCategories(categories) {
+  return categories.map(({ id, name, emoji, role, sort }) => ({ id, name, emoji, role, sort }));
+}
+
+// Whether any rule looks at linked merge requests, which cost a GitLab call per issue
+function usesMergeRequests(categories) {
+  return categories.some(category => category.rules.some(rule => rule.mergeRequests));
+}
+
+module.exports = {
+  parseCategories,
+  categoryWithRole,
+  categorizeIssues,
+  describeCategories,
+  usesMergeRequests
+};
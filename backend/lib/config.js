@@ -0,0 +1,316 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const YAML = require('yaml');
+const { logger } = require('./logger');
+
+// Configuration loader.
+//
+// Settings come from three layers, highest precedence first: environment variables,
+// an optional YAML/JSON config file, and the defaults in config.schema.json. The
+// schema describes every setting (type, limits, default, and the environment variable
+// that overrides it in `x-env`); both the file and the environment are validated
+// against it. The file is watched, and changes are applied without a restart except
+// for settings marked `x-restart` in the schema.
+
+const SCHEMA_PATH = path.join(__dirname, '..', 'config.schema.json');
+const DEFAULT_FILES = ['config.yaml', 'config.yml', 'config.json'].map(name => path.join(__dirname, '..', name));
+
+class ConfigError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+function readConfigFile(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const parsed = /\.json$/i.test(filePath) ? JSON.parse(raw) : YAML.parse(raw);
+  // An empty file means "no settings"
+  return parsed === null || parsed === undefined ? {} : parsed;
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Validate a value against the subset of JSON Schema used by config.schema.json
+function validate(schema, value, at = '', errors = []) {
+  const label = at || '(root)';
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    errors.push(`${label}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label}: must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${label}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${label}: must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${label}: must be > ${schema.exclusiveMinimum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${label}: must not be empty`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${label}: must match ${schema.pattern}`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validate(schema.items, item, `${at}[${index}]`, errors));
+  }
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${at ? `${at}.` : ''}${key}: is required`);
+    });
+    Object.keys(value).forEach(key => {
+      const keyPath = at ? `${at}.${key}` : key;
+      if (properties[key]) {
+        validate(properties[key], value[key], keyPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${keyPath}: unknown setting`);
+      }
+    });
+  }
+  return errors;
+}
+
+// Every configurable setting: { path: 'labels.emporium', schema }
+function listSettings(schema, prefix = '') {
+  return Object.entries(schema.properties || {}).flatMap(([key, property]) => {
+    const settingPath = prefix ? `${prefix}.${key}` : key;
+    return property.type === 'object' ? listSettings(property, settingPath) : [{ path: settingPath, schema: property }];
+  });
+}
+
+function getAt(object, settingPath) {
+  return settingPath.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
+
+function setAt(object, settingPath, value) {
+  const keys = settingPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!node[key]) node[key] = {};
+    return node[key];
+  }, object);
+  parent[last] = value;
+}
+
+// Convert an environment variable to the type the schema expects
+function parseEnvValue(raw, schema) {
+  const types = [].concat(schema.type || 'string');
+  if (types.includes('string')) return raw;
+
+  if (types.includes('boolean')) {
+    if (/^(true|1|yes|on)$/i.test(raw)) return true;
+    if (/^(false|0|no|off)$/i.test(raw)) return false;
+    throw new Error(`expected true or false, got "${raw}"`);
+  }
+  if (types.includes('integer') || types.includes('number')) {
+    const number = Number(raw);
+    if (raw.trim() === '' || !Number.isFinite(number)) {
+      throw new Error(`expected a number, got "${raw}"`);
+    }
+    return number;
+  }
+  if (types.includes('array')) {
+    // Lists of labels are comma-separated; lists of objects are JSON
+    if (schema.items?.type === 'object') {
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        throw new Error(`expected a JSON array: ${error.message}`);
+      }
+    }
+    return raw.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return raw;
+}
+
+// Merge defaults, file values and environment overrides into the effective config
+function resolveConfig(schema, fileValues, env, fileLabel = 'config file') {
+  const errors = validate(schema, fileValues).map(message => `${fileLabel}: ${message}`);
+  const values = {};
+  const origins = {};
+
+  listSettings(schema).forEach(({ path: settingPath, schema: settingSchema }) => {
+    const envName = settingSchema['x-env'];
+    const fileValue = getAt(fileValues, settingPath);
+    let value;
+    let origin;
+
+    if (envName && env[envName] !== undefined && env[envName] !== '') {
+      origin = `env:${envName}`;
+      try {
+        value = parseEnvValue(env[envName], settingSchema);
+        validate(settingSchema, value, envName, errors);
+      } catch (error) {
+        errors.push(`${envName}: ${error.message}`);
+      }
+    } else if (fileValue !== undefined) {
+      value = fileValue;
+      origin = 'file';
+    } else if (settingSchema.default !== undefined) {
+      value = settingSchema.default;
+      origin = 'default';
+    } else {
+      origin = 'unset';
+    }
+
+    setAt(values, settingPath, value);
+    origins[settingPath] = origin;
+  });
+
+  return { values, origins, errors };
+}
+
+const SECRET_KEYS = ['token', 'webhookSecret'];
+
+// Mask secrets (settings marked x-secret, and secrets inside source definitions)
+function redact(value, schema) {
+  if (value === undefined || value === null) return value;
+  if (schema?.['x-secret']) return '********';
+  if (Array.isArray(value)) return value.map(item => redact(item, schema?.items));
+  if (typeOf(value) === 'object') {
+    const result = {};
+    Object.entries(value).forEach(([key, nested]) => {
+      result[key] = SECRET_KEYS.includes(key) && nested ? '********' : redact(nested, schema?.properties?.[key]);
+    });
+    return result;
+  }
+  return value;
+}
+
+class ConfigManager extends EventEmitter {
+  constructor({ env = process.env, filePath, schemaPath = SCHEMA_PATH, watchInterval = 2000 } = {}) {
+    super();
+    this.env = env;
+    this.schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+    this.filePath = filePath || env.CONFIG_FILE || DEFAULT_FILES.find(file => fs.existsSync(file)) || null;
+    this.watchInterval = watchInterval;
+    this.values = null;
+    this.origins = {};
+    this.loadedAt = null;
+    this.lastError = null;
+    this.watching = false;
+  }
+
+  resolve() {
+    let fileValues = {};
+    if (this.filePath) {
+      try {
+        fileValues = readConfigFile(this.filePath);
+      } catch (error) {
+        throw new ConfigError(`Failed to read config file ${this.filePath}`, [`${this.filePath}: ${error.message}`]);
+      }
+    }
+
+    const resolved = resolveConfig(this.schema, fileValues, this.env, this.filePath || 'config file');
+    if (resolved.errors.length > 0) {
+      throw new ConfigError('Invalid configuration', resolved.errors);
+    }
+    return resolved;
+  }
+
+  // Initial load; throws a ConfigError listing every invalid value
+  load() {
+    const { values, origins } = this.resolve();
+    this.values = values;
+    this.origins = origins;
+    this.loadedAt = new Date().toISOString();
+    if (this.filePath) {
+      logger.info('Loaded configuration file', { file: this.filePath });
+    }
+    return values;
+  }
+
+  // Re-read the file. An invalid file is reported and the current config is kept;
+  // settings that need a restart keep their current value until then.
+  reload() {
+    let resolved;
+    try {
+      resolved = this.resolve();
+    } catch (error) {
+      this.lastError = { message: error.message, errors: error.errors || [], at: new Date().toISOString() };
+      logger.error(`${error.message}, keeping the current configuration`, { errors: error.errors || [] });
+      return null;
+    }
+
+    const changed = [];
+    const pendingRestart = [];
+    listSettings(this.schema).forEach(({ path: settingPath, schema: settingSchema }) => {
+      const before = getAt(this.values, settingPath);
+      const after = getAt(resolved.values, settingPath);
+      if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+      if (settingSchema['x-restart']) {
+        pendingRestart.push(settingPath);
+        setAt(resolved.values, settingPath, before);
+        resolved.origins[settingPath] = this.origins[settingPath];
+      } else {
+        changed.push(settingPath);
+      }
+    });
+
+    this.values = resolved.values;
+    this.origins = resolved.origins;
+    this.loadedAt = new Date().toISOString();
+    this.lastError = null;
+
+    if (pendingRestart.length > 0) {
+      logger.warn('Config changes need a restart to take effect', { settings: pendingRestart });
+    }
+    if (changed.length > 0) {
+      logger.info('Configuration reloaded', { changed });
+      this.emit('change', { changed, values: this.values });
+    }
+    return changed;
+  }
+
+  // Poll the config file for changes (polling also survives editors that replace the file)
+  watch() {
+    if (!this.filePath || this.watching) return;
+    this.watching = true;
+    const watcher = fs.watchFile(this.filePath, { interval: this.watchInterval }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        this.reload();
+      }
+    });
+    watcher.unref();
+  }
+
+  unwatch() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.filePath);
+    this.watching = false;
+  }
+
+  // Effective configuration with secrets masked, and where each value came from
+  describe() {
+    return {
+      file: this.filePath,
+      loadedAt: this.loadedAt,
+      watching: this.watching,
+      lastReloadError: this.lastError,
+      values: redact(this.values, this.schema),
+      origins: this.origins
+    };
+  }
+}
+
+module.exports = {
+  ConfigManager,
+  ConfigError,
+  resolveConfig,
+  validate
+};
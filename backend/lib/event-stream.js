@@ -0,0 +1,82 @@
+// Server-Sent Events broadcaster for /api/events.
+//
+// Clients receive named events (`event: dataset` with a JSON payload) as the board
+// datasets change. Every event has an increasing id, and a periodic comment keeps
+// idle connections from being closed by proxies.
+
+class EventStream {
+  constructor({ heartbeatInterval = 25 * 1000, retry = 5000 } = {}) {
+    this.heartbeatInterval = heartbeatInterval;
+    this.retry = retry;
+    this.clients = new Set();
+    this.lastEventId = 0;
+    this.heartbeat = null;
+  }
+
+  // Attach an HTTP request as a subscriber
+  handle(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      // Stop nginx-style proxies from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${this.retry}\n\n`);
+    this.send(res, 'hello', { clients: this.clients.size + 1, lastEventId: this.lastEventId });
+
+    this.clients.add(res);
+    this.startHeartbeat();
+
+    req.on('close', () => {
+      this.clients.delete(res);
+      if (this.clients.size === 0) this.stopHeartbeat();
+    });
+  }
+
+  send(res, event, data, id) {
+    const lines = [];
+    if (id !== undefined) lines.push(`id: ${id}`);
+    lines.push(`event: ${event}`);
+    lines.push(`data: ${JSON.stringify(data)}`);
+    res.write(`${lines.join('\n')}\n\n`);
+  }
+
+  broadcast(event, data) {
+    const id = ++this.lastEventId;
+    this.clients.forEach(res => this.send(res, event, data, id));
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach(res => res.write(': ping\n\n'));
+    }, this.heartbeatInterval);
+    this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  // Close every open stream (on shutdown)
+  close() {
+    this.stopHeartbeat();
+    this.clients.forEach(res => res.end());
+    this.clients.clear();
+  }
+
+  stats() {
+    return {
+      clients: this.clients.size,
+      lastEventId: this.lastEventId
+    };
+  }
+}
+
+module.exports = {
+  EventStream
+};
@@ -0,0 +1,149 @@
+const { approvalState } = require('./merge-request-query');
+
+// Board exports as CSV, Markdown and JSON.
+//
+// An export is a list of sections ({ title, rows }) described by columns
+// ({ key, header, value(row), link?(row), date?, markdown? }). CSV and JSON have one row
+// per item with every column; Markdown has a GitLab-flavored table per section, ready to
+// paste into a wiki page, shows dates without times and leaves out the columns marked
+// `markdown: false`.
+
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' }
+};
+
+const personName = (person) => (person ? person.username || person.name : null);
+
+// Issue rows are the dataset's issues plus `category` and `sla` (the worst SLA level, or null)
+function issueColumns({ priorityLabel }) {
+  return [
+    { key: 'reference', header: 'Issue', value: issue => `#${issue.iid}`, link: issue => issue.web_url },
+    { key: 'title', header: 'Title', value: issue => issue.title },
+    { key: 'category', header: 'Category', value: issue => issue.category, markdown: false },
+    { key: 'project_name', header: 'Project', value: issue => issue.project_name },
+    { key: 'priority', header: 'Priority', value: issue => (issue.labels || []).includes(priorityLabel) },
+    { key: 'assignees', header: 'Assignees', value: issue => (issue.assignees || [issue.assignee]).filter(Boolean).map(personName) },
+    { key: 'author', header: 'Author', value: issue => personName(issue.author), markdown: false },
+    { key: 'labels', header: 'Labels', value: issue => issue.labels || [] },
+    { key: 'milestone', header: 'Milestone', value: issue => issue.milestone?.title || null },
+    { key: 'sla', header: 'SLA', value: issue => issue.sla },
+    { key: 'state', header: 'State', value: issue => issue.state, markdown: false },
+    { key: 'created_at', header: 'Created', value: issue => issue.created_at, date: true },
+    { key: 'updated_at', header: 'Updated', value: issue => issue.updated_at, date: true, markdown: false },
+    { key: 'closed_at', header: 'Closed', value: issue => issue.closed_at || null, date: true, markdown: false },
+    { key: 'web_url', header: 'URL', value: issue => issue.web_url, markdown: false },
+    { key: 'source', header: 'Source', value: issue => issue.source, markdown: false }
+  ];
+}
+
+const MERGE_REQUEST_COLUMNS = [
+  { key: 'reference', header: 'MR', value: mr => `!${mr.iid}`, link: mr => mr.web_url },
+  { key: 'title', header: 'Title', value: mr => mr.title },
+  { key: 'project_name', header: 'Project', value: mr => mr.project_name },
+  { key: 'project_path', header: 'Project path', value: mr => mr.project_path, markdown: false },
+  { key: 'status', header: 'Status', value: mr => (mr.is_draft ? 'draft' : 'ready') },
+  { key: 'author', header: 'Author', value: mr => personName(mr.author) },
+  { key: 'assignees', header: 'Assignees', value: mr => (mr.assignees || []).map(personName) },
+  { key: 'reviewers', header: 'Reviewers', value: mr => (mr.reviewers || []).map(personName) },
+  { key: 'approvals', header: 'Approvals', value: mr => approvalState(mr) },
+  { key: 'approvals_required', header: 'Approvals required', value: mr => mr.approvals?.approvals_required ?? 0, markdown: false },
+  { key: 'approvals_left', header: 'Approvals left', value: mr => mr.approvals?.approvals_left ?? 0 },
+  { key: 'approved_by', header: 'Approved by', value: mr => (mr.approvals?.approved_by || []).map(approval => personName(approval.user || approval)), markdown: false },
+  { key: 'linked_issue_ids', header: 'Linked issues', value: mr => mr.linked_issue_ids || [] },
+  { key: 'labels', header: 'Labels', value: mr => mr.labels || [], markdown: false },
+  { key: 'created_at', header: 'Created', value: mr => mr.created_at, date: true },
+  { key: 'updated_at', header: 'Updated', value: mr => mr.updated_at, date: true, markdown: false },
+  { key: 'review_app_url', header: 'Review app', value: mr => mr.review_app_url || null, markdown: false },
+  { key: 'web_url', header: 'URL', value: mr => mr.web_url, markdown: false },
+  { key: 'source', header: 'Source', value: mr => mr.source, markdown: false }
+];
+
+function textOf(value, { listSeparator }) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.filter(item => item !== null && item !== undefined).join(listSeparator);
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  return String(value);
+}
+
+function csvCell(value) {
+  let text = textOf(value, { listSeparator: '; ' });
+  // Keep spreadsheets from running cells as formulas
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, sections) {
+  const lines = [columns.map(column => csvCell(column.header)).join(',')];
+  sections.forEach(section => section.rows.forEach(row => {
+    lines.push(columns.map(column => csvCell(column.value(row))).join(','));
+  }));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function markdownCell(column, row) {
+  const value = column.value(row);
+  let text = textOf(value, { listSeparator: ', ' });
+  if (value === false) text = '';
+  if (column.date) text = text.slice(0, 10);
+  if (column.key === 'labels') text = (value || []).map(label => `~"${label}"`).join(' ');
+  text = text.replace(/\|/g, '\\|').replace(/\s*\r?\n\s*/g, ' ');
+  const url = column.link && column.link(row);
+  return url && text ? `[${text}](${url})` : text;
+}
+
+// `filters` is a list of "name: value" descriptions shown under the heading
+function toMarkdown(title, columns, sections, { exportedAt, filters }) {
+  const shown = columns.filter(column => column.markdown !== false);
+  const lines = [`## ${title}`, '', `_Exported ${exportedAt.slice(0, 16).replace('T', ' ')} UTC_`];
+  if (filters.length > 0) {
+    lines.push('', `_Filtered by ${filters.join(', ')}_`);
+  }
+
+  sections.forEach(section => {
+    if (section.title) lines.push('', `### ${section.title} (${section.rows.length})`);
+    lines.push('');
+    if (section.rows.length === 0) {
+      lines.push('_None_');
+      return;
+    }
+    lines.push(`| ${shown.map(column => column.header).join(' | ')} |`);
+    lines.push(`| ${shown.map(() => '---').join(' | ')} |`);
+    section.rows.forEach(row => {
+      lines.push(`| ${shown.map(column => markdownCell(column, row)).join(' | ')} |`);
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+function toJson(itemsKey, columns, sections, { exportedAt, filters }) {
+  const items = sections.flatMap(section => section.rows.map(row => {
+    const item = {};
+    columns.forEach(column => {
+      const value = column.value(row);
+      item[column.key] = value === undefined ? null : value;
+    });
+    return item;
+  }));
+  return `${JSON.stringify({ exportedAt, filters, total: items.length, [itemsKey]: items }, null, 2)}\n`;
+}
+
+// Render an export: { body, contentType, extension }
+function renderExport(format, { title, itemsKey, columns, sections, filters = [] }) {
+  const exportedAt = new Date().toISOString();
+  const body = format === 'csv'
+    ? toCsv(columns, sections)
+    : format === 'md'
+      ? toMarkdown(title, columns, sections, { exportedAt, filters })
+      : toJson(itemsKey, columns, sections, { exportedAt, filters });
+  return { body, ...EXPORT_FORMATS[format] };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  MERGE_REQUEST_COLUMNS,
+  issueColumns,
+  renderExport
+};
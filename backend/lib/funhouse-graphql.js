@@ -0,0 +1,233 @@
+// GraphQL loader for the Feature Funhouse trees.
+//
+// The REST spider costs one notes call per issue plus one call per linked issue,
+// one after another. This loader walks every feature tree level by level instead,
+// and fetches all issues needed for a level (with their descriptions and notes)
+// in a handful of batched GraphQL queries shared across all features.
+
+const { logger } = require('./logger');
+
+const ISSUE_FIELDS = `
+  fragment FunhouseIssue on Issue {
+    id
+    iid
+    title
+    description
+    state
+    webUrl
+    createdAt
+    updatedAt
+    closedAt
+    labels { nodes { title } }
+    assignees { nodes { id name username avatarUrl webUrl } }
+    notes(first: 100) { nodes { body } }
+  }
+`;
+
+// Find issue references (#123) in a piece of text
+function extractReferencedIids(text, selfIid) {
+  const iids = [];
+  if (!text) return iids;
+
+  const matches = text.match(/#(\d+)/g) || [];
+  matches.forEach(match => {
+    const iid = parseInt(match.substring(1));
+    if (iid && iid !== selfIid && !iids.includes(iid)) {
+      iids.push(iid);
+    }
+  });
+  return iids;
+}
+
+// gid://gitlab/Issue/123 -> 123
+function parseGlobalId(gid) {
+  const id = parseInt(String(gid).split('/').pop(), 10);
+  return Number.isNaN(id) ? gid : id;
+}
+
+// Shape a GraphQL issue like the REST issues the rest of the app works with
+function toRestIssue(node, projectId) {
+  const assignees = (node.assignees?.nodes || []).map(assignee => ({
+    id: parseGlobalId(assignee.id),
+    name: assignee.name,
+    username: assignee.username,
+    avatar_url: assignee.avatarUrl,
+    web_url: assignee.webUrl
+  }));
+
+  return {
+    id: parseGlobalId(node.id),
+    iid: parseInt(node.iid, 10),
+    project_id: projectId,
+    title: node.title,
+    description: node.description,
+    state: node.state,
+    web_url: node.webUrl,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    closed_at: node.closedAt,
+    labels: (node.labels?.nodes || []).map(label => label.title),
+    assignees,
+    assignee: assignees[0] || null
+  };
+}
+
+class FunhouseGraphqlLoader {
+  constructor({ client, graphqlUrl, resolveProjectPath, batchSize = 25, retryAfter = 60 * 60 * 1000 }) {
+    this.client = client;
+    this.graphqlUrl = graphqlUrl;
+    this.resolveProjectPath = resolveProjectPath;
+    this.batchSize = batchSize;
+    this.retryAfter = retryAfter;
+    this.unavailableUntil = 0;
+  }
+
+  isAvailable() {
+    return Date.now() >= this.unavailableUntil;
+  }
+
+  // Remember that GraphQL did not work so we don't pay for a failing query on every refresh
+  markUnavailable(error) {
+    this.unavailableUntil = Date.now() + this.retryAfter;
+    logger.warn('GitLab GraphQL unavailable, using REST for now', { retryAfterMinutes: this.retryAfter / 1000 / 60, error });
+  }
+
+  async query(query, variables) {
+    // Queries only read, so the scheduler may retry them
+    const response = await this.client.post(this.graphqlUrl, { query, variables }, { idempotent: true });
+    const { data, errors } = response.data || {};
+    if (errors && errors.length > 0) {
+      if (!data) {
+        const error = new Error(`GraphQL error: ${errors.map(e => e.message).join('; ')}`);
+        error.code = 'GRAPHQL_ERROR';
+        throw error;
+      }
+      logger.warn('GraphQL returned partial errors', { errors: errors.map(e => e.message) });
+    }
+    return data;
+  }
+
+  // Fetch issues (with notes) for a list of { projectId, iid } keys. Returns a Map
+  // keyed by `${projectId}:${iid}`; issues that don't exist or aren't visible are missing.
+  async fetchIssues(keys, projectPaths) {
+    const results = new Map();
+
+    for (let i = 0; i < keys.length; i += this.batchSize) {
+      const chunk = keys.slice(i, i + this.batchSize);
+
+      // One aliased project field per project in this chunk
+      const byProject = new Map();
+      chunk.forEach(({ projectId, iid }) => {
+        if (!byProject.has(projectId)) byProject.set(projectId, []);
+        byProject.get(projectId).push(String(iid));
+      });
+
+      const projectIds = Array.from(byProject.keys());
+      const variableDefs = [];
+      const fields = [];
+      const variables = {};
+      projectIds.forEach((projectId, index) => {
+        variableDefs.push(`$path${index}: ID!`, `$iids${index}: [String!]`);
+        fields.push(`p${index}: project(fullPath: $path${index}) { issues(iids: $iids${index}, first: ${this.batchSize}) { nodes { ...FunhouseIssue } } }`);
+        variables[`path${index}`] = projectPaths.get(projectId);
+        variables[`iids${index}`] = byProject.get(projectId);
+      });
+
+      const query = `query FunhouseIssues(${variableDefs.join(', ')}) {\n  ${fields.join('\n  ')}\n}\n${ISSUE_FIELDS}`;
+      const data = await this.query(query, variables);
+
+      projectIds.forEach((projectId, index) => {
+        const nodes = data?.[`p${index}`]?.issues?.nodes || [];
+        nodes.forEach(node => {
+          results.set(`${projectId}:${node.iid}`, {
+            issue: toRestIssue(node, projectId),
+            noteBodies: (node.notes?.nodes || []).map(note => note.body)
+          });
+        });
+      });
+    }
+
+    return results;
+  }
+
+  // Build { issue, linkedIssues } trees for the given (REST) feature issues, with the
+  // same rules as the REST spider: references in the description and notes are
+  // followed within the feature's project, up to maxDepth levels, skipping anything
+  // already in the tree.
+  async buildFeatureTrees(features, { maxDepth = 5 } = {}) {
+    const projectPaths = new Map();
+    for (const feature of features) {
+      if (projectPaths.has(feature.project_id)) continue;
+      const fullRef = feature.references?.full;
+      const path = fullRef ? fullRef.split('#')[0] : await this.resolveProjectPath(feature.project_id);
+      projectPaths.set(feature.project_id, path);
+    }
+
+    const fetched = new Map();
+    const fetchMissing = async (keys) => {
+      const missing = keys.filter(key => !fetched.has(`${key.projectId}:${key.iid}`));
+      const unique = Array.from(new Map(missing.map(key => [`${key.projectId}:${key.iid}`, key])).values());
+      if (unique.length === 0) return;
+      const results = await this.fetchIssues(unique, projectPaths);
+      unique.forEach(key => {
+        const cacheKey = `${key.projectId}:${key.iid}`;
+        fetched.set(cacheKey, results.get(cacheKey) || null);
+      });
+    };
+
+    const trees = features.map(feature => ({
+      tree: { issue: feature, linkedIssues: [] },
+      seen: new Set([feature.iid])
+    }));
+
+    // Frontier entries: { node, projectId, depth, seen }
+    let frontier = trees.map(({ tree, seen }) => ({ node: tree, projectId: tree.issue.project_id, depth: 0, seen }));
+
+    while (frontier.length > 0) {
+      // Descriptions and notes for everything on this level
+      await fetchMissing(frontier.map(entry => ({ projectId: entry.projectId, iid: entry.node.issue.iid })));
+
+      const pending = [];
+      frontier.forEach(entry => {
+        if (entry.depth >= maxDepth) return;
+
+        const fetchedEntry = fetched.get(`${entry.projectId}:${entry.node.issue.iid}`);
+        const texts = [entry.node.issue.description, ...(fetchedEntry ? fetchedEntry.noteBodies : [])];
+        const iids = [];
+        texts.forEach(text => {
+          extractReferencedIids(text, entry.node.issue.iid).forEach(iid => {
+            if (!iids.includes(iid)) iids.push(iid);
+          });
+        });
+
+        iids.forEach(iid => {
+          if (entry.seen.has(iid)) return;
+          entry.seen.add(iid);
+          pending.push({ parent: entry, iid });
+        });
+      });
+
+      // The linked issues themselves, all trees at once
+      await fetchMissing(pending.map(({ parent, iid }) => ({ projectId: parent.projectId, iid })));
+
+      const next = [];
+      pending.forEach(({ parent, iid }) => {
+        const linked = fetched.get(`${parent.projectId}:${iid}`);
+        if (!linked) return;
+
+        const child = { issue: { ...linked.issue }, linkedIssues: [] };
+        parent.node.linkedIssues.push(child);
+        next.push({ node: child, projectId: parent.projectId, depth: parent.depth + 1, seen: parent.seen });
+      });
+
+      frontier = next;
+    }
+
+    return trees.map(({ tree }) => tree);
+  }
+}
+
+module.exports = {
+  FunhouseGraphqlLoader,
+  extractReferencedIids
+};
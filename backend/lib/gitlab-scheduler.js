@@ -0,0 +1,282 @@
+// Rate-limit aware request scheduler for the GitLab axios client.
+//
+// Exposes the same get/post/put/delete/request surface as an axios instance, but
+// every call goes through a queue with a concurrency cap. Responses are watched
+// for GitLab's RateLimit-* headers so we slow down before hitting the limit, 429s
+// honour Retry-After, transient failures back off exponentially, and a circuit
+// breaker stops hammering an instance that keeps failing. Only idempotent requests
+// are retried (GET, HEAD and OPTIONS, or `idempotent: true` in the config, e.g. for
+// GraphQL queries), so changes to issues are never sent twice. This is the only layer
+// that retries GitLab calls. `onComplete` is told about
+// every finished request (after any retries), e.g. for metrics.
+
+const { logger } = require('./logger');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options'];
+
+function isIdempotent(config) {
+  return config.idempotent === true || IDEMPOTENT_METHODS.includes((config.method || 'get').toLowerCase());
+}
+
+function isRetryable(error) {
+  if (error.code === 'CIRCUIT_OPEN') return false;
+  const status = error.response?.status;
+  // No response at all means a network error or timeout
+  if (!status) return true;
+  return status === 429 || status >= 500;
+}
+
+// Failures that say something about the health of the instance (as opposed to
+// 4xx answers for a single resource, or rate limiting which we handle by waiting)
+function countsTowardCircuit(error) {
+  const status = error.response?.status;
+  return !status || status >= 500;
+}
+
+class GitlabRequestScheduler {
+  constructor(client, options = {}) {
+    this.client = client;
+    this.defaults = client.defaults;
+    this.maxConcurrency = options.maxConcurrency || 4;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseDelay = options.baseDelay || 500;
+    this.maxDelay = options.maxDelay || 30 * 1000;
+    this.minRemaining = options.minRemaining ?? 5;
+    this.circuitThreshold = options.circuitThreshold || 5;
+    this.circuitCooldown = options.circuitCooldown || 30 * 1000;
+    this.onComplete = options.onComplete || (() => {});
+
+    this.active = 0;
+    this.queue = [];
+    this.pausedUntil = 0;
+    this.resumeTimer = null;
+
+    this.rateLimit = { limit: null, remaining: null, resetAt: null, observedAt: null };
+    this.circuit = { state: 'closed', consecutiveFailures: 0, openedAt: null };
+    this.counters = { requests: 0, succeeded: 0, failed: 0, retried: 0, rateLimited: 0, rejectedByCircuit: 0 };
+  }
+
+  get(url, config = {}) {
+    return this.request({ ...config, method: 'get', url });
+  }
+
+  post(url, data, config = {}) {
+    return this.request({ ...config, method: 'post', url, data });
+  }
+
+  put(url, data, config = {}) {
+    return this.request({ ...config, method: 'put', url, data });
+  }
+
+  delete(url, config = {}) {
+    return this.request({ ...config, method: 'delete', url });
+  }
+
+  async request(config) {
+    const startedAt = Date.now();
+    try {
+      const response = await this.send(config);
+      this.complete({ config, response, duration: Date.now() - startedAt });
+      return response;
+    } catch (error) {
+      this.complete({ config, error, duration: Date.now() - startedAt });
+      throw error;
+    }
+  }
+
+  // Log the call (with the request ID of whatever triggered it) and report it
+  complete({ config, response, error, duration }) {
+    logger.debug('GitLab request', {
+      method: config.method?.toUpperCase() || 'GET',
+      url: config.url,
+      status: response?.status ?? error?.response?.status ?? error?.code,
+      durationMs: duration
+    });
+    this.onComplete({ config, response, error, duration });
+  }
+
+  async send(config) {
+    this.counters.requests++;
+
+    for (let attempt = 0; ; attempt++) {
+      this.checkCircuit();
+
+      await this.acquire();
+      let response;
+      let error;
+      try {
+        response = await this.client.request(config);
+      } catch (err) {
+        error = err;
+      } finally {
+        this.release();
+      }
+
+      if (response) {
+        this.recordSuccess(response);
+        return response;
+      }
+
+      this.recordFailure(error);
+      if (!isIdempotent(config) || !isRetryable(error) || attempt >= this.maxRetries || this.circuit.state === 'open') {
+        this.counters.failed++;
+        throw error;
+      }
+
+      const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+      const backoff = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt));
+      const delay = retryAfter ?? backoff;
+
+      if (error.response?.status === 429) {
+        // Rate limited: hold back every queued request, not just this one
+        this.counters.rateLimited++;
+        this.pauseUntil(Date.now() + delay);
+      }
+
+      this.counters.retried++;
+      logger.warn('GitLab request failed, retrying', {
+        method: config.method?.toUpperCase() || 'GET',
+        url: config.url,
+        delayMs: delay,
+        attempt: attempt + 2,
+        maxAttempts: this.maxRetries + 1,
+        error
+      });
+      await sleep(delay);
+    }
+  }
+
+  // Wait for a free slot that is not held back by rate limiting
+  acquire() {
+    return new Promise(resolve => {
+      this.queue.push(resolve);
+      this.pump();
+    });
+  }
+
+  release() {
+    this.active--;
+    this.pump();
+  }
+
+  pump() {
+    const waitFor = this.pausedUntil - Date.now();
+    if (waitFor > 0) {
+      if (!this.resumeTimer) {
+        this.resumeTimer = setTimeout(() => {
+          this.resumeTimer = null;
+          this.pump();
+        }, waitFor);
+      }
+      return;
+    }
+
+    while (this.active < this.maxConcurrency && this.queue.length > 0) {
+      this.active++;
+      this.queue.shift()();
+    }
+  }
+
+  pauseUntil(timestamp) {
+    if (timestamp <= this.pausedUntil) return;
+    this.pausedUntil = timestamp;
+    if (this.resumeTimer) {
+      clearTimeout(this.resumeTimer);
+      this.resumeTimer = null;
+    }
+    logger.warn('Pausing GitLab requests to respect rate limits', { seconds: Math.round((timestamp - Date.now()) / 1000) });
+  }
+
+  checkCircuit() {
+    if (this.circuit.state !== 'open') return;
+
+    if (Date.now() - this.circuit.openedAt >= this.circuitCooldown) {
+      // Let requests through again; the next failure re-opens the circuit
+      this.circuit.state = 'half-open';
+      logger.info('GitLab circuit half-open, trying requests again');
+      return;
+    }
+
+    this.counters.rejectedByCircuit++;
+    const error = new Error(`GitLab circuit breaker is open after ${this.circuit.consecutiveFailures} consecutive failures`);
+    error.code = 'CIRCUIT_OPEN';
+    throw error;
+  }
+
+  recordSuccess(response) {
+    this.counters.succeeded++;
+    this.observeRateLimit(response.headers);
+
+    if (this.circuit.state !== 'closed') {
+      logger.info('GitLab circuit closed');
+    }
+    this.circuit = { state: 'closed', consecutiveFailures: 0, openedAt: null };
+  }
+
+  recordFailure(error) {
+    if (error.response) {
+      this.observeRateLimit(error.response.headers);
+    }
+    if (!countsTowardCircuit(error)) return;
+
+    this.circuit.consecutiveFailures++;
+    const shouldOpen = this.circuit.state === 'half-open' ||
+      this.circuit.consecutiveFailures >= this.circuitThreshold;
+
+    if (shouldOpen && this.circuit.state !== 'open') {
+      this.circuit.state = 'open';
+      this.circuit.openedAt = Date.now();
+      logger.error('GitLab circuit opened', { consecutiveFailures: this.circuit.consecutiveFailures, cooldownSeconds: this.circuitCooldown / 1000 });
+    }
+  }
+
+  // Track GitLab's RateLimit-* headers and stop early when the budget runs low
+  observeRateLimit(headers = {}) {
+    const remaining = headers['ratelimit-remaining'];
+    if (remaining === undefined) return;
+
+    const reset = Number(headers['ratelimit-reset']);
+    this.rateLimit = {
+      limit: headers['ratelimit-limit'] !== undefined ? Number(headers['ratelimit-limit']) : this.rateLimit.limit,
+      remaining: Number(remaining),
+      resetAt: Number.isFinite(reset) && reset > 0 ? new Date(reset * 1000).toISOString() : null,
+      observedAt: new Date().toISOString()
+    };
+
+    if (this.rateLimit.remaining <= this.minRemaining && Number.isFinite(reset) && reset > 0) {
+      this.pauseUntil(reset * 1000);
+    }
+  }
+
+  stats() {
+    return {
+      maxConcurrency: this.maxConcurrency,
+      active: this.active,
+      queued: this.queue.length,
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null,
+      rateLimit: this.rateLimit,
+      circuit: {
+        state: this.circuit.state,
+        consecutiveFailures: this.circuit.consecutiveFailures,
+        openedAt: this.circuit.openedAt ? new Date(this.circuit.openedAt).toISOString() : null
+      },
+      counters: { ...this.counters }
+    };
+  }
+}
+
+module.exports = {
+  GitlabRequestScheduler,
+  parseRetryAfter
+};
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Historical snapshots of the boards.
+//
+// Snapshots are { dataset, takenAt, day, counts, ids } records appended to a JSON
+// Lines file, so recording one never rewrites the history. A snapshot is only
+// recorded when its counts or IDs differ from the previous one for that dataset.
+// In 'daily' mode only the last snapshot of each day is kept; in 'refresh' mode
+// every change is kept. Old snapshots are dropped after `retentionDays`, and the
+// file is compacted on startup and once a day.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const dayOf = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+// Keep the last snapshot per dataset and day
+function lastPerDay(snapshots) {
+  const byDay = new Map();
+  snapshots.forEach(snapshot => byDay.set(`${snapshot.dataset}:${snapshot.day}`, snapshot));
+  return Array.from(byDay.values()).sort((a, b) => a.takenAt.localeCompare(b.takenAt));
+}
+
+class HistoryStore {
+  constructor({ filePath, mode = 'daily', retentionDays = 365 } = {}) {
+    this.filePath = path.resolve(filePath || path.join(__dirname, '..', 'data', 'history.jsonl'));
+    this.mode = mode;
+    this.retentionDays = retentionDays;
+    this.snapshots = [];
+    this.lastCompactedDay = null;
+    this.load();
+    this.compact();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      logger.info('No history file found, starting a new history', { file: this.filePath });
+      return;
+    }
+
+    let skipped = 0;
+    fs.readFileSync(this.filePath, 'utf8').split('\n').forEach(line => {
+      if (!line.trim()) return;
+      try {
+        this.snapshots.push(JSON.parse(line));
+      } catch (_error) {
+        // A line cut short by a crash mid-append
+        skipped++;
+      }
+    });
+    this.snapshots.sort((a, b) => a.takenAt.localeCompare(b.takenAt));
+
+    logger.info('Loaded history snapshots', { file: this.filePath, snapshots: this.snapshots.length, skippedLines: skipped || undefined });
+  }
+
+  // Drop expired snapshots (and intraday ones in daily mode) and rewrite the file
+  compact() {
+    const cutoff = dayOf(Date.now() - this.retentionDays * DAY);
+    let snapshots = this.snapshots.filter(snapshot => snapshot.day >= cutoff);
+    if (this.mode === 'daily') {
+      snapshots = lastPerDay(snapshots);
+    }
+    this.snapshots = snapshots;
+    this.lastCompactedDay = dayOf(Date.now());
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, snapshots.map(snapshot => `${JSON.stringify(snapshot)}\n`).join(''));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.error('Failed to write history file', { file: this.filePath, error });
+    }
+  }
+
+  latest(dataset) {
+    for (let i = this.snapshots.length - 1; i >= 0; i--) {
+      if (this.snapshots[i].dataset === dataset) return this.snapshots[i];
+    }
+    return null;
+  }
+
+  // Record a snapshot ({ counts, ids }) of a dataset. Returns false when nothing changed.
+  record(dataset, { counts, ids }, takenAt = new Date().toISOString()) {
+    const previous = this.latest(dataset);
+    if (previous && JSON.stringify(previous.counts) === JSON.stringify(counts) &&
+        JSON.stringify(previous.ids) === JSON.stringify(ids)) {
+      return false;
+    }
+
+    const snapshot = { dataset, takenAt, day: dayOf(takenAt), counts, ids };
+    this.snapshots.push(snapshot);
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, `${JSON.stringify(snapshot)}\n`);
+    } catch (error) {
+      logger.error('Failed to append to history file', { file: this.filePath, error });
+    }
+
+    if (this.lastCompactedDay !== dayOf(Date.now())) {
+      this.compact();
+    }
+    return true;
+  }
+
+  // Snapshots between two dates (YYYY-MM-DD, inclusive), oldest first.
+  // `daily` reduces them to the last snapshot of each day (the default in daily mode).
+  query({ datasets, from, to, daily = this.mode === 'daily', includeIds = true } = {}) {
+    let snapshots = this.snapshots.filter(snapshot =>
+      (!datasets || datasets.includes(snapshot.dataset)) &&
+      (!from || snapshot.day >= from) &&
+      (!to || snapshot.day <= to)
+    );
+    if (daily) {
+      snapshots = lastPerDay(snapshots);
+    }
+    return includeIds ? snapshots : snapshots.map(({ ids: _ids, ...snapshot }) => snapshot);
+  }
+
+  stats() {
+    return {
+      filePath: this.filePath,
+      mode: this.mode,
+      retentionDays: this.retentionDays,
+      snapshots: this.snapshots.length,
+      oldest: this.snapshots[0]?.takenAt || null,
+      newest: this.snapshots[this.snapshots.length - 1]?.takenAt || null
+    };
+  }
+}
+
+module.exports = {
+  HistoryStore
+};
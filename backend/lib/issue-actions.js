@@ -0,0 +1,192 @@
+// Changes made to Emporium issues from the board: buying an issue (assigning it to
+// yourself), returning it, editing its labels and bulk triage actions. The changes
+// themselves are made in GitLab as the logged-in user; this decides what to send and
+// turns GitLab's refusals into errors the frontend can show.
+
+class IssueActionError extends Error {
+  constructor(status, message, { details, code } = {}) {
+    super(message);
+    this.name = 'IssueActionError';
+    this.status = status;
+    this.details = details;
+    this.code = code;
+  }
+}
+
+const assigneeNames = (issue) => (issue.assignees || []).map(assignee => assignee.name || assignee.username).join(', ');
+
+// The assignee IDs the issue should have after `userId` buys ('buy') or returns
+// ('return') it. `issue` is the current issue from GitLab.
+function assigneesAfter(action, issue, userId) {
+  const assigneeIds = (issue.assignees || []).map(assignee => assignee.id);
+  const mine = assigneeIds.includes(userId);
+
+  if (issue.state !== 'opened') {
+    throw new IssueActionError(409, 'This issue is closed', {
+      details: 'Only open issues can be bought or returned',
+      code: 'ISSUE_CLOSED'
+    });
+  }
+
+  if (action === 'buy') {
+    if (assigneeIds.length > 0 && !mine) {
+      throw new IssueActionError(409, 'This issue has already been sold', {
+        details: `It is assigned to ${assigneeNames(issue)}`,
+        code: 'ALREADY_SOLD'
+      });
+    }
+    return mine ? assigneeIds : [userId];
+  }
+
+  if (!mine) {
+    throw new IssueActionError(409, 'You have not bought this issue', {
+      details: assigneeIds.length > 0 ? `It is assigned to ${assigneeNames(issue)}` : 'It is not assigned to anyone',
+      code: 'NOT_BOUGHT_BY_YOU'
+    });
+  }
+  return assigneeIds.filter(id => id !== userId);
+}
+
+// GitLab's limit on label names
+const MAX_LABEL_LENGTH = 255;
+
+// { add, remove } label names from a label change request. GitLab takes them as
+// comma-separated lists, so names can't contain commas.
+function parseLabelChanges(body = {}) {
+  const errors = [];
+  const read = (field) => {
+    const value = body[field] ?? [];
+    if (!Array.isArray(value) || value.some(label => typeof label !== 'string')) {
+      errors.push(`${field} must be an array of label names`);
+      return [];
+    }
+    const labels = [...new Set(value.map(label => label.trim()))];
+    labels
+      .filter(label => !label || label.length > MAX_LABEL_LENGTH || label.includes(','))
+      .forEach(label => errors.push(`${JSON.stringify(label)} is not a valid label name`));
+    return labels;
+  };
+
+  const add = read('add');
+  const remove = read('remove');
+  const both = add.filter(label => remove.includes(label));
+  if (both.length > 0) {
+    errors.push(`Labels can't be added and removed at once: ${both.join(', ')}`);
+  }
+  if (errors.length === 0 && add.length === 0 && remove.length === 0) {
+    errors.push('Give labels to add or remove');
+  }
+
+  if (errors.length > 0) {
+    throw new IssueActionError(400, 'Invalid label change', { details: errors.join('; '), code: 'INVALID_LABELS' });
+  }
+  return { add, remove };
+}
+
+// GitLab's update for a label change
+function labelUpdate({ add, remove }) {
+  return {
+    ...(add.length > 0 && { add_labels: add.join(',') }),
+    ...(remove.length > 0 && { remove_labels: remove.join(',') })
+  };
+}
+
+const BULK_ACTIONS = ['assign', 'labels', 'milestone', 'close'];
+
+// The action of a bulk triage job:
+//   { type: 'assign', username }       assign the issues to that user (only)
+//   { type: 'labels', add, remove }    add and remove labels
+//   { type: 'milestone', title }       set the milestone; an empty title removes it
+//   { type: 'close' }
+function parseBulkAction(action) {
+  const invalid = (details) => new IssueActionError(400, 'Invalid bulk action', { details, code: 'INVALID_ACTION' });
+  if (!action || !BULK_ACTIONS.includes(action.type)) {
+    throw invalid(`action.type must be one of ${BULK_ACTIONS.join(', ')}`);
+  }
+
+  switch (action.type) {
+    case 'assign': {
+      const username = typeof action.username === 'string' ? action.username.trim().replace(/^@/, '') : '';
+      if (!username) throw invalid('Give the username to assign the issues to');
+      return { type: 'assign', username };
+    }
+    case 'labels': {
+      try {
+        return { type: 'labels', ...parseLabelChanges(action) };
+      } catch (error) {
+        throw invalid(error.details);
+      }
+    }
+    case 'milestone': {
+      if (action.title !== undefined && action.title !== null && typeof action.title !== 'string') {
+        throw invalid('action.title must be a milestone title');
+      }
+      return { type: 'milestone', title: (action.title || '').trim() };
+    }
+    default:
+      return { type: 'close' };
+  }
+}
+
+// The issues of a bulk triage job: [{ source, projectId, iid }], without duplicates
+function parseBulkTargets(issues, { max }) {
+  if (!Array.isArray(issues) || issues.length === 0) {
+    throw new IssueActionError(400, 'No issues selected', { details: 'Give the issues as [{ source, projectId, iid }]', code: 'INVALID_ISSUES' });
+  }
+
+  const targets = new Map();
+  issues.forEach(issue => {
+    const target = { source: String(issue?.source ?? ''), projectId: Number(issue?.projectId), iid: Number(issue?.iid) };
+    if (!target.source || !Number.isInteger(target.projectId) || !Number.isInteger(target.iid)) {
+      throw new IssueActionError(400, 'Invalid issue', {
+        details: `Not an issue: ${JSON.stringify(issue)}`,
+        code: 'INVALID_ISSUES'
+      });
+    }
+    targets.set(`${target.source}:${target.projectId}:${target.iid}`, target);
+  });
+
+  if (targets.size > max) {
+    throw new IssueActionError(400, 'Too many issues', { details: `At most ${max} issues can be changed at once`, code: 'INVALID_ISSUES' });
+  }
+  return Array.from(targets.values());
+}
+
+// An IssueActionError for a failed GitLab call (or the one that was thrown)
+function toIssueActionError(error) {
+  if (error instanceof IssueActionError) return error;
+
+  const status = error.response?.status;
+  if (error.code === 'LOGIN_EXPIRED' || status === 401) {
+    return new IssueActionError(401, 'Authentication required', {
+      details: 'Your GitLab login has expired. Log in again.',
+      code: 'UNAUTHENTICATED'
+    });
+  }
+  if (status === 403) {
+    return new IssueActionError(403, 'GitLab refused the change', {
+      details: 'You need at least the Reporter role in the project, and logins need the api scope (AUTH_SCOPES=read_user,api)',
+      code: 'GITLAB_FORBIDDEN'
+    });
+  }
+  if (status === 404) {
+    return new IssueActionError(404, 'Issue not found in GitLab', {
+      details: 'It may have been moved or deleted, or you cannot see its project',
+      code: 'ISSUE_NOT_FOUND'
+    });
+  }
+  return new IssueActionError(502, 'GitLab did not accept the change', {
+    details: status ? `GitLab API error: ${status} ${error.response.statusText}` : error.message,
+    code: error.code || 'GITLAB_ERROR'
+  });
+}
+
+module.exports = {
+  IssueActionError,
+  assigneesAfter,
+  parseLabelChanges,
+  labelUpdate,
+  parseBulkAction,
+  parseBulkTargets,
+  toIssueActionError
+};
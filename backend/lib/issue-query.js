@@ -0,0 +1,207 @@
+// Query parameters for /api/issues, applied to the cached Emporium dataset.
+//
+//   project          project ID, name or path (comma-separated; any of them)
+//   assignee         usernames (comma-separated; any of them), `none` or `any`
+//   labels           labels the issue must all have (comma-separated)
+//   not_labels       labels the issue must not have (comma-separated)
+//   milestone        milestone title, `none` or `any`
+//   search           text in the title or description, or an issue number (#123)
+//   created_after    ISO date or time; date-only bounds cover the whole day
+//   created_before
+//   closed_after
+//   closed_before
+//   category         category IDs (comma-separated; see lib/categories.js)
+//   source           GitLab source ID
+//   limit, offset    page of each category (limit up to MAX_LIMIT)
+//
+// List parameters can also be repeated (`labels=a&labels=b`).
+
+const MAX_LIMIT = 500;
+const DAY = 24 * 60 * 60 * 1000;
+
+const FILTER_PARAMS = [
+  'project', 'assignee', 'labels', 'not_labels', 'milestone', 'search',
+  'created_after', 'created_before', 'closed_after', 'closed_before', 'category', 'source'
+];
+
+class IssueQueryError extends Error {
+  constructor(errors) {
+    super(`Invalid query: ${errors.join('; ')}`);
+    this.name = 'IssueQueryError';
+    this.errors = errors;
+  }
+}
+
+// "a,b" or ["a", "b,c"] => ["a", "b", "c"]
+function toList(value) {
+  if (value === undefined) return null;
+  const list = [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+  return list.length > 0 ? list : null;
+}
+
+// Parse a date bound to a timestamp; date-only upper bounds include the whole day
+function parseBound(name, value, errors, { upper = false } = {}) {
+  if (value === undefined) return null;
+  const text = String(value);
+  const time = Date.parse(text);
+  if (!/^\d{4}-\d{2}-\d{2}/.test(text) || Number.isNaN(time)) {
+    errors.push(`${name} must be an ISO date (YYYY-MM-DD) or time`);
+    return null;
+  }
+  return upper && /^\d{4}-\d{2}-\d{2}$/.test(text) ? time + DAY - 1 : time;
+}
+
+function parseCount(name, value, errors, { min, max }) {
+  if (value === undefined) return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    errors.push(`${name} must be a whole number between ${min} and ${max}`);
+    return null;
+  }
+  return number;
+}
+
+// Turn req.query into a normalized query, or throw IssueQueryError. `categoryIds` are
+// the board's categories.
+function parseIssueQuery(query, { categoryIds }) {
+  const errors = [];
+
+  const categories = toList(query.category);
+  (categories || []).filter(category => !categoryIds.includes(category)).forEach(category => {
+    errors.push(`Unknown category "${category}"; use ${categoryIds.join(', ')}`);
+  });
+
+  const parsed = {
+    projects: toList(query.project),
+    assignees: toList(query.assignee),
+    labels: toList(query.labels),
+    notLabels: toList(query.not_labels),
+    milestone: query.milestone !== undefined ? String(query.milestone) : null,
+    search: query.search !== undefined && String(query.search).trim() ? String(query.search).trim() : null,
+    createdAfter: parseBound('created_after', query.created_after, errors),
+    createdBefore: parseBound('created_before', query.created_before, errors, { upper: true }),
+    closedAfter: parseBound('closed_after', query.closed_after, errors),
+    closedBefore: parseBound('closed_before', query.closed_before, errors, { upper: true }),
+    categories,
+    source: query.source !== undefined ? String(query.source) : null,
+    limit: parseCount('limit', query.limit, errors, { min: 1, max: MAX_LIMIT }),
+    offset: parseCount('offset', query.offset, errors, { min: 0, max: Number.MAX_SAFE_INTEGER }) || 0
+  };
+
+  if (errors.length > 0) {
+    throw new IssueQueryError(errors);
+  }
+  return parsed;
+}
+
+// Whether any filter or page parameter is present
+function hasIssueQuery(query) {
+  return [...FILTER_PARAMS, 'limit', 'offset'].some(name => query[name] !== undefined);
+}
+
+function projectPath(issue) {
+  const reference = issue.references?.full || '';
+  return reference.includes('#') ? reference.slice(0, reference.lastIndexOf('#')) : null;
+}
+
+function matchesProject(issue, projects) {
+  return projects.some(project => {
+    const lower = project.toLowerCase();
+    return String(issue.project_id) === project ||
+      (issue.project_name || '').toLowerCase() === lower ||
+      (projectPath(issue) || '').toLowerCase() === lower;
+  });
+}
+
+function matchesAssignee(issue, assignees) {
+  const usernames = (issue.assignees && issue.assignees.length > 0 ? issue.assignees : [issue.assignee])
+    .filter(Boolean)
+    .map(user => (user.username || '').toLowerCase());
+
+  return assignees.some(assignee => {
+    const lower = assignee.toLowerCase();
+    if (lower === 'none') return usernames.length === 0;
+    if (lower === 'any') return usernames.length > 0;
+    return usernames.includes(lower.replace(/^@/, ''));
+  });
+}
+
+function matchesMilestone(issue, milestone) {
+  const lower = milestone.toLowerCase();
+  if (lower === 'none') return !issue.milestone;
+  if (lower === 'any') return !!issue.milestone;
+  return (issue.milestone?.title || '').toLowerCase() === lower;
+}
+
+function matchesSearch(issue, search) {
+  const number = search.match(/^#?(\d+)$/);
+  if (number && issue.iid === Number(number[1])) return true;
+  const lower = search.toLowerCase();
+  return (issue.title || '').toLowerCase().includes(lower) ||
+    (issue.description || '').toLowerCase().includes(lower);
+}
+
+const inRange = (value, after, before) => {
+  if (after === null && before === null) return true;
+  if (!value) return false;
+  const time = Date.parse(value);
+  return (after === null || time >= after) && (before === null || time <= before);
+};
+
+function matchesIssue(issue, query) {
+  const labels = Array.isArray(issue.labels) ? issue.labels : [];
+  return (!query.source || issue.source === query.source) &&
+    (!query.projects || matchesProject(issue, query.projects)) &&
+    (!query.assignees || matchesAssignee(issue, query.assignees)) &&
+    (!query.labels || query.labels.every(label => labels.includes(label))) &&
+    (!query.notLabels || !query.notLabels.some(label => labels.includes(label))) &&
+    (query.milestone === null || matchesMilestone(issue, query.milestone)) &&
+    (!query.search || matchesSearch(issue, query.search)) &&
+    inRange(issue.created_at, query.createdAfter, query.createdBefore) &&
+    inRange(issue.closed_at, query.closedAfter, query.closedBefore);
+}
+
+// Filter and page the categorized dataset. Categories keep their order; `total`
+// counts every match and `pagination` says which slice of each category was returned.
+function applyIssueQuery(data, query) {
+  const issues = {};
+  const pagination = {};
+
+  const categories = Object.keys(data.issues);
+  categories.forEach(category => {
+    const matching = query.categories && !query.categories.includes(category)
+      ? []
+      : (data.issues[category] || []).filter(issue => matchesIssue(issue, query));
+    const end = query.limit !== null ? query.offset + query.limit : undefined;
+    issues[category] = matching.slice(query.offset, end);
+    pagination[category] = {
+      total: matching.length,
+      offset: query.offset,
+      limit: query.limit,
+      returned: issues[category].length
+    };
+  });
+
+  return {
+    ...data,
+    issues,
+    // Issues no category shows only match when no categories were asked for
+    uncategorized: query.categories ? [] : (data.uncategorized || []).filter(issue => matchesIssue(issue, query)),
+    total: categories.reduce((sum, category) => sum + pagination[category].total, 0),
+    unfilteredTotal: data.total,
+    pagination
+  };
+}
+
+module.exports = {
+  IssueQueryError,
+  toList,
+  parseIssueQuery,
+  hasIssueQuery,
+  applyIssueQuery,
+  matchesAssignee,
+  matchesMilestone
+};
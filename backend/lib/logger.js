@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Leveled, structured logging.
+//
+//   logger.info('Refreshed dataset', { dataset: 'issues', durationMs: 120 });
+//
+// 'json' format writes one JSON object per line (for production log collectors);
+// 'pretty' writes a readable line with the fields as key=value. Lines logged while
+// handling a request carry its requestId (see requestLogging), including the GitLab
+// calls made for it. Tokens, cookies, secrets and passwords are redacted from
+// messages and fields, and errors are reduced to their name, message, code, status
+// and URL, so axios errors never dump their Authorization header.
+
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+const LEVEL_EMOJI = { error: '❌', warn: '⚠️ ', info: 'ℹ️ ', debug: '🔍' };
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY = /authorization|cookie|token|secret|passw(or)?d|api[-_]?key|session/i;
+const SENSITIVE_PATTERNS = [
+  [/\b(Bearer|Basic)\s+[\w.~+/=-]+/gi, `$1 ${REDACTED}`],
+  [/\bglpat-[\w-]{10,}/g, REDACTED],
+  [/([?&](?:private_token|access_token|token|secret)=)[^&\s]+/gi, `$1${REDACTED}`]
+];
+const MAX_DEPTH = 6;
+
+const context = new AsyncLocalStorage();
+
+function redactString(text) {
+  return SENSITIVE_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+// Errors become plain objects without request configs or headers
+function serializeError(error) {
+  return redact({
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    status: error.response?.status,
+    method: error.config?.method?.toUpperCase(),
+    url: error.config?.url,
+    stack: error.stack
+  });
+}
+
+// A copy of `value` with sensitive keys and token-like strings redacted
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return '[Object]';
+  seen.add(value);
+
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1, seen));
+
+  const copy = {};
+  Object.entries(value).forEach(([key, item]) => {
+    if (item === undefined) return;
+    copy[key] = SENSITIVE_KEY.test(key) && item !== null && typeof item !== 'boolean' ? REDACTED : redact(item, depth + 1, seen);
+  });
+  return copy;
+}
+
+function formatPretty(entry) {
+  const { time, level, msg, stack, ...fields } = entry;
+  const details = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' && !/\s/.test(value) ? value : JSON.stringify(value)}`)
+    .join(' ');
+  const line = `${time.slice(11, 23)} ${LEVEL_EMOJI[level]} ${msg}${details ? ` ${details}` : ''}`;
+  return stack ? `${line}\n${stack}` : line;
+}
+
+class Logger {
+  constructor({ level = 'info', format = 'pretty' } = {}) {
+    this.configure({ level, format });
+  }
+
+  configure({ level, format }) {
+    if (level) {
+      if (!LEVELS.includes(level)) throw new Error(`Unknown log level "${level}"; use ${LEVELS.join(', ')}`);
+      this.level = level;
+    }
+    if (format) this.format = format;
+  }
+
+  isEnabled(level) {
+    return LEVELS.indexOf(level) <= LEVELS.indexOf(this.level);
+  }
+
+  log(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const { error, ...rest } = fields;
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: redactString(String(msg)),
+      ...context.getStore(),
+      ...redact(rest)
+    };
+    if (error !== undefined) {
+      const serialized = error instanceof Error ? serializeError(error) : { message: redact(String(error)) };
+      // Stacks are noise for expected failures; show them at debug level
+      const { stack, ...summary } = serialized;
+      entry.error = summary;
+      if (this.isEnabled('debug') && stack) entry.stack = stack;
+    }
+
+    const output = this.format === 'json' ? JSON.stringify(entry) : formatPretty(entry);
+    (level === 'error' || level === 'warn' ? process.stderr : process.stdout).write(`${output}\n`);
+  }
+
+  error(msg, fields) { this.log('error', msg, fields); }
+  warn(msg, fields) { this.log('warn', msg, fields); }
+  info(msg, fields) { this.log('info', msg, fields); }
+  debug(msg, fields) { this.log('debug', msg, fields); }
+}
+
+// Defaults until the configuration is loaded: LOG_LEVEL, LOG_FORMAT, and JSON in production
+const logger = new Logger({
+  level: LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info',
+  format: process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty')
+});
+
+// Apply the `logging` settings; a missing format keeps the environment-based default
+function configureLogger({ level, format } = {}) {
+  logger.configure({ level, format });
+}
+
+// Run `fn` with extra fields on every line it logs (nested contexts add to the outer one)
+function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// Express middleware: give each request an ID (the caller's X-Request-Id when it looks
+// safe), echo it in the response, and log the request when it finishes. Requests
+// `isQuiet(req)` picks out (static files, health checks) are logged at debug level.
+function requestLogging({ isQuiet = () => false } = {}) {
+  return (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    const startedAt = Date.now();
+    // Decided up front: mounted routers change req.path while the request is handled
+    const level = isQuiet(req) ? 'debug' : 'info';
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    res.on('finish', () => {
+      logger.log(level, 'Request finished', {
+        requestId,
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        durationMs: Date.now() - startedAt
+      });
+    });
+
+    context.run({ requestId }, next);
+  };
+}
+
+module.exports = {
+  LEVELS,
+  logger,
+  configureLogger,
+  withLogContext,
+  requestLogging,
+  redact
+};
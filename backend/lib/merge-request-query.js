@@ -0,0 +1,103 @@
+const { toList } = require('./issue-query');
+
+// Query parameters for /api/merge-requests and its export. They are the MR Medic
+// filters, applied to the cached merge requests dataset.
+//
+//   draft      `draft` or `ready`
+//   approval   `approved`, `needs_approval` or `no_approval_required`
+//   assignee   assignee names or usernames (comma-separated; any of them)
+//   author     author names or usernames (comma-separated; any of them)
+//   project    project paths (comma-separated; any of them)
+//   source     GitLab source ID
+//   sort       `desc` (newest first, the default) or `asc`
+
+const DRAFT_STATES = ['draft', 'ready'];
+const APPROVAL_STATES = ['approved', 'needs_approval', 'no_approval_required'];
+const SORT_ORDERS = ['desc', 'asc'];
+
+const FILTER_PARAMS = ['draft', 'approval', 'assignee', 'author', 'project', 'source', 'sort'];
+
+class MergeRequestQueryError extends Error {
+  constructor(errors) {
+    super(`Invalid query: ${errors.join('; ')}`);
+    this.name = 'MergeRequestQueryError';
+    this.errors = errors;
+  }
+}
+
+function parseChoice(name, value, choices, errors) {
+  if (value === undefined) return null;
+  const text = String(value);
+  if (!choices.includes(text)) {
+    errors.push(`${name} must be one of ${choices.join(', ')}`);
+    return null;
+  }
+  return text;
+}
+
+// Turn req.query into a normalized query, or throw MergeRequestQueryError
+function parseMergeRequestQuery(query) {
+  const errors = [];
+
+  const parsed = {
+    draft: parseChoice('draft', query.draft, DRAFT_STATES, errors),
+    approval: parseChoice('approval', query.approval, APPROVAL_STATES, errors),
+    assignees: toList(query.assignee),
+    authors: toList(query.author),
+    projects: toList(query.project),
+    source: query.source !== undefined ? String(query.source) : null,
+    sort: parseChoice('sort', query.sort, SORT_ORDERS, errors) || 'desc'
+  };
+
+  if (errors.length > 0) {
+    throw new MergeRequestQueryError(errors);
+  }
+  return parsed;
+}
+
+function hasMergeRequestQuery(query) {
+  return FILTER_PARAMS.some(name => query[name] !== undefined);
+}
+
+// Approval state the way MR Medic shows it
+function approvalState(mr) {
+  const required = mr.approvals?.approvals_required ?? 0;
+  const left = mr.approvals?.approvals_left ?? Math.max(required - (mr.approvals?.approved_by?.length || 0), 0);
+  if (required === 0) return 'no_approval_required';
+  return left === 0 ? 'approved' : 'needs_approval';
+}
+
+const matchesPerson = (person, names) => !!person &&
+  names.some(name => name === person.name || name === person.username);
+
+function matchesMergeRequest(mr, query) {
+  return (!query.source || mr.source === query.source) &&
+    (!query.draft || (query.draft === 'draft') === !!mr.is_draft) &&
+    (!query.approval || approvalState(mr) === query.approval) &&
+    (!query.assignees || (mr.assignees || []).some(assignee => matchesPerson(assignee, query.assignees))) &&
+    (!query.authors || matchesPerson(mr.author, query.authors)) &&
+    (!query.projects || query.projects.includes(mr.project_path));
+}
+
+// Filter and sort the dataset by creation date; `total` counts the matches
+function applyMergeRequestQuery(data, query) {
+  const direction = query.sort === 'asc' ? 1 : -1;
+  const mergeRequests = data.merge_requests
+    .filter(mr => matchesMergeRequest(mr, query))
+    .sort((a, b) => direction * (Date.parse(a.created_at) - Date.parse(b.created_at)));
+
+  return {
+    ...data,
+    merge_requests: mergeRequests,
+    total: mergeRequests.length,
+    unfilteredTotal: data.total
+  };
+}
+
+module.exports = {
+  MergeRequestQueryError,
+  parseMergeRequestQuery,
+  hasMergeRequestQuery,
+  applyMergeRequestQuery,
+  approvalState
+};
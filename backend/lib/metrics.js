@@ -0,0 +1,156 @@
+// Prometheus metrics in the text exposition format (served on /metrics).
+//
+// Counters and histograms are updated as things happen; gauges are read from a
+// `collect` callback on every scrape, so they always match the cached boards.
+
+const { logger } = require('./logger');
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Values of `labelNames` in `labels`, as a map key
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+
+const labelsOf = (labelNames, key) => {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+};
+
+class Counter {
+  constructor({ name, help, labelNames = [] }) {
+    Object.assign(this, { name, help, labelNames, type: 'counter' });
+    this.values = new Map();
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = seriesKey(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  lines() {
+    return Array.from(this.values, ([key, value]) => `${this.name}${formatLabels(labelsOf(this.labelNames, key))} ${value}`);
+  }
+}
+
+class Histogram {
+  constructor({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    Object.assign(this, { name, help, labelNames, buckets, type: 'histogram' });
+    this.values = new Map();
+  }
+
+  observe(labels, value) {
+    const key = seriesKey(this.labelNames, labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, { counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+    const series = this.values.get(key);
+    this.buckets.forEach((bucket, index) => {
+      if (value <= bucket) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Start a timer; calling the returned function records the elapsed seconds
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      this.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+    };
+  }
+
+  lines() {
+    const lines = [];
+    this.values.forEach((series, key) => {
+      const labels = labelsOf(this.labelNames, key);
+      this.buckets.forEach((bucket, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bucket })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${series.count}`);
+    });
+    return lines;
+  }
+}
+
+// `collect()` returns [{ labels, value }] at scrape time
+class Gauge {
+  constructor({ name, help, collect }) {
+    Object.assign(this, { name, help, collect, type: 'gauge' });
+  }
+
+  lines() {
+    return this.collect().map(({ labels = {}, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(options) {
+    return this.add(new Counter(options));
+  }
+
+  histogram(options) {
+    return this.add(new Histogram(options));
+  }
+
+  gauge(options) {
+    return this.add(new Gauge(options));
+  }
+
+  add(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    const blocks = this.metrics.map(metric => {
+      let lines;
+      try {
+        lines = metric.lines();
+      } catch (error) {
+        logger.warn('Failed to collect metric', { metric: metric.name, error });
+        lines = [];
+      }
+      return [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...lines].join('\n');
+    });
+    return `${blocks.join('\n')}\n`;
+  }
+}
+
+// A GitLab API path with IDs replaced, so it can be used as a label:
+// /projects/123/issues/4/notes => /projects/:id/issues/:id/notes
+function endpointTemplate(url) {
+  const path = String(url || '').replace(/^https?:\/\/[^/]+/, '').split('?')[0];
+  return path
+    .split('/')
+    .map(segment => (/^\d+$/.test(segment) || segment.includes('%2F') ? ':id' : segment))
+    .join('/') || '/';
+}
+
+// Cache keys grouped for metrics: dataset snapshots by name, GitLab calls by endpoint
+function cacheNamespace(key) {
+  const [kind, name, endpoint] = key.split(':');
+  if (kind === 'dataset') return `dataset:${name}`;
+  if (kind === 'gitlab') return `gitlab:${endpointTemplate(endpoint)}`;
+  return kind;
+}
+
+module.exports = {
+  MetricsRegistry,
+  endpointTemplate,
+  cacheNamespace
+};
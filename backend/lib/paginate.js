@@ -0,0 +1,87 @@
+// Shared GitLab paginator.
+//
+// Follows GitLab's pagination headers instead of guessing from page sizes:
+// `X-Next-Page` for offset pagination and the `Link: <...>; rel="next"` header for
+// keyset pagination (or when X-Next-Page is omitted, which GitLab does for large
+// collections). Failed pages are not retried here: the client (a GitlabRequestScheduler)
+// already retries every call. If a later page fails, what was fetched so far is
+// returned and the result is marked partial with a warning.
+
+const { logger } = require('./logger');
+
+// Extract the rel="next" URL from a Link header
+function parseNextLink(linkHeader) {
+  if (!linkHeader) return null;
+  const parts = linkHeader.split(',');
+  for (const part of parts) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="?next"?/);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+async function fetchAllPages(client, endpoint, params = {}, options = {}) {
+  const {
+    perPage = 100,
+    maxPages = 1000,
+    label = endpoint
+  } = options;
+
+  const items = [];
+  const warnings = [];
+  let page = 1;
+  // Either { url, params } for offset pages or { url } for a Link header URL
+  let request = { url: endpoint, params: { ...params, per_page: perPage, page: 1 } };
+
+  while (request && page <= maxPages) {
+    let response;
+    try {
+      response = await client.get(request.url, request.params ? { params: request.params } : {});
+    } catch (error) {
+      // Nothing fetched at all: let the caller fail instead of reporting an empty board
+      if (page === 1) throw error;
+
+      const message = `Failed to fetch ${label} page ${page}: ${error.message}. Results are incomplete.`;
+      logger.error(message);
+      warnings.push(message);
+      break;
+    }
+
+    const pageItems = Array.isArray(response.data) ? response.data : [];
+    items.push(...pageItems);
+    logger.debug('Fetched page', { label, page, items: pageItems.length, total: items.length });
+
+    const headers = response.headers || {};
+    const nextPage = headers['x-next-page'];
+    const nextLink = parseNextLink(headers.link);
+
+    if (nextPage) {
+      request = { url: endpoint, params: { ...params, per_page: perPage, page: parseInt(nextPage, 10) } };
+    } else if (nextLink) {
+      request = { url: nextLink };
+    } else if (nextPage === undefined && !headers.link && pageItems.length === perPage) {
+      // No pagination headers at all (e.g. stripped by a proxy): fall back to page size
+      request = { url: endpoint, params: { ...params, per_page: perPage, page: page + 1 } };
+    } else {
+      request = null;
+    }
+    page++;
+  }
+
+  if (request && page > maxPages) {
+    const message = `Stopped fetching ${label} after ${maxPages} pages. Results are incomplete.`;
+    logger.warn(message);
+    warnings.push(message);
+  }
+
+  return {
+    items,
+    partial: warnings.length > 0,
+    warnings
+  };
+}
+
+module.exports = {
+  fetchAllPages,
+  parseNextLink
+};
@@ -0,0 +1,227 @@
+const EventEmitter = require('events');
+const { logger, withLogContext } = require('./logger');
+
+// Stale-while-revalidate refresher for the board datasets.
+//
+// Each dataset is kept as a snapshot in the cache store. Requests are always
+// answered from the last good snapshot; the scheduler re-loads snapshots in the
+// background before they go stale. A failed refresh keeps the previous snapshot.
+//
+// Emits 'update' ({ name, reason: 'refresh' | 'patch', refreshedAt, patchedAt })
+// whenever a snapshot changes.
+class DatasetRefresher extends EventEmitter {
+  constructor({ getCachedData, peekCachedData, setCachedData, refreshInterval, staleAfter, snapshotTtl, tickInterval = 30 * 1000 }) {
+    super();
+    this.getCachedData = getCachedData;
+    this.peekCachedData = peekCachedData || getCachedData;
+    this.setCachedData = setCachedData;
+    this.refreshInterval = refreshInterval;
+    this.staleAfter = staleAfter;
+    this.snapshotTtl = snapshotTtl;
+    this.tickInterval = Math.min(tickInterval, refreshInterval);
+    this.datasets = new Map();
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  // Register a dataset. `key` returns the cache key of the snapshot and `load`
+  // builds a fresh copy of the dataset from GitLab.
+  register(name, { key, load }) {
+    this.datasets.set(name, {
+      name,
+      key,
+      load,
+      inFlight: null,
+      lastAttemptAt: null,
+      lastError: null
+    });
+  }
+
+  getDataset(name) {
+    const dataset = this.datasets.get(name);
+    if (!dataset) {
+      throw new Error(`Unknown dataset: ${name}`);
+    }
+    return dataset;
+  }
+
+  getSnapshot(name, { quiet = false } = {}) {
+    const dataset = this.getDataset(name);
+    const read = quiet ? this.peekCachedData : this.getCachedData;
+    return read(dataset.key(), this.snapshotTtl);
+  }
+
+  snapshotAge(snapshot) {
+    if (!snapshot || !snapshot.refreshedAt) return Infinity;
+    return Date.now() - new Date(snapshot.refreshedAt).getTime();
+  }
+
+  // Load a dataset from GitLab and store it as the new snapshot. Concurrent
+  // callers share the same in-flight refresh.
+  refresh(name) {
+    const dataset = this.getDataset(name);
+    if (dataset.inFlight) {
+      return dataset.inFlight;
+    }
+
+    dataset.lastAttemptAt = Date.now();
+    dataset.inFlight = (async () => {
+      const startedAt = Date.now();
+      try {
+        const data = await withLogContext({ dataset: name }, () => dataset.load());
+        const snapshot = { data, refreshedAt: new Date().toISOString() };
+        this.setCachedData(dataset.key(), snapshot, this.snapshotTtl);
+        dataset.lastError = null;
+        logger.info('Refreshed dataset', { dataset: name, durationMs: Date.now() - startedAt });
+        this.emit('update', { name, reason: 'refresh', refreshedAt: snapshot.refreshedAt, patchedAt: null });
+        return snapshot;
+      } catch (error) {
+        dataset.lastError = {
+          message: error.message,
+          code: error.code || 'UNKNOWN_ERROR',
+          at: new Date().toISOString()
+        };
+        logger.error('Failed to refresh dataset', { dataset: name, error });
+        throw error;
+      } finally {
+        dataset.inFlight = null;
+      }
+    })();
+
+    return dataset.inFlight;
+  }
+
+  // Change the current snapshot in place (e.g. for one issue reported by a webhook)
+  // instead of reloading the whole dataset. `update` receives the dataset and returns
+  // the new one. A refresh that is running may have read GitLab before the change, so
+  // the update is applied again once it lands. Returns false when there is no snapshot.
+  patch(name, update) {
+    const dataset = this.getDataset(name);
+    const snapshot = this.getSnapshot(name, { quiet: true });
+    if (!snapshot) return false;
+
+    const patchedAt = new Date().toISOString();
+    this.setCachedData(dataset.key(), {
+      ...snapshot,
+      data: update(snapshot.data),
+      patchedAt
+    }, this.snapshotTtl);
+    this.emit('update', { name, reason: 'patch', refreshedAt: snapshot.refreshedAt, patchedAt });
+
+    if (dataset.inFlight) {
+      dataset.inFlight.then(() => this.patch(name, update), () => {});
+    }
+    return true;
+  }
+
+  // Reload a dataset soon because something in it changed. A refresh that is already
+  // running may have read GitLab before the change, so another one follows it.
+  invalidate(name) {
+    const dataset = this.getDataset(name);
+    const reload = () => this.refresh(name).catch(() => {});
+    if (dataset.inFlight) {
+      dataset.inFlight.then(reload, reload);
+    } else {
+      reload();
+    }
+  }
+
+  // Return the current snapshot of a dataset with its freshness metadata.
+  // Only waits on GitLab when there is no snapshot at all.
+  async get(name) {
+    const dataset = this.getDataset(name);
+    let snapshot = this.getSnapshot(name);
+
+    if (!snapshot) {
+      snapshot = await this.refresh(name);
+    } else if (this.snapshotAge(snapshot) >= this.refreshInterval && !dataset.inFlight) {
+      // Serve what we have and catch up in the background
+      this.refresh(name).catch(() => {});
+    }
+
+    return {
+      ...snapshot.data,
+      stale: this.snapshotAge(snapshot) >= this.staleAfter,
+      refreshedAt: snapshot.refreshedAt,
+      patchedAt: snapshot.patchedAt || null,
+      refreshing: !!dataset.inFlight,
+      lastRefreshError: dataset.lastError
+    };
+  }
+
+  // Refresh every dataset whose snapshot is due, one at a time so the
+  // background work never competes with itself for GitLab capacity.
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      await this.refreshDue();
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async refreshDue() {
+    for (const dataset of this.datasets.values()) {
+      if (dataset.inFlight) continue;
+
+      const age = this.snapshotAge(this.getSnapshot(dataset.name, { quiet: true }));
+      // Back off after a failure instead of retrying on every tick
+      const sinceAttempt = dataset.lastAttemptAt ? Date.now() - dataset.lastAttemptAt : Infinity;
+      if (age < this.refreshInterval || (dataset.lastError && sinceAttempt < this.refreshInterval)) {
+        continue;
+      }
+
+      try {
+        await this.refresh(dataset.name);
+      } catch (_error) {
+        // Already logged; the previous snapshot stays in place
+      }
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    logger.info('Background refresh started', { intervalMinutes: this.refreshInterval / 1000 / 60, datasets: Array.from(this.datasets.keys()) });
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Change the refresh interval, restarting the schedule if it is running
+  setRefreshInterval(refreshInterval, tickInterval = 30 * 1000) {
+    this.refreshInterval = refreshInterval;
+    this.tickInterval = Math.min(tickInterval, refreshInterval);
+    if (this.timer) {
+      this.stop();
+      this.start();
+    }
+  }
+
+  status() {
+    return Array.from(this.datasets.values()).map(dataset => {
+      const snapshot = this.getSnapshot(dataset.name, { quiet: true });
+      const age = this.snapshotAge(snapshot);
+      return {
+        name: dataset.name,
+        refreshedAt: snapshot ? snapshot.refreshedAt : null,
+        age: Number.isFinite(age) ? age : null,
+        stale: age >= this.staleAfter,
+        refreshing: !!dataset.inFlight,
+        lastError: dataset.lastError
+      };
+    });
+  }
+}
+
+module.exports = {
+  DatasetRefresher
+};
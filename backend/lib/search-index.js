@@ -0,0 +1,158 @@
+// In-memory full-text index over the cached boards (see /api/search).
+//
+// Documents are issues, merge requests, Funhouse features and Race issues. Their
+// title, labels, project, people and description are tokenized into an inverted
+// index with a weight per field. A query matches documents that contain every
+// query word (the last word may be a prefix, for search-as-you-type); results are
+// ranked by the summed field weights, with bonuses for the whole query appearing in
+// the title and for issue/MR numbers (#12, !12).
+
+const FIELD_WEIGHTS = {
+  title: 5,
+  labels: 3,
+  project: 2,
+  people: 2,
+  description: 1
+};
+const PREFIX_FACTOR = 0.5;
+const TITLE_PHRASE_BONUS = 5;
+const NUMBER_BONUS = 20;
+const SNIPPET_RADIUS = 60;
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// A short excerpt of `text` around the first query word it contains
+function snippetFor(text, words) {
+  if (!text) return null;
+  const lower = text.toLowerCase();
+  const positions = words.map(word => lower.indexOf(word)).filter(position => position >= 0);
+  if (positions.length === 0) return null;
+
+  const position = Math.min(...positions);
+  const start = Math.max(0, position - SNIPPET_RADIUS);
+  const end = Math.min(text.length, position + SNIPPET_RADIUS);
+  const excerpt = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${excerpt}${end < text.length ? '…' : ''}`;
+}
+
+class SearchIndex {
+  constructor() {
+    this.documents = [];
+    // token => Map(document index => weight)
+    this.postings = new Map();
+    this.builtAt = null;
+  }
+
+  // Replace the indexed documents. Each document has the searchable fields
+  // (title, description, labels, project, people) plus whatever the results carry.
+  build(documents) {
+    this.documents = documents;
+    this.postings = new Map();
+
+    documents.forEach((document, index) => {
+      Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+        const value = document[field];
+        const text = Array.isArray(value) ? value.join(' ') : value;
+        new Set(tokenize(text)).forEach(token => {
+          if (!this.postings.has(token)) this.postings.set(token, new Map());
+          const posting = this.postings.get(token);
+          posting.set(index, (posting.get(index) || 0) + weight);
+        });
+      });
+    });
+
+    this.builtAt = new Date().toISOString();
+  }
+
+  // Documents containing `word` (or, for the last word, a word starting with it)
+  // => weight
+  match(word, { prefix }) {
+    const scores = new Map(this.postings.get(word) || []);
+    if (prefix) {
+      this.postings.forEach((posting, token) => {
+        if (token === word || !token.startsWith(word)) return;
+        posting.forEach((weight, index) => {
+          scores.set(index, Math.max(scores.get(index) || 0, weight * PREFIX_FACTOR));
+        });
+      });
+    }
+    return scores;
+  }
+
+  // Ranked results for a query: { total, counts (per type), results }
+  search(query, { types = null, filter = () => true, limit = 20 } = {}) {
+    const words = tokenize(query);
+    if (words.length === 0) return { total: 0, counts: {}, results: [] };
+
+    // Every word must match; the last one may still be being typed
+    let scores = null;
+    words.forEach((word, position) => {
+      const matches = this.match(word, { prefix: position === words.length - 1 });
+      const next = new Map();
+      matches.forEach((weight, index) => {
+        if (scores === null || scores.has(index)) {
+          next.set(index, (scores ? scores.get(index) : 0) + weight);
+        }
+      });
+      scores = next;
+    });
+
+    const phrase = words.join(' ');
+    const number = query.trim().match(/^([#!]?)(\d+)$/);
+    const numberMatches = (document) => !!number && document.iid === Number(number[2]) &&
+      (!number[1] || document.reference.startsWith(number[1]));
+
+    // Issue and MR numbers match even when the number isn't in the text
+    if (number) {
+      this.documents.forEach((document, index) => {
+        if (numberMatches(document) && !scores.has(index)) scores.set(index, 0);
+      });
+    }
+
+    const ranked = [];
+    scores.forEach((score, index) => {
+      const document = this.documents[index];
+      if ((types && !types.includes(document.type)) || !filter(document)) return;
+
+      let total = score;
+      if (words.length > 1 && tokenize(document.title).join(' ').includes(phrase)) total += TITLE_PHRASE_BONUS;
+      if (numberMatches(document)) total += NUMBER_BONUS;
+      ranked.push({ document, score: Math.round(total * 10) / 10 });
+    });
+
+    ranked.sort((a, b) =>
+      b.score - a.score ||
+      // Open work first, then the most recently updated
+      (a.document.state === 'closed') - (b.document.state === 'closed') ||
+      String(b.document.updated_at || '').localeCompare(String(a.document.updated_at || ''))
+    );
+
+    const counts = {};
+    ranked.forEach(({ document }) => {
+      counts[document.type] = (counts[document.type] || 0) + 1;
+    });
+
+    return {
+      total: ranked.length,
+      counts,
+      results: ranked.slice(0, limit).map(({ document, score }) => {
+        const { description, ...result } = document;
+        return { ...result, score, snippet: snippetFor(description, words) };
+      })
+    };
+  }
+
+  stats() {
+    return {
+      documents: this.documents.length,
+      tokens: this.postings.size,
+      builtAt: this.builtAt
+    };
+  }
+}
+
+module.exports = {
+  SearchIndex
+};
@@ -0,0 +1,119 @@
+// HTTP hardening: security headers and per-client rate limiting.
+
+// A Content-Security-Policy the Vite build works with: scripts and styles are files
+// served from this origin, React sets inline style attributes, and avatars come from
+// GitLab (or Gravatar). `imageOrigins` adds GitLab instances that aren't on HTTPS.
+function defaultContentSecurityPolicy({ imageOrigins = [] } = {}) {
+  return [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self' 'unsafe-inline'",
+    `img-src ${["'self'", 'data:', 'https:', ...imageOrigins].join(' ')}`,
+    "font-src 'self' data:",
+    "connect-src 'self'",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+  ].join('; ');
+}
+
+// Express middleware setting security headers on every response. `getOptions(req)`
+// returns { contentSecurityPolicy, hsts }; HSTS is only sent for HTTPS deployments.
+function securityHeaders(getOptions) {
+  return (req, res, next) => {
+    const { contentSecurityPolicy, hsts } = getOptions(req);
+    res.set({
+      'Content-Security-Policy': contentSecurityPolicy,
+      'X-Content-Type-Options': 'nosniff',
+      'X-Frame-Options': 'DENY',
+      'Referrer-Policy': 'strict-origin-when-cross-origin',
+      'Cross-Origin-Opener-Policy': 'same-origin',
+      'Permissions-Policy': 'camera=(), microphone=(), geolocation=()'
+    });
+    if (hsts) {
+      res.set('Strict-Transport-Security', 'max-age=15552000; includeSubDomains');
+    }
+    next();
+  };
+}
+
+// Token buckets per client: `limit` requests per minute, refilled continuously, so a
+// client can burst up to the limit and then continues at the average rate.
+class RateLimiter {
+  constructor({ limit, windowMs = 60 * 1000, pruneInterval = 60 * 1000 }) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.buckets = new Map();
+    this.timer = setInterval(() => this.prune(), pruneInterval);
+    this.timer.unref();
+  }
+
+  setLimit(limit) {
+    this.limit = limit;
+  }
+
+  get enabled() {
+    return this.limit > 0;
+  }
+
+  // Take a token for `key`: { allowed, limit, remaining, retryAfterMs, resetMs }
+  take(key, now = Date.now()) {
+    const rate = this.limit / this.windowMs;
+    const bucket = this.buckets.get(key) || { tokens: this.limit, updatedAt: now };
+    bucket.tokens = Math.min(this.limit, bucket.tokens + (now - bucket.updatedAt) * rate);
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+    this.buckets.set(key, bucket);
+
+    return {
+      allowed,
+      limit: this.limit,
+      remaining: Math.floor(bucket.tokens),
+      retryAfterMs: allowed ? 0 : Math.ceil((1 - bucket.tokens) / rate),
+      resetMs: Math.ceil((this.limit - bucket.tokens) / rate)
+    };
+  }
+
+  // Forget clients whose bucket has filled up again
+  prune(now = Date.now()) {
+    this.buckets.forEach((bucket, key) => {
+      if (now - bucket.updatedAt >= this.windowMs) this.buckets.delete(key);
+    });
+  }
+
+  stats() {
+    return { limitPerMinute: this.limit, clients: this.buckets.size };
+  }
+}
+
+// Express middleware limiting each client IP; requests `skip(req)` picks out don't count
+function rateLimit(limiter, { skip = () => false } = {}) {
+  return (req, res, next) => {
+    if (!limiter.enabled || skip(req)) return next();
+
+    const result = limiter.take(req.ip);
+    res.set({
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000))
+    });
+    if (result.allowed) return next();
+
+    res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+    res.status(429).json({
+      error: 'Too many requests',
+      details: `At most ${result.limit} API requests per minute are allowed from one address`,
+      code: 'RATE_LIMITED'
+    });
+  };
+}
+
+module.exports = {
+  defaultContentSecurityPolicy,
+  securityHeaders,
+  RateLimiter,
+  rateLimit
+};
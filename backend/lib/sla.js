@@ -0,0 +1,67 @@
+// SLA policies for Emporium issues.
+//
+// A policy applies to issues in one Emporium category, optionally only to priority
+// issues or issues with certain labels. An issue that has been in that category for
+// longer than the policy's maxDays is flagged at the policy's level ('breached' or
+// 'at-risk'). Time in a category comes from the issue's timings (see lib/timings.js)
+// and the category's role: for-sale counts from when the issue was listed, in-progress
+// from when it was bought.
+
+const { logger } = require('./logger');
+
+const LEVELS = ['breached', 'at-risk'];
+
+const AGE_FIELDS = {
+  'for-sale': 'forSaleDays',
+  'in-progress': 'soldDays'
+};
+
+// Configured policies with the role of their category; policies for a category that
+// does not exist or has no role could never apply, so they are logged and skipped
+function parseSlaPolicies(policies, categories) {
+  return policies.flatMap(policy => {
+    const category = categories.find(candidate => candidate.id === policy.category);
+    if (!category || !AGE_FIELDS[category.role]) {
+      logger.error(category
+        ? 'SLA policy category has no role, skipping the policy'
+        : 'SLA policy names an unknown Emporium category, skipping the policy', { policy: policy.id, category: policy.category });
+      return [];
+    }
+    return [{ ...policy, role: category.role }];
+  });
+}
+
+function policyApplies(policy, issue, { priorityLabel }) {
+  const labels = Array.isArray(issue.labels) ? issue.labels : [];
+  if (policy.priority && !labels.includes(priorityLabel)) return false;
+  return (policy.labels || []).every(label => labels.includes(label));
+}
+
+// SLA flags for one issue in a category: [{ policy, name, level, ageDays, maxDays, overByDays }]
+function evaluateIssueSla(issue, category, timing, policies, { priorityLabel }) {
+  if (!timing) return [];
+
+  return policies
+    .filter(policy => policy.category === category && policyApplies(policy, issue, { priorityLabel }))
+    .map(policy => ({ policy, ageDays: timing[AGE_FIELDS[policy.role]] }))
+    .filter(({ policy, ageDays }) => ageDays !== null && ageDays > policy.maxDays)
+    .map(({ policy, ageDays }) => ({
+      policy: policy.id,
+      name: policy.name || policy.id,
+      level: policy.level || 'breached',
+      ageDays,
+      maxDays: policy.maxDays,
+      overByDays: Math.round((ageDays - policy.maxDays) * 10) / 10
+    }));
+}
+
+// The more serious level among an issue's flags
+function worstLevel(flags) {
+  return LEVELS.find(level => flags.some(flag => flag.level === level)) || null;
+}
+
+module.exports = {
+  parseSlaPolicies,
+  evaluateIssueSla,
+  worstLevel
+};
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const https = require('https');
+const axios = require('axios');
+const { logger } = require('./logger');
+const { GitlabRequestScheduler } = require('./gitlab-scheduler');
+const { FunhouseGraphqlLoader } = require('./funhouse-graphql');
+
+// GitLab sources: each one is a group on a GitLab instance with its own endpoint,
+// token and CA certificate. Every board merges the data of all configured sources.
+//
+// Sources come from the `gitlab.sources` setting (GITLAB_SOURCES, a JSON array) or
+// `gitlab.sourcesFile` (GITLAB_SOURCES_FILE, path to a JSON file with the same array).
+// Without either, the single-source gitlab.endpoint/token/groupId/caCertPath settings
+// are used, so existing deployments keep working unchanged. Example entry:
+//
+//   { "id": "internal", "name": "Internal GitLab", "endpoint": "https://gitlab.internal",
+//     "tokenEnv": "INTERNAL_GITLAB_TOKEN", "groupId": "42", "caCertPath": "/certs/ca.pem" }
+//
+// `tokenEnv` names an environment variable holding the token, so tokens don't have to
+// live in the sources JSON; a literal `token` is accepted too. `webhookSecret` (or
+// `webhookSecretEnv`) sets a per-source webhook secret.
+
+// Create HTTPS agent with custom CA certificate if provided
+function createHttpsAgent(caCertPath, label = 'GitLab') {
+  if (caCertPath && fs.existsSync(caCertPath)) {
+    try {
+      const caCert = fs.readFileSync(caCertPath);
+
+      // Try to parse the certificate to validate it
+      const certString = caCert.toString();
+      if (!certString.includes('-----BEGIN CERTIFICATE-----')) {
+        logger.warn('Certificate file may not be in PEM format', { source: label, file: caCertPath });
+      }
+
+      const agent = new https.Agent({
+        ca: caCert,
+        rejectUnauthorized: true,
+        // Additional options for better certificate handling
+        keepAlive: true,
+        maxSockets: 1
+      });
+      logger.info('Using custom CA certificate', { source: label, file: caCertPath, bytes: caCert.length });
+      return agent;
+    } catch (error) {
+      logger.error('Failed to load CA certificate, falling back to system certificates', { source: label, file: caCertPath, error });
+    }
+  } else if (caCertPath) {
+    logger.warn('CA certificate file not found, using system certificates', { source: label, file: caCertPath });
+  } else {
+    logger.info('No custom CA certificate configured, using system certificates', { source: label });
+  }
+  return null;
+}
+
+function readSourceDefinitions(settings) {
+  if (settings.sourcesFile) {
+    const parsed = JSON.parse(fs.readFileSync(settings.sourcesFile, 'utf8'));
+    if (!Array.isArray(parsed)) {
+      throw new Error('GitLab sources must be a JSON array');
+    }
+    return parsed;
+  }
+
+  if (settings.sources) {
+    return settings.sources;
+  }
+
+  return [{
+    id: 'default',
+    name: 'GitLab',
+    endpoint: settings.endpoint,
+    token: settings.token,
+    groupId: settings.groupId,
+    caCertPath: settings.caCertPath
+  }];
+}
+
+// Normalize and validate source definitions from the `gitlab` settings. Invalid sources
+// are reported and skipped. `env` is where `tokenEnv` references are looked up.
+function parseSources(settings, env = process.env) {
+  let definitions;
+  try {
+    definitions = readSourceDefinitions(settings);
+  } catch (error) {
+    logger.error('Failed to read GitLab sources', { error });
+    return [];
+  }
+
+  const sources = [];
+  definitions.forEach((definition, index) => {
+    const id = String(definition.id || `source${index + 1}`);
+    const source = {
+      id,
+      name: definition.name || id,
+      endpoint: (definition.endpoint || settings.endpoint || 'https://gitlab.com').replace(/\/+$/, ''),
+      token: definition.tokenEnv ? env[definition.tokenEnv] : definition.token,
+      // Overrides the global webhook secret for events from this source
+      webhookSecret: definition.webhookSecretEnv ? env[definition.webhookSecretEnv] : definition.webhookSecret,
+      groupId: definition.groupId !== undefined ? String(definition.groupId) : undefined,
+      caCertPath: definition.caCertPath || null
+    };
+
+    if (sources.some(existing => existing.id === source.id)) {
+      logger.error('Duplicate GitLab source id, skipping', { source: source.id });
+      return;
+    }
+    if (!source.token || !source.groupId) {
+      // The default source is allowed to be incomplete; routes report the missing configuration
+      if (id !== 'default') {
+        logger.error('GitLab source is missing a token or groupId, skipping', { source: source.id });
+        return;
+      }
+    }
+    sources.push(source);
+  });
+
+  return sources;
+}
+
+// Build the API client, scheduler and GraphQL loader for one source
+function createSourceClient(source, { schedulerOptions = {}, resolveProjectPath } = {}) {
+  const httpsAgent = createHttpsAgent(source.caCertPath, source.name);
+
+  const http = axios.create({
+    baseURL: `${source.endpoint}/api/v4`,
+    headers: {
+      'Authorization': `Bearer ${source.token}`,
+      'Content-Type': 'application/json'
+    },
+    httpsAgent: httpsAgent,
+    timeout: 30000 // 30 second timeout
+  });
+
+  const api = new GitlabRequestScheduler(http, schedulerOptions);
+
+  const client = {
+    ...source,
+    httpsAgent,
+    api,
+    isConfigured: !!(source.token && source.groupId)
+  };
+
+  client.graphql = new FunhouseGraphqlLoader({
+    client: api,
+    graphqlUrl: `${source.endpoint}/api/graphql`,
+    resolveProjectPath: (projectId) => resolveProjectPath(client, projectId)
+  });
+
+  return client;
+}
+
+// Source fields that are safe to hand to the frontend
+function describeSource(source) {
+  return {
+    id: source.id,
+    name: source.name,
+    endpoint: source.endpoint,
+    groupId: source.groupId,
+    hasCustomCert: !!source.httpsAgent
+  };
+}
+
+module.exports = {
+  parseSources,
+  createSourceClient,
+  createHttpsAgent,
+  describeSource
+};
@@ -0,0 +1,141 @@
+const { buildIssueTimeline } = require('./trends');
+
+// Per-issue cycle and lead times for the Emporium.
+//
+// An issue is listed when it gets the Emporium label (or when it was created), bought
+// when it is first assigned while listed, and delivered when it is closed:
+//   forSaleDays  listed → bought (or delivered/now if nobody bought it)
+//   soldDays     bought → delivered (or now while in progress)
+//   cycleDays    bought → delivered, delivered issues only
+//   leadDays     listed → delivered, delivered issues only
+//
+// GitLab's REST API has no assignment events, so assignments come from the issue's
+// system notes ("assigned to @user", "unassigned @user").
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 10) / 10;
+const toDays = (ms) => round(ms / DAY);
+
+// Assignment changes recorded in system notes, oldest first
+function assignmentChanges(notes) {
+  return notes
+    .filter(note => note.system && typeof note.body === 'string')
+    .map(note => {
+      if (/\b(re)?assigned to @/.test(note.body)) return { at: Date.parse(note.created_at), assigned: true };
+      if (/^unassigned @/.test(note.body)) return { at: Date.parse(note.created_at), assigned: false };
+      return null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.at - b.at);
+}
+
+// `stateEvents`, `labelEvents` and `notes` are GitLab's lists, or null when unavailable
+function buildIssueTimings(issue, { stateEvents, labelEvents, notes, label, now = Date.now() }) {
+  const timeline = buildIssueTimeline(issue, { stateEvents, labelEvents, label });
+  const isAssigned = !!issue.assignee || (issue.assignees || []).length > 0;
+
+  // The latest time the issue went on the board
+  const listings = timeline.listedChanges.filter(change => change.listed);
+  const listedAt = listings.length > 0 ? listings[listings.length - 1].at : timeline.createdAt;
+
+  const closes = timeline.openChanges.filter(change => !change.open);
+  const deliveredAt = issue.state === 'closed' && closes.length > 0 ? closes[closes.length - 1].at : null;
+
+  // Without assignment notes, assume the current assignee has been there all along
+  const changes = notes ? assignmentChanges(notes) : [];
+  let assigned = changes.length > 0 ? !changes[0].assigned : isAssigned;
+  let boughtAt = null;
+  for (const change of changes) {
+    if (change.at > listedAt) break;
+    assigned = change.assigned;
+  }
+  if (assigned) {
+    boughtAt = listedAt;
+  } else {
+    const purchase = changes.find(change => change.at > listedAt && change.assigned);
+    boughtAt = purchase ? purchase.at : null;
+  }
+  if (boughtAt !== null && deliveredAt !== null && boughtAt > deliveredAt) {
+    boughtAt = null;
+  }
+
+  const end = deliveredAt !== null ? deliveredAt : now;
+  const iso = (at) => (at !== null ? new Date(at).toISOString() : null);
+
+  return {
+    listedAt: iso(listedAt),
+    boughtAt: iso(boughtAt),
+    deliveredAt: iso(deliveredAt),
+    forSaleDays: toDays((boughtAt !== null ? boughtAt : end) - listedAt),
+    soldDays: boughtAt !== null ? toDays(end - boughtAt) : null,
+    cycleDays: boughtAt !== null && deliveredAt !== null ? toDays(deliveredAt - boughtAt) : null,
+    leadDays: deliveredAt !== null ? toDays(deliveredAt - listedAt) : null,
+    estimated: !stateEvents || !labelEvents || !notes
+  };
+}
+
+// Linear-interpolated percentile (0-1) of a list of numbers
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return round(sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower));
+}
+
+function distribution(values) {
+  return { count: values.length, median: percentile(values, 0.5), p85: percentile(values, 0.85) };
+}
+
+// Median and 85th percentile of the finished phases of a group of issues
+function summarize(timings) {
+  const bought = timings.filter(timing => timing.boughtAt !== null);
+  const delivered = timings.filter(timing => timing.deliveredAt !== null);
+  return {
+    issues: timings.length,
+    forSale: distribution(bought.map(timing => timing.forSaleDays)),
+    cycle: distribution(delivered.filter(timing => timing.cycleDays !== null).map(timing => timing.cycleDays)),
+    lead: distribution(delivered.map(timing => timing.leadDays))
+  };
+}
+
+// Aggregate [{ issue, timings }] overall, per project and per label (except `ignoreLabel`)
+function aggregateTimings(entries, { ignoreLabel } = {}) {
+  // key => { issue: the first issue in the group, timings }
+  const groups = (keyOf) => {
+    const map = new Map();
+    entries.forEach(entry => {
+      keyOf(entry.issue).forEach(key => {
+        if (!map.has(key)) map.set(key, { issue: entry.issue, timings: [] });
+        map.get(key).timings.push(entry.timings);
+      });
+    });
+    return Array.from(map.entries());
+  };
+
+  const byProject = groups(issue => [`${issue.source}:${issue.project_id}`])
+    .map(([, { issue, timings }]) => ({
+      source: issue.source,
+      projectId: issue.project_id,
+      project: issue.project_name,
+      ...summarize(timings)
+    }))
+    .sort((a, b) => b.issues - a.issues);
+
+  const byLabel = groups(issue => (issue.labels || []).filter(label => label !== ignoreLabel))
+    .map(([label, { timings }]) => ({ label, ...summarize(timings) }))
+    .sort((a, b) => b.issues - a.issues);
+
+  return {
+    overall: summarize(entries.map(entry => entry.timings)),
+    byProject,
+    byLabel
+  };
+}
+
+module.exports = {
+  buildIssueTimings,
+  aggregateTimings
+};
@@ -0,0 +1,126 @@
+// Emporium trends (cumulative flow and burndown) reconstructed from GitLab.
+//
+// Each issue's timeline comes from its resource_state_events (closed/reopened) and
+// resource_label_events (the Emporium label being added or removed), falling back
+// to created_at/closed_at when the events are missing or could not be loaded. The
+// timelines are then sampled at the end of every day (UTC) in the window, so no
+// stored history is needed.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const dayOf = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+const byTime = (a, b) => a.at - b.at;
+
+// When an issue was on the board (`listed`) and when it was open. `stateEvents` and
+// `labelEvents` are GitLab's resource event lists, or null when they are unavailable.
+function buildIssueTimeline(issue, { stateEvents, labelEvents, label }) {
+  const createdAt = Date.parse(issue.created_at);
+
+  let openChanges = (stateEvents || [])
+    .filter(event => event.state === 'closed' || event.state === 'reopened')
+    .map(event => ({ at: Date.parse(event.created_at), open: event.state === 'reopened' }))
+    .sort(byTime);
+  if (openChanges.length === 0 && issue.state === 'closed' && issue.closed_at) {
+    openChanges = [{ at: Date.parse(issue.closed_at), open: false }];
+  }
+
+  const listedChanges = (labelEvents || [])
+    .filter(event => event.label && event.label.name === label)
+    .map(event => ({ at: Date.parse(event.created_at), listed: event.action === 'add' }))
+    .sort(byTime);
+  // Without an 'add' first, the label was there from the start (or predates label events)
+  const listedAtCreation = listedChanges.length === 0 || !listedChanges[0].listed;
+
+  return { createdAt, listedAtCreation, listedChanges, openChanges };
+}
+
+// Where an issue stood at a point in time: 'open', 'delivered' or null (not on the board)
+function statusAt(timeline, at) {
+  if (at < timeline.createdAt) return null;
+
+  let listed = timeline.listedAtCreation;
+  for (const change of timeline.listedChanges) {
+    if (change.at > at) break;
+    listed = change.listed;
+  }
+  if (!listed) return null;
+
+  let open = true;
+  for (const change of timeline.openChanges) {
+    if (change.at > at) break;
+    open = change.open;
+  }
+  return open ? 'open' : 'delivered';
+}
+
+// Least-squares line through the daily open counts ({ slope per day, intercept })
+function fitLine(values) {
+  const n = values.length;
+  const meanX = (n - 1) / 2;
+  const meanY = n > 0 ? values.reduce((sum, value) => sum + value, 0) / n : 0;
+  let numerator = 0;
+  let denominator = 0;
+  values.forEach((value, x) => {
+    numerator += (x - meanX) * (value - meanY);
+    denominator += (x - meanX) ** 2;
+  });
+  const slope = denominator > 0 ? numerator / denominator : 0;
+  return { slope, intercept: meanY - slope * meanX };
+}
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Daily cumulative flow and burndown points between two YYYY-MM-DD dates (inclusive)
+function buildTrends(timelines, { from, to, now = Date.now() }) {
+  const points = [];
+  let previous = timelines.map(timeline => statusAt(timeline, Date.parse(from) - 1));
+  const startOpen = previous.filter(status => status === 'open').length;
+
+  for (let dayStart = Date.parse(from); dayStart <= Date.parse(to); dayStart += DAY) {
+    // Today is sampled as of now rather than at midnight
+    const at = Math.min(dayStart + DAY - 1, now);
+    const statuses = timelines.map(timeline => statusAt(timeline, at));
+    const point = { date: dayOf(dayStart), open: 0, delivered: 0, added: 0, closed: 0 };
+
+    statuses.forEach((status, index) => {
+      if (status) point[status]++;
+      if (status === 'open' && previous[index] !== 'open') point.added++;
+      if (status === 'delivered' && previous[index] === 'open') point.closed++;
+    });
+    point.listed = point.open + point.delivered;
+
+    points.push(point);
+    previous = statuses;
+  }
+
+  const endOpen = points.length > 0 ? points[points.length - 1].open : startOpen;
+  const line = fitLine(points.map(point => point.open));
+  const perWeek = round(line.slope * 7);
+
+  return {
+    from,
+    to,
+    points,
+    summary: {
+      startOpen,
+      endOpen,
+      change: endOpen - startOpen,
+      added: points.reduce((sum, point) => sum + point.added, 0),
+      closed: points.reduce((sum, point) => sum + point.closed, 0)
+    },
+    // The fitted line's ends, for drawing it over the burndown
+    trend: {
+      start: round(line.intercept),
+      end: round(line.intercept + line.slope * Math.max(points.length - 1, 0)),
+      perWeek,
+      direction: Math.abs(perWeek) < 0.5 ? 'flat' : perWeek < 0 ? 'shrinking' : 'growing'
+    }
+  };
+}
+
+module.exports = {
+  buildIssueTimeline,
+  buildTrends,
+  dayOf
+};
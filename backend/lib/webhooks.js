@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+
+// GitLab webhook helpers: token verification, event normalization and mapping an
+// event to the configured sources it may belong to.
+
+// Events that can change a board, keyed by the X-Gitlab-Event header
+const EVENT_KINDS = {
+  'Issue Hook': 'issue',
+  'Confidential Issue Hook': 'issue',
+  'Merge Request Hook': 'merge_request',
+  'Note Hook': 'note',
+  'Confidential Note Hook': 'note'
+};
+
+// Constant-time comparison of the X-Gitlab-Token header with the configured secret
+function verifyWebhookToken(expected, provided) {
+  if (!expected || typeof provided !== 'string') return false;
+  const expectedBuffer = Buffer.from(expected);
+  const providedBuffer = Buffer.from(provided);
+  return expectedBuffer.length === providedBuffer.length && crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+}
+
+// Reduce a webhook payload to what the boards care about:
+// { kind, action, target: 'issue' | 'merge_request', projectId, iid, projectPath, projectUrl }
+// Returns null for events that cannot affect a board (e.g. comments on commits).
+function parseWebhookEvent(eventHeader, payload) {
+  const kind = EVENT_KINDS[eventHeader];
+  if (!kind || !payload || typeof payload !== 'object') return null;
+
+  const project = payload.project || {};
+  const attributes = payload.object_attributes || {};
+  const event = {
+    kind,
+    action: attributes.action || null,
+    projectId: project.id ?? attributes.project_id,
+    projectPath: project.path_with_namespace || null,
+    projectUrl: project.web_url || null
+  };
+
+  if (kind === 'issue' || kind === 'merge_request') {
+    event.target = kind;
+    event.iid = attributes.iid;
+  } else if (attributes.noteable_type === 'Issue' && payload.issue) {
+    event.target = 'issue';
+    event.iid = payload.issue.iid;
+  } else if (attributes.noteable_type === 'MergeRequest' && payload.merge_request) {
+    event.target = 'merge_request';
+    event.iid = payload.merge_request.iid;
+  } else {
+    return null;
+  }
+
+  if (!event.projectId || !event.iid) return null;
+  return event;
+}
+
+// Sources the event's project could belong to: those on the same GitLab instance. Several
+// sources can share an instance (different groups); callers check group membership.
+// With a single source, every event belongs to it.
+function findSourcesForEvent(sources, event) {
+  if (sources.length === 1) return sources;
+  if (!event.projectUrl) return [];
+  return sources.filter(source => event.projectUrl.startsWith(`${source.endpoint}/`));
+}
+
+module.exports = {
+  verifyWebhookToken,
+  parseWebhookEvent,
+  findSourcesForEvent
+};
@@ -1,19 +1,118 @@
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
 const path = require('path');
-const fs = require('fs');
-const https = require('https');
+const crypto = require('crypto');
 require('dotenv').config();
+const { createCacheStore } = require('./lib/cache-store');
+const { DatasetRefresher } = require('./lib/refresher');
+const { fetchAllPages } = require('./lib/paginate');
+const { parseSources, createSourceClient, describeSource } = require('./lib/sources');
+const { ConfigManager, ConfigError } = require('./lib/config');
+const { verifyWebhookToken, parseWebhookEvent, findSourcesForEvent } = require('./lib/webhooks');
+const { EventStream } = require('./lib/event-stream');
+const { HistoryStore } = require('./lib/history-store');
+const { buildIssueTimeline, buildTrends, dayOf } = require('./lib/trends');
+const { buildIssueTimings, aggregateTimings } = require('./lib/timings');
+const { parseSlaPolicies, evaluateIssueSla, worstLevel } = require('./lib/sla');
+const { IssueQueryError, parseIssueQuery, hasIssueQuery, applyIssueQuery } = require('./lib/issue-query');
+const { parseCategories, categoryWithRole, categorizeIssues, describeCategories, usesMergeRequests } = require('./lib/categories');
+const { SearchIndex } = require('./lib/search-index');
+const { MetricsRegistry, endpointTemplate, cacheNamespace } = require('./lib/metrics');
+const {
+  MergeRequestQueryError,
+  parseMergeRequestQuery,
+  hasMergeRequestQuery,
+  applyMergeRequestQuery,
+  approvalState
+} = require('./lib/merge-request-query');
+const { issueEntry, renderAtomFeed } = require('./lib/atom-feed');
+const { EXPORT_FORMATS, MERGE_REQUEST_COLUMNS, issueColumns, renderExport } = require('./lib/exporters');
+const { logger, configureLogger, requestLogging, withLogContext } = require('./lib/logger');
+const {
+  SESSION_COOKIE,
+  LOGIN_TTL,
+  SessionStore,
+  OAuthClient,
+  createPkce,
+  parseCookies,
+  safeReturnTo,
+  timingSafeEqual,
+  createFeedToken,
+  verifyFeedToken
+} = require('./lib/auth');
+const { defaultContentSecurityPolicy, securityHeaders, RateLimiter, rateLimit } = require('./lib/security');
+const {
+  IssueActionError,
+  assigneesAfter,
+  parseLabelChanges,
+  labelUpdate,
+  parseBulkAction,
+  parseBulkTargets,
+  toIssueActionError
+} = require('./lib/issue-actions');
+const { MAX_BULK_ISSUES, BulkJobStore, describeJob } = require('./lib/bulk-jobs');
+
+// Configuration: environment variables override the optional config file
+// (CONFIG_FILE, or backend/config.yaml|yml|json), validated against config.schema.json
+const config = new ConfigManager();
+try {
+  config.load();
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  logger.error(error.message, { errors: error.errors });
+  process.exit(1);
+}
+const settings = config.values;
+configureLogger(settings.logging);
 
 const app = express();
-const PORT = process.env.PORT || 3001;
+const PORT = settings.server.port;
+app.disable('x-powered-by');
+// Behind N proxies, req.ip and req.protocol come from their X-Forwarded-* headers
+app.set('trust proxy', settings.server.trustProxy);
 
 // Cache configuration
 const CACHE_TTL = 10 * 60 * 1000; // 10 minutes in milliseconds
 const PROJECT_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours for project names (they rarely change)
 const USER_CACHE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days for user names (they almost never change)
-const cache = new Map();
+// Cache store: 'memory' (default) or 'file' to persist entries across restarts
+const CACHE_STORE = settings.cache.store;
+const CACHE_FILE_PATH = settings.cache.filePath;
+const cache = createCacheStore({ type: CACHE_STORE, filePath: CACHE_FILE_PATH });
+
+// Prometheus metrics, served on /metrics. The board gauges are registered further down.
+const metrics = new MetricsRegistry();
+const cacheLookups = metrics.counter({
+  name: 'bug_emporium_cache_lookups_total',
+  help: 'Cache lookups by key namespace and result (hit, miss or expired)',
+  labelNames: ['namespace', 'result']
+});
+const gitlabRequests = metrics.counter({
+  name: 'bug_emporium_gitlab_requests_total',
+  help: 'GitLab API requests (counted once, after retries) by source, endpoint and status',
+  labelNames: ['source', 'method', 'endpoint', 'status']
+});
+const gitlabRequestErrors = metrics.counter({
+  name: 'bug_emporium_gitlab_request_errors_total',
+  help: 'Failed GitLab API requests by source, endpoint and reason (HTTP status or error code)',
+  labelNames: ['source', 'method', 'endpoint', 'reason']
+});
+const gitlabRequestDuration = metrics.histogram({
+  name: 'bug_emporium_gitlab_request_duration_seconds',
+  help: 'GitLab API request duration, including queueing and retries',
+  labelNames: ['source', 'method', 'endpoint']
+});
+const httpRequestDuration = metrics.histogram({
+  name: 'bug_emporium_http_request_duration_seconds',
+  help: 'Duration of requests to this server by route',
+  labelNames: ['method', 'route', 'status']
+});
+
+// Background refresh configuration. Datasets are re-fetched every REFRESH_INTERVAL and
+// flagged stale once they are older than CACHE_TTL (i.e. refreshes have been failing).
+let BACKGROUND_REFRESH = settings.refresh.background;
+let REFRESH_INTERVAL = settings.refresh.intervalMinutes * 60 * 1000;
+const SNAPSHOT_TTL = 24 * 60 * 60 * 1000; // Keep the last good snapshot for a day even if refreshes fail
 
 // Cache helper functions
 function getCacheKey(endpoint, params = {}) {
@@ -24,16 +123,27 @@ function getCacheKey(endpoint, params = {}) {
   return `${endpoint}:${JSON.stringify(sortedParams)}`;
 }
 
+// Read a cache entry without logging or evicting it
+function peekCachedData(key, ttl = CACHE_TTL) {
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.timestamp < ttl) {
+    return cached.data;
+  }
+  return null;
+}
+
 function getCachedData(key, ttl = CACHE_TTL) {
   const cached = cache.get(key);
   if (cached && Date.now() - cached.timestamp < ttl) {
-    console.log(`✅ Cache hit for key: ${key}`);
+    logger.debug('Cache hit', { key });
+    cacheLookups.inc({ namespace: cacheNamespace(key), result: 'hit' });
     return cached.data;
   }
   if (cached) {
-    console.log(`⏰ Cache expired for key: ${key}`);
+    logger.debug('Cache expired', { key });
     cache.delete(key);
   }
+  cacheLookups.inc({ namespace: cacheNamespace(key), result: cached ? 'expired' : 'miss' });
   return null;
 }
 
@@ -43,134 +153,669 @@ function setCachedData(key, data, ttl = CACHE_TTL) {
     timestamp: Date.now(),
     ttl: ttl
   });
-  console.log(`💾 Cached data for key: ${key} (TTL: ${ttl / 1000 / 60} minutes)`);
+  logger.debug('Cached data', { key, ttlMinutes: ttl / 1000 / 60 });
 }
 
 function clearCache() {
   cache.clear();
-  console.log('🗑️  Cache cleared');
+  logger.info('Cache cleared');
 }
 
 // Middleware
-app.use(cors());
+// Request IDs and request logs; static files and health checks only show at debug level
+app.use(requestLogging({ isQuiet: req => !req.path.startsWith('/api/') || req.path === '/api/health' }));
+app.use(securityHeaders(req => ({
+  contentSecurityPolicy: CONTENT_SECURITY_POLICY || defaultContentSecurityPolicy({
+    imageOrigins: sources.filter(source => source.endpoint.startsWith('http:')).map(source => new URL(source.endpoint).origin)
+  }),
+  hsts: baseUrlOf(req).startsWith('https:')
+})));
+// Cross-origin browser access only for the configured origins
+app.use(cors({
+  origin: (origin, callback) => callback(null, !!origin && (CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin)))
+}));
+// GitLab webhook payloads carry full descriptions; everything else keeps the default limit.
+// The webhook's parser runs first, and express.json skips bodies that are already parsed.
+app.use('/api/webhooks/gitlab', express.json({ limit: '5mb' }));
 app.use(express.json());
 
+// Time every request by its route pattern (static files and unknown paths share one label)
+app.use((req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer({ method: req.method });
+  res.on('finish', () => {
+    endTimer({ route: req.route ? `${req.baseUrl}${req.route.path}` : 'other', status: res.statusCode });
+  });
+  next();
+});
+
 // Serve static files from the React app build directory
 app.use(express.static(path.join(__dirname, 'public')));
 
-// GitLab configuration
-const GITLAB_ENDPOINT = process.env.GITLAB_ENDPOINT;
-const GITLAB_TOKEN = process.env.GITLAB_TOKEN;
-const GITLAB_GROUP_ID = process.env.GITLAB_GROUP_ID;
-const EMPORIUM_LABEL = process.env.EMPORIUM_LABEL || 'emporium';
-const PRIORITY_LABEL = process.env.PRIORITY_LABEL || 'priority';
-const FUNHOUSE_LABEL = process.env.FUNHOUSE_LABEL || 'funhouse';
-const IGNORE_LABELS = process.env.IGNORE_LABELS ? process.env.IGNORE_LABELS.split(',').map(label => label.trim()) : ['renovate', 'dependabot'];
+// Label configuration (these settings are re-applied when the config file changes)
+let EMPORIUM_LABEL, PRIORITY_LABEL, SEVERITY_SCOPE, FUNHOUSE_LABEL, IGNORE_LABELS;
 // Amazing Race configuration
-const RACE_LABEL = process.env.RACE_LABEL || 'amazing::race';
-const TEAM_LABELS = (process.env.TEAM_LABELS ? process.env.TEAM_LABELS.split(',') : ['alpha','bravo','whiskey','tango','foxtrot']).map(l => l.trim()).filter(Boolean);
-const GITLAB_CA_CERT_PATH = process.env.GITLAB_CA_CERT_PATH;
-
-// Create HTTPS agent with custom CA certificate if provided
-let httpsAgent = null;
-if (GITLAB_CA_CERT_PATH && fs.existsSync(GITLAB_CA_CERT_PATH)) {
-  try {
-    const caCert = fs.readFileSync(GITLAB_CA_CERT_PATH);
-    
-    // Try to parse the certificate to validate it
-    const certString = caCert.toString();
-    if (!certString.includes('-----BEGIN CERTIFICATE-----')) {
-      console.warn(`⚠️  Certificate file may not be in PEM format: ${GITLAB_CA_CERT_PATH}`);
+let RACE_LABEL, TEAM_LABELS;
+// Funhouse trees are loaded through GitLab's GraphQL API unless disabled, with the
+// REST spider as fallback when GraphQL is unavailable
+let FUNHOUSE_GRAPHQL;
+// Secret GitLab webhooks must send; sources can override it
+let WEBHOOK_SECRET;
+// Sections of the Emporium (see lib/categories.js)
+let EMPORIUM_CATEGORIES;
+// SLA policies for the for-sale and in-progress categories (see lib/sla.js)
+let SLA_POLICIES;
+// Base URL for links in feeds; the request's own URL when unset
+let PUBLIC_URL;
+// Admin access (see requireAdmin), cross-origin access and the CSP override
+let ADMIN_API_KEY, ADMIN_USERS, CORS_ORIGINS, CONTENT_SECURITY_POLICY, PUBLIC_METRICS;
+
+// Per-IP limit on /api/* requests (see lib/security.js)
+const apiRateLimiter = new RateLimiter({ limit: settings.security.rateLimitPerMinute });
+
+function applyRuntimeSettings(values) {
+  EMPORIUM_LABEL = values.labels.emporium;
+  PRIORITY_LABEL = values.labels.priority;
+  SEVERITY_SCOPE = values.labels.severityScope;
+  FUNHOUSE_LABEL = values.labels.funhouse;
+  IGNORE_LABELS = values.labels.ignore;
+  RACE_LABEL = values.race.label;
+  TEAM_LABELS = values.race.teams;
+  FUNHOUSE_GRAPHQL = values.funhouse.graphql;
+  WEBHOOK_SECRET = values.webhooks.secret;
+  EMPORIUM_CATEGORIES = parseCategories(values.emporium.categories);
+  SLA_POLICIES = parseSlaPolicies(values.sla.policies, EMPORIUM_CATEGORIES);
+  PUBLIC_URL = values.server.publicUrl ? values.server.publicUrl.replace(/\/+$/, '') : null;
+  configureLogger(values.logging);
+  ADMIN_API_KEY = values.security.adminApiKey || null;
+  ADMIN_USERS = values.security.adminUsers;
+  CORS_ORIGINS = values.security.corsOrigins;
+  CONTENT_SECURITY_POLICY = values.security.contentSecurityPolicy || null;
+  PUBLIC_METRICS = values.security.publicMetrics;
+  apiRateLimiter.setLimit(values.security.rateLimitPerMinute);
+  if (!forSaleCategory()) {
+    logger.warn('No Emporium category has the for-sale role: issues cannot be bought and the Atom feed is off');
+  }
+}
+applyRuntimeSettings(settings);
+
+// GitLab sources (see lib/sources.js). All calls to a source go through its request
+// scheduler: bounded concurrency, rate-limit awareness, retries with backoff and a
+// circuit breaker.
+const sources = parseSources(settings.gitlab).map(source => createSourceClient(source, {
+  schedulerOptions: {
+    maxConcurrency: settings.gitlab.maxConcurrency,
+    maxRetries: settings.gitlab.maxRetries,
+    circuitThreshold: settings.gitlab.circuitThreshold,
+    circuitCooldown: settings.gitlab.circuitCooldownSeconds * 1000,
+    onComplete: ({ config, response, error, duration }) => {
+      const labels = { source: source.id, method: (config.method || 'get').toUpperCase(), endpoint: endpointTemplate(config.url) };
+      const status = response ? response.status : error.response?.status || error.code || 'error';
+      gitlabRequests.inc({ ...labels, status });
+      if (error) gitlabRequestErrors.inc({ ...labels, reason: status });
+      gitlabRequestDuration.observe(labels, duration / 1000);
     }
-    
-    httpsAgent = new https.Agent({
-      ca: caCert,
-      rejectUnauthorized: true,
-      // Additional options for better certificate handling
-      keepAlive: true,
-      maxSockets: 1
-    });
-    console.log(`✅ Using custom CA certificate: ${GITLAB_CA_CERT_PATH}`);
-    console.log(`📄 Certificate size: ${caCert.length} bytes`);
-  } catch (error) {
-    console.error(`❌ Failed to load CA certificate from ${GITLAB_CA_CERT_PATH}:`, error.message);
-    console.log('⚠️  Falling back to system certificates');
-  }
-} else if (GITLAB_CA_CERT_PATH) {
-  console.log(`⚠️  Certificate path provided but file not found: ${GITLAB_CA_CERT_PATH}`);
-  console.log('⚠️  Using system certificates');
-} else {
-  console.log('ℹ️  No custom CA certificate configured, using system certificates');
-}
-
-// GitLab API helper
-const gitlabApi = axios.create({
-  baseURL: `${GITLAB_ENDPOINT}/api/v4`,
-  headers: {
-    'Authorization': `Bearer ${GITLAB_TOKEN}`,
-    'Content-Type': 'application/json'
   },
-  httpsAgent: httpsAgent,
-  timeout: 30000 // 30 second timeout
-});
+  resolveProjectPath: async (source, projectId) => {
+    const projectData = await cachedGitlabApiCall(source, `/projects/${projectId}`, { simple: true }, PROJECT_CACHE_TTL);
+    return projectData.path_with_namespace;
+  }
+}));
+
+function hasGitlabConfig() {
+  return sources.length > 0 && sources.every(source => source.isConfigured);
+}
+
+// Identifies the configured sources in dataset cache keys
+function sourcesCacheKey() {
+  return sources.map(source => `${source.id}@${source.endpoint}/${source.groupId}`).join(',');
+}
+
+// Tag an issue or MR with the source it came from
+function tagWithSource(item, source) {
+  item.source = source.id;
+  item.source_name = source.name;
+  return item;
+}
+
+// Run a per-source loader against every source and merge the outcome. A source that
+// fails completely is reported as a warning (and the result marked partial) as long
+// as at least one other source succeeded.
+async function loadFromSources(label, loadSource) {
+  const settled = await Promise.allSettled(sources.map(source => loadSource(source)));
+  const results = [];
+  const warnings = [];
+  const prefix = (source) => (sources.length > 1 ? `[${source.name}] ` : '');
+
+  settled.forEach((outcome, index) => {
+    const source = sources[index];
+    if (outcome.status === 'fulfilled') {
+      results.push({ source, ...outcome.value });
+      (outcome.value.warnings || []).forEach(warning => warnings.push(`${prefix(source)}${warning}`));
+    } else {
+      logger.error(`Failed to load ${label}`, { source: source.id, error: outcome.reason });
+      warnings.push(`${prefix(source)}Failed to load ${label}: ${outcome.reason.message}`);
+    }
+  });
+
+  if (results.length === 0) {
+    throw settled[0].reason;
+  }
+
+  return {
+    results,
+    partial: results.length < sources.length || results.some(result => result.partial),
+    warnings
+  };
+}
 
 // Cached GitLab API helper
-async function cachedGitlabApiCall(endpoint, params = {}, ttl = CACHE_TTL) {
-  const cacheKey = getCacheKey(`gitlab:${endpoint}`, params);
+async function cachedGitlabApiCall(source, endpoint, params = {}, ttl = CACHE_TTL) {
+  const cacheKey = getCacheKey(`gitlab:${source.id}:${endpoint}`, params);
   const cachedData = getCachedData(cacheKey, ttl);
   
   if (cachedData) {
     return cachedData;
   }
   
-  console.log(`🌐 Making GitLab API call: ${endpoint}`);
-  const response = await gitlabApi.get(endpoint, { params });
+  logger.debug('Cache miss, calling GitLab', { source: source.id, endpoint });
+  const response = await source.api.get(endpoint, { params });
   setCachedData(cacheKey, response.data, ttl);
   return response.data;
 }
 
-// Helper function to categorize issues
-function categorizeIssues(issues) {
-  const forSale = [];
-  const sold = [];
-  const delivered = [];
+// Every page of a GitLab list ({ items, partial, warnings }, see lib/paginate.js), cached
+// under the same key as cachedGitlabApiCall. Incomplete lists are not cached.
+async function cachedGitlabPages(source, endpoint, params = {}, ttl = CACHE_TTL) {
+  const cacheKey = getCacheKey(`gitlab:${source.id}:${endpoint}`, params);
+  const cachedData = getCachedData(cacheKey, ttl);
 
-  issues.forEach(issue => {
-    // Ensure labels is an array
-    const labels = Array.isArray(issue.labels) ? issue.labels : [];
-    
-    if (issue.state === 'closed') {
-      delivered.push(issue);
-    } else if (issue.assignee) {
-      sold.push(issue);
-    } else {
-      forSale.push(issue);
+  if (cachedData) {
+    return { items: cachedData, partial: false, warnings: [] };
+  }
+
+  logger.debug('Cache miss, calling GitLab', { source: source.id, endpoint });
+  const result = await fetchAllPages(source.api, endpoint, params);
+  if (!result.partial) setCachedData(cacheKey, result.items, ttl);
+  return result;
+}
+
+// The category whose issues can be bought and are listed in the Atom feed, or null
+function forSaleCategory() {
+  return categoryWithRole(EMPORIUM_CATEGORIES, 'for-sale');
+}
+const categoryIds = () => EMPORIUM_CATEGORIES.map(category => category.id);
+
+// The Emporium dataset's issues, categories and total for `allIssues`
+function categorizeBoard(allIssues) {
+  const { issues, uncategorized } = categorizeIssues(allIssues, EMPORIUM_CATEGORIES, { priorityLabel: PRIORITY_LABEL });
+  return {
+    categories: describeCategories(EMPORIUM_CATEGORIES),
+    issues,
+    uncategorized,
+    total: allIssues.length - uncategorized.length
+  };
+}
+
+// Every issue with the Emporium label, including those no category shows
+const boardIssues = (data) => [...Object.values(data.issues).flat(), ...(data.uncategorized || [])];
+
+// Board datasets served stale-while-revalidate
+const refresher = new DatasetRefresher({
+  getCachedData,
+  peekCachedData,
+  setCachedData,
+  refreshInterval: REFRESH_INTERVAL,
+  staleAfter: CACHE_TTL,
+  snapshotTtl: SNAPSHOT_TTL
+});
+
+refresher.register('issues', {
+  key: () => getCacheKey('dataset:issues', { sources: sourcesCacheKey(), label: EMPORIUM_LABEL, categories: EMPORIUM_CATEGORIES }),
+  load: loadIssues
+});
+refresher.register('funhouse', {
+  key: () => getCacheKey('dataset:funhouse', { sources: sourcesCacheKey(), label: FUNHOUSE_LABEL }),
+  load: loadFunhouse
+});
+refresher.register('merge-requests', {
+  key: () => getCacheKey('dataset:merge-requests', { sources: sourcesCacheKey(), notLabels: IGNORE_LABELS.join(',') }),
+  load: loadMergeRequests
+});
+refresher.register('race', {
+  key: () => getCacheKey('dataset:race', { sources: sourcesCacheKey(), raceLabel: RACE_LABEL, teamLabels: TEAM_LABELS.join(',') }),
+  load: loadRace
+});
+// Derived from the issues dataset (registered after it, so the background refresh
+// reloads the issues first), for trends, timings and SLAs
+refresher.register('issue-timelines', {
+  key: () => getCacheKey('dataset:issue-timelines', { sources: sourcesCacheKey(), label: EMPORIUM_LABEL, categories: EMPORIUM_CATEGORIES }),
+  load: loadIssueTimelines
+});
+
+// Live updates: tell connected browsers which dataset changed so they can re-fetch it
+const events = new EventStream();
+refresher.on('update', (update) => {
+  events.broadcast('dataset', update);
+});
+
+// Board history: snapshots of category counts and IDs, recorded as datasets change
+const history = settings.history.enabled
+  ? new HistoryStore({
+    filePath: settings.history.filePath,
+    mode: settings.history.mode,
+    retentionDays: settings.history.retentionDays
+  })
+  : null;
+
+// Stable reference to an issue or MR across sources
+const historyRef = (item) => `${item.source}:${item.id}`;
+
+// What is recorded for each dataset
+const historySummaries = {
+  issues: (data) => {
+    const counts = {};
+    const ids = {};
+    Object.entries(data.issues).forEach(([category, list]) => {
+      counts[category] = list.length;
+      ids[category] = list.map(historyRef);
+    });
+    return { counts: { ...counts, total: data.total }, ids };
+  },
+  'merge-requests': (data) => {
+    const mergeRequests = data.merge_requests;
+    const drafts = mergeRequests.filter(mr => mr.is_draft);
+    const ready = mergeRequests.filter(mr => !mr.is_draft);
+    return {
+      counts: {
+        total: mergeRequests.length,
+        draft: drafts.length,
+        ready: ready.length,
+        approved: mergeRequests.filter(mr => mr.approvals.approved).length,
+        needsApproval: mergeRequests.filter(mr => !mr.approvals.approved && mr.approvals.approvals_required > 0).length
+      },
+      ids: { draft: drafts.map(historyRef), ready: ready.map(historyRef) }
+    };
+  },
+  race: (data) => {
+    const counts = { total: data.total, teams: {} };
+    const ids = {};
+    data.leaderboard.forEach(entry => {
+      counts.teams[entry.team] = { closed: entry.closed, total: entry.total };
+    });
+    Object.entries(data.issuesByTeam).forEach(([team, lists]) => {
+      ids[team] = { open: lists.open.map(historyRef), closed: lists.closed.map(historyRef) };
+    });
+    return { counts, ids };
+  }
+};
+
+if (history) {
+  refresher.on('update', ({ name }) => {
+    const summarize = historySummaries[name];
+    const snapshot = summarize && refresher.getSnapshot(name, { quiet: true });
+    if (!snapshot) return;
+    try {
+      history.record(name, summarize(snapshot.data));
+    } catch (error) {
+      logger.error('Failed to record history', { dataset: name, error });
     }
   });
+}
 
-  // Sort each category by priority label and creation date
-  const sortIssues = (issues) => {
-    return issues.sort((a, b) => {
-      const aLabels = Array.isArray(a.labels) ? a.labels : [];
-      const bLabels = Array.isArray(b.labels) ? b.labels : [];
-      
-      const aHasPriority = aLabels.includes(PRIORITY_LABEL);
-      const bHasPriority = bLabels.includes(PRIORITY_LABEL);
-      
-      if (aHasPriority && !bHasPriority) return -1;
-      if (!aHasPriority && bHasPriority) return 1;
-      
-      return new Date(b.created_at) - new Date(a.created_at);
-    });
-  };
+// Global search over the cached boards. The index is rebuilt on the first search
+// after any dataset changes.
+const searchIndex = new SearchIndex();
+let searchIndexStale = true;
+refresher.on('update', () => {
+  searchIndexStale = true;
+});
+
+// Which page shows each type of search result
+const SEARCH_TYPES = {
+  issue: 'emporium',
+  merge_request: 'medic',
+  feature: 'funhouse',
+  race_issue: 'race'
+};
+
+function searchDocument(type, item, extra = {}) {
+  const people = [item.author, item.assignee, ...(item.assignees || []), ...(item.reviewers || [])]
+    .filter(Boolean)
+    .flatMap(person => [person.name, person.username]);
 
   return {
-    forSale: sortIssues(forSale),
-    sold: sortIssues(sold),
-    delivered: sortIssues(delivered)
+    type,
+    page: SEARCH_TYPES[type],
+    key: historyRef(item),
+    source: item.source,
+    iid: item.iid,
+    reference: `${type === 'merge_request' ? '!' : '#'}${item.iid}`,
+    title: item.title,
+    description: item.description || '',
+    labels: Array.isArray(item.labels) ? item.labels : [],
+    project: item.project_name || '',
+    people: [...new Set(people.filter(Boolean))],
+    state: item.state,
+    web_url: item.web_url,
+    updated_at: item.updated_at,
+    ...extra
+  };
+}
+
+// Search documents from every dataset that has a snapshot; returns the datasets without one
+function rebuildSearchIndex() {
+  const documents = [];
+  const missing = [];
+  const snapshotOf = (name) => {
+    const snapshot = refresher.getSnapshot(name, { quiet: true });
+    if (!snapshot) missing.push(name);
+    return snapshot && snapshot.data;
   };
+
+  const issues = snapshotOf('issues');
+  if (issues) {
+    (issues.categories || []).forEach(({ id, name }) => {
+      (issues.issues[id] || []).forEach(issue => documents.push(searchDocument('issue', issue, { context: name })));
+    });
+  }
+
+  const mergeRequests = snapshotOf('merge-requests');
+  if (mergeRequests) {
+    mergeRequests.merge_requests.forEach(mr => {
+      documents.push(searchDocument('merge_request', mr, { context: mr.is_draft ? 'draft' : 'ready' }));
+    });
+  }
+
+  // Linked issues are found through the feature they belong to
+  const funhouse = snapshotOf('funhouse');
+  if (funhouse) {
+    const addTree = (tree, feature) => {
+      const context = feature
+        ? { context: `in ${feature.title}`, parent: historyRef(feature) }
+        : { context: tree.issue.state === 'closed' ? 'complete' : 'active' };
+      documents.push(searchDocument('feature', tree.issue, context));
+      tree.linkedIssues.forEach(linked => addTree(linked, feature || tree.issue));
+    };
+    [...funhouse.features.active, ...funhouse.features.complete].forEach(tree => addTree(tree, null));
+  }
+
+  const race = snapshotOf('race');
+  if (race) {
+    const teams = {};
+    const raceIssues = new Map();
+    Object.entries(race.issuesByTeam).forEach(([team, lists]) => {
+      [...lists.open, ...lists.closed].forEach(issue => {
+        raceIssues.set(historyRef(issue), issue);
+        teams[historyRef(issue)] = [...(teams[historyRef(issue)] || []), team];
+      });
+    });
+    raceIssues.forEach((issue, key) => {
+      documents.push(searchDocument('race_issue', issue, { context: `team ${teams[key].join(', ')}` }));
+    });
+  }
+
+  searchIndex.build(documents);
+  searchIndexStale = missing.length > 0;
+  return missing;
+}
+
+// Apply config file changes without a restart
+config.on('change', ({ changed, values }) => {
+  applyRuntimeSettings(values);
+  BACKGROUND_REFRESH = values.refresh.background;
+
+  if (changed.includes('refresh.intervalMinutes')) {
+    REFRESH_INTERVAL = values.refresh.intervalMinutes * 60 * 1000;
+    refresher.setRefreshInterval(REFRESH_INTERVAL);
+  }
+
+  if (BACKGROUND_REFRESH && hasGitlabConfig()) {
+    refresher.start();
+    // New labels mean new dataset keys; load them now rather than on the next tick
+    refresher.tick();
+  } else {
+    refresher.stop();
+  }
+});
+
+// Base URL the app is reached at: PUBLIC_URL, or the URL of the request
+function baseUrlOf(req) {
+  return PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+// Optional login (see lib/auth.js). Without it every route is open, as before.
+const AUTH = settings.auth;
+let authClient = null;
+let sessions = null;
+if (AUTH.enabled) {
+  const issuer = AUTH.issuer || (AUTH.provider === 'gitlab' ? sources[0]?.endpoint : null);
+  const missing = [
+    !AUTH.clientId && 'auth.clientId (AUTH_CLIENT_ID)',
+    !AUTH.clientSecret && 'auth.clientSecret (AUTH_CLIENT_SECRET)',
+    !issuer && 'auth.issuer (AUTH_ISSUER)'
+  ].filter(Boolean);
+  if (missing.length > 0) {
+    logger.error('Authentication is enabled but not configured', { missing });
+    process.exit(1);
+  }
+
+  authClient = new OAuthClient({
+    provider: AUTH.provider,
+    issuer,
+    clientId: AUTH.clientId,
+    clientSecret: AUTH.clientSecret,
+    scopes: AUTH.scopes,
+    // A self-signed GitLab needs the same CA certificate for logins
+    httpsAgent: !AUTH.issuer && AUTH.provider === 'gitlab' ? sources[0]?.httpsAgent : undefined
+  });
+  sessions = new SessionStore();
+  if (!AUTH.feedTokenSecret) {
+    logger.warn('No auth.feedTokenSecret (FEED_TOKEN_SECRET) set; feed readers cannot fetch the Atom feeds while logins are on');
+  }
+}
+const FEED_TOKEN_TTL = AUTH.feedTokenTtlDays * 24 * 60 * 60 * 1000;
+
+function currentSession(req) {
+  return sessions ? sessions.get(parseCookies(req.get('cookie'))[SESSION_COOKIE]) : null;
+}
+
+function setSessionCookie(req, res, session) {
+  res.cookie(SESSION_COOKIE, session.id, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: baseUrlOf(req).startsWith('https:'),
+    path: '/',
+    maxAge: session.expiresAt - Date.now()
+  });
+}
+
+const authRedirectUri = (req) => `${baseUrlOf(req)}/auth/callback`;
+
+// Sources the logged-in user can change issues on: with GitLab logins, the token from
+// the login works on the GitLab instance it came from
+function writableSources(req) {
+  if (!AUTH.enabled || AUTH.provider !== 'gitlab' || !req.session?.accessToken) return [];
+  return sources.filter(source => source.endpoint === authClient.issuer);
+}
+
+// Call GitLab as the logged-in user (GITLAB_TOKEN only reads), so GitLab checks their
+// permissions and records them as the author. An expired access token is refreshed once;
+// when that fails the error has code LOGIN_EXPIRED.
+async function gitlabAsUser(req, source, config) {
+  const send = () => source.api.request({
+    ...config,
+    headers: { ...config.headers, Authorization: `Bearer ${req.session.accessToken}` }
+  });
+
+  try {
+    return await send();
+  } catch (error) {
+    if (error.response?.status !== 401 || !req.session.refreshToken) throw error;
+  }
+
+  try {
+    const tokens = await authClient.refreshTokens(req.session.refreshToken);
+    req.session.accessToken = tokens.access_token;
+    req.session.refreshToken = tokens.refresh_token || req.session.refreshToken;
+  } catch (refreshError) {
+    logger.warn('Could not refresh a GitLab login', { user: req.user.username, error: refreshError });
+    const error = new Error('The GitLab login has expired');
+    error.code = 'LOGIN_EXPIRED';
+    throw error;
+  }
+  return send();
+}
+
+// The admin API key, as a Bearer token or in X-Admin-Key
+function hasAdminKey(req) {
+  const key = req.get('x-admin-key') || /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '')?.[1];
+  return !!ADMIN_API_KEY && !!key && timingSafeEqual(key, ADMIN_API_KEY);
+}
+
+function isAdmin(req) {
+  const user = req.user || currentSession(req)?.user;
+  return hasAdminKey(req) || (!!user && ADMIN_USERS.includes(user.username));
+}
+
+// Guards the routes that change server state or reveal how it is set up
+function requireAdmin(req, res, next) {
+  if (isAdmin(req)) return next();
+  res.status(403).json({
+    error: 'Admin access required',
+    details: 'Send the admin API key (ADMIN_API_KEY) as a Bearer token, or log in as one of the ADMIN_USERS',
+    code: 'FORBIDDEN'
+  });
 }
 
+// Routes that work without a login: the session check the frontend starts with, the
+// health check for probes, and webhooks, which have their own secret
+const PUBLIC_API_PATHS = ['/health', '/auth/session', '/webhooks/gitlab'];
+// Feed readers can't log in; they send the user's feed token as ?token= instead
+const FEED_PATH = /^\/feeds\/.+\.atom$/;
+
+// Probes and GitLab's webhook deliveries don't count towards the rate limit
+app.use('/api', rateLimit(apiRateLimiter, {
+  skip: req => req.path === '/health' || req.path === '/webhooks/gitlab'
+}));
+
+app.use('/api', (req, res, next) => {
+  if (!AUTH.enabled) return next();
+  // The admin API key works without a login, for scripts and monitoring
+  if (hasAdminKey(req)) return withLogContext({ user: 'admin-key' }, next);
+
+  const session = currentSession(req);
+  if (session?.user) {
+    req.user = session.user;
+    req.session = session;
+    return withLogContext({ user: session.user.username }, next);
+  }
+  if (PUBLIC_API_PATHS.includes(req.path)) return next();
+
+  const feedUser = req.method === 'GET' && FEED_PATH.test(req.path)
+    ? verifyFeedToken(req.query.token, AUTH.feedTokenSecret)
+    : null;
+  if (feedUser) return withLogContext({ user: feedUser }, next);
+
+  res.status(401).json({
+    error: 'Authentication required',
+    details: 'Log in at /auth/login',
+    code: 'UNAUTHENTICATED'
+  });
+});
+
+// Start a login: remember state and the PKCE verifier in a short-lived session, then
+// send the browser to the identity provider
+app.get('/auth/login', async (req, res) => {
+  if (!AUTH.enabled) return res.redirect('/');
+
+  try {
+    const previous = currentSession(req);
+    if (previous) sessions.destroy(previous.id);
+
+    const state = crypto.randomBytes(16).toString('base64url');
+    const pkce = createPkce();
+    const pending = sessions.create({
+      login: { state, codeVerifier: pkce.verifier, returnTo: safeReturnTo(req.query.returnTo) }
+    }, LOGIN_TTL);
+    setSessionCookie(req, res, pending);
+
+    res.redirect(await authClient.authorizationUrl({
+      redirectUri: authRedirectUri(req),
+      state,
+      codeChallenge: pkce.challenge
+    }));
+  } catch (error) {
+    logger.error('Failed to start login', { error });
+    res.status(502).send('Could not reach the identity provider. Please try again later.');
+  }
+});
+
+app.get('/auth/callback', async (req, res) => {
+  if (!AUTH.enabled) return res.redirect('/');
+
+  const pending = currentSession(req);
+  const login = pending?.login;
+  if (!login || !req.query.state || !timingSafeEqual(req.query.state, login.state)) {
+    return res.status(400).type('text/plain').send('This login link has expired or was not started here. Please log in again.');
+  }
+  sessions.destroy(pending.id);
+
+  if (req.query.error) {
+    logger.warn('Login was refused by the identity provider', { reason: req.query.error });
+    // Plain text: the description comes from the query string
+    return res.status(403).type('text/plain').send(`Login was refused: ${String(req.query.error_description || req.query.error)}`);
+  }
+
+  try {
+    const tokens = await authClient.exchangeCode({
+      code: String(req.query.code || ''),
+      redirectUri: authRedirectUri(req),
+      codeVerifier: login.codeVerifier
+    });
+    const user = await authClient.fetchUser(tokens.access_token);
+
+    // A new session ID after login, so a pre-login ID can't be fixed by an attacker
+    const session = sessions.create({
+      user,
+      accessToken: tokens.access_token,
+      refreshToken: tokens.refresh_token || null,
+      loggedInAt: new Date().toISOString()
+    }, AUTH.sessionTtlHours * 60 * 60 * 1000);
+    setSessionCookie(req, res, session);
+    logger.info('User logged in', { user: user.username });
+    res.redirect(login.returnTo);
+  } catch (error) {
+    logger.error('Login failed', { error });
+    res.status(502).type('text/plain').send('Login failed: the identity provider did not accept the login. Please try again.');
+  }
+});
+
+app.post('/auth/logout', (req, res) => {
+  const session = currentSession(req);
+  if (session) {
+    sessions.destroy(session.id);
+    logger.info('User logged out', { user: session.user?.username });
+  }
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+  res.json({ success: true });
+});
+
+// Who is logged in; { enabled: false } when logins are off
+app.get('/api/auth/session', (req, res) => {
+  res.json({
+    enabled: AUTH.enabled,
+    provider: AUTH.enabled ? AUTH.provider : null,
+    user: req.user || null,
+    admin: isAdmin(req),
+    writableSources: writableSources(req).map(source => source.id),
+    // For feed URLs, which feed readers fetch without the session cookie
+    feedToken: req.user && AUTH.feedTokenSecret
+      ? createFeedToken(req.user.username, AUTH.feedTokenSecret, { ttl: FEED_TOKEN_TTL })
+      : null,
+    expiresAt: req.session ? new Date(req.session.expiresAt).toISOString() : null
+  });
+});
+
 // API Routes
 
 // Health check
@@ -178,23 +823,34 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-// Get configuration
+// Get configuration. Only admins see GitLab endpoints, certificates and the effective settings.
 app.get('/api/config', (req, res) => {
-  res.json({
+  const labels = {
     emporiumLabel: EMPORIUM_LABEL,
     priorityLabel: PRIORITY_LABEL,
+    severityScope: SEVERITY_SCOPE,
     funhouseLabel: FUNHOUSE_LABEL,
     raceLabel: RACE_LABEL,
     teamLabels: TEAM_LABELS,
-    ignoreLabels: IGNORE_LABELS,
-    gitlabEndpoint: GITLAB_ENDPOINT,
-    hasCustomCert: !!httpsAgent,
-    certPath: GITLAB_CA_CERT_PATH || null
+    ignoreLabels: IGNORE_LABELS
+  };
+  if (!isAdmin(req)) {
+    return res.json({ ...labels, sources: sources.map(({ id, name }) => ({ id, name })) });
+  }
+
+  res.json({
+    ...labels,
+    gitlabEndpoint: sources[0]?.endpoint || null,
+    hasCustomCert: !!sources[0]?.httpsAgent,
+    certPath: sources[0]?.caCertPath || null,
+    sources: sources.map(describeSource),
+    // Effective merged configuration and where each value came from (default, file or env:NAME)
+    effective: config.describe()
   });
 });
 
 // Clear cache endpoint
-app.post('/api/cache/clear', (req, res) => {
+app.post('/api/cache/clear', requireAdmin, (req, res) => {
   try {
     clearCache();
     res.json({ 
@@ -203,7 +859,7 @@ app.post('/api/cache/clear', (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Error clearing cache:', error);
+    logger.error('Failed to clear cache', { error });
     res.status(500).json({ 
       success: false, 
       error: 'Failed to clear cache',
@@ -213,173 +869,302 @@ app.post('/api/cache/clear', (req, res) => {
 });
 
 // Get cache status endpoint
-app.get('/api/cache/status', (req, res) => {
-  const cacheEntries = Array.from(cache.entries()).map(([key, value]) => ({
+app.get('/api/cache/status', requireAdmin, (req, res) => {
+  const cacheEntries = cache.all().map(([key, value]) => ({
     key: key,
     timestamp: value.timestamp,
     age: Date.now() - value.timestamp,
-    ttl: CACHE_TTL,
-    expiresIn: Math.max(0, CACHE_TTL - (Date.now() - value.timestamp))
+    ttl: value.ttl || CACHE_TTL,
+    expiresIn: Math.max(0, (value.ttl || CACHE_TTL) - (Date.now() - value.timestamp))
   }));
   
   res.json({
+    store: cache.type,
     totalEntries: cache.size,
     ttl: CACHE_TTL,
+    refreshInterval: REFRESH_INTERVAL,
+    backgroundRefresh: BACKGROUND_REFRESH,
+    datasets: refresher.status(),
     entries: cacheEntries
   });
 });
 
-// Test GitLab connectivity
-app.get('/api/test-gitlab', async (req, res) => {
-  try {
-    if (!GITLAB_TOKEN || !GITLAB_GROUP_ID) {
-      return res.status(500).json({ 
-        error: 'GitLab configuration missing. Please check your environment variables.' 
-      });
-    }
+// Diagnostics: GitLab request budget, queue depth and dataset freshness
+app.get('/api/diagnostics', requireAdmin, (req, res) => {
+  res.json({
+    gitlab: sources.map(source => ({ source: source.id, ...source.api.stats() })),
+    datasets: refresher.status(),
+    webhooks: webhookStats,
+    events: events.stats(),
+    history: history ? history.stats() : null,
+    search: searchIndex.stats(),
+    auth: { enabled: AUTH.enabled, provider: AUTH.enabled ? AUTH.provider : null, sessions: sessions ? sessions.size : 0 },
+    rateLimit: apiRateLimiter.stats(),
+    bulkJobs: bulkJobs.stats(),
+    cache: {
+      store: cache.type,
+      totalEntries: cache.size
+    },
+    timestamp: new Date().toISOString()
+  });
+});
 
-    console.log('Testing GitLab connectivity...');
-    console.log(`Endpoint: ${GITLAB_ENDPOINT}`);
-    console.log(`Using custom cert: ${!!httpsAgent}`);
-    console.log(`Cert path: ${GITLAB_CA_CERT_PATH || 'none'}`);
+// Board history: GET /api/history?dataset=issues&from=2024-01-01&to=2024-01-31
+//   dataset  issues, merge-requests or race (comma-separated; default: all)
+//   from/to  inclusive YYYY-MM-DD dates (default: everything)
+//   daily    true to get only the last snapshot of each day (default in daily mode)
+//   ids      false to leave out issue/MR IDs and only return counts
+app.get('/api/history', (req, res) => {
+  if (!history) {
+    return res.status(404).json({ error: 'History is disabled. Set HISTORY_ENABLED=true to record snapshots.' });
+  }
 
-    // Test with a simple API call to get group info
-    const response = await gitlabApi.get(`/groups/${GITLAB_GROUP_ID}`, {
-      timeout: 10000
-    });
+  const datasets = req.query.dataset ? String(req.query.dataset).split(',').map(name => name.trim()) : null;
+  const unknown = (datasets || []).filter(name => !historySummaries[name]);
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown dataset: ${unknown.join(', ')}. Use ${Object.keys(historySummaries).join(', ')}.` });
+  }
 
-    res.json({
-      success: true,
-      message: 'GitLab connection successful',
-      groupName: response.data.name,
-      groupPath: response.data.full_path,
-      endpoint: GITLAB_ENDPOINT,
-      hasCustomCert: !!httpsAgent
-    });
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+  const { from, to } = req.query;
+  if ((from && !isDate(from)) || (to && !isDate(to))) {
+    return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+  }
 
-  } catch (error) {
-    console.error('GitLab connectivity test failed:', error);
-    
-    let errorDetails = error.message;
-    if (error.code === 'UNABLE_TO_VERIFY_LEAF_SIGNATURE' || 
-        error.code === 'CERT_UNTRUSTED' || 
-        error.code === 'SELF_SIGNED_CERT_IN_CHAIN') {
-      errorDetails = `SSL Certificate error: ${error.message}. Please check your GITLAB_CA_CERT_PATH configuration.`;
-    } else if (error.code === 'ENOTFOUND') {
-      errorDetails = `DNS resolution failed: ${error.message}. Please check your GITLAB_ENDPOINT.`;
-    } else if (error.response) {
-      errorDetails = `GitLab API error: ${error.response.status} ${error.response.statusText}`;
-    }
+  const snapshots = history.query({
+    datasets,
+    from,
+    to,
+    daily: req.query.daily === undefined ? undefined : req.query.daily === 'true',
+    includeIds: req.query.ids !== 'false'
+  });
 
-    res.status(500).json({
-      success: false,
-      error: 'GitLab connection failed',
-      details: errorDetails,
-      code: error.code || 'UNKNOWN_ERROR',
-      endpoint: GITLAB_ENDPOINT,
-      hasCustomCert: !!httpsAgent,
-      certPath: GITLAB_CA_CERT_PATH || 'none'
-    });
-  }
+  res.json({
+    datasets: datasets || Object.keys(historySummaries),
+    from: from || null,
+    to: to || null,
+    mode: history.mode,
+    total: snapshots.length,
+    snapshots
+  });
 });
 
-// Get all issues from the GitLab group
-app.get('/api/issues', async (req, res) => {
-  try {
-    if (!GITLAB_TOKEN || !GITLAB_GROUP_ID) {
-      return res.status(500).json({ 
-        error: 'GitLab configuration missing. Please check your environment variables.' 
-      });
-    }
+// Global search: GET /api/search?q=login bug&type=issue,merge_request&limit=20&source=<id>
+app.get('/api/search', (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (!q || q.length > 200) {
+    return res.status(400).json({ error: 'q must be between 1 and 200 characters' });
+  }
 
-    // Check cache first
-    const cacheKey = getCacheKey('issues', { groupId: GITLAB_GROUP_ID, label: EMPORIUM_LABEL });
-    const cachedData = getCachedData(cacheKey);
-    if (cachedData) {
-      return res.json(cachedData);
-    }
+  const types = req.query.type ? String(req.query.type).split(',').map(type => type.trim()) : null;
+  const unknown = (types || []).filter(type => !SEARCH_TYPES[type]);
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown type: ${unknown.join(', ')}. Use ${Object.keys(SEARCH_TYPES).join(', ')}.` });
+  }
 
-    console.log(`Fetching issues for group ${GITLAB_GROUP_ID} with label '${EMPORIUM_LABEL}'`);
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return res.status(400).json({ error: 'limit must be a whole number between 1 and 100' });
+  }
 
-    // Fetch all issues from the group using the efficient group issues endpoint
-    const allIssues = [];
-    let page = 1;
-    const perPage = 100;
-    let hasMorePages = true;
+  const missing = searchIndexStale ? rebuildSearchIndex() : [];
+  const { total, counts, results } = searchIndex.search(q, {
+    types,
+    filter: document => !req.query.source || document.source === req.query.source,
+    limit
+  });
 
-    while (hasMorePages) {
-      try {
-        const issues = await cachedGitlabApiCall(`/groups/${GITLAB_GROUP_ID}/issues`, {
-          labels: EMPORIUM_LABEL,
-          state: 'all', // Get both open and closed issues
-          per_page: perPage,
-          page: page,
-          include_subgroups: true,
-          order_by: 'created_at',
-          sort: 'desc'
-        });
+  res.json({
+    query: q,
+    total,
+    counts,
+    results,
+    // Datasets not loaded yet, so not searched
+    missing,
+    indexedAt: searchIndex.builtAt
+  });
+});
 
-        allIssues.push(...issues);
+// Server-Sent Events stream of dataset changes
+app.get('/api/events', (req, res) => {
+  events.handle(req, res);
+});
 
-        // Check if there are more pages
-        hasMorePages = issues.length === perPage;
-        page++;
+// Test GitLab connectivity for every configured source
+app.get('/api/test-gitlab', requireAdmin, async (req, res) => {
+  if (!hasGitlabConfig()) {
+    return res.status(500).json({ 
+      error: 'GitLab configuration missing. Please check your environment variables.' 
+    });
+  }
 
-        console.log(`Fetched page ${page - 1}: ${issues.length} issues (total so far: ${allIssues.length})`);
+  const results = await Promise.all(sources.map(async (source) => {
+    try {
+      logger.info('Testing GitLab connectivity', {
+        source: source.id,
+        endpoint: source.endpoint,
+        customCert: !!source.httpsAgent,
+        certPath: source.caCertPath || undefined
+      });
 
-      } catch (error) {
-        console.error(`Error fetching page ${page}:`, error.message);
-        // If we get an error on a specific page, break the loop but return what we have
-        break;
+      // Test with a simple API call to get group info
+      const response = await source.api.get(`/groups/${source.groupId}`, {
+        timeout: 10000
+      });
+
+      return {
+        source: source.id,
+        success: true,
+        message: 'GitLab connection successful',
+        groupName: response.data.name,
+        groupPath: response.data.full_path,
+        endpoint: source.endpoint,
+        hasCustomCert: !!source.httpsAgent
+      };
+
+    } catch (error) {
+      logger.error('GitLab connectivity test failed', { source: source.id, error });
+
+      let errorDetails = error.message;
+      if (error.code === 'UNABLE_TO_VERIFY_LEAF_SIGNATURE' || 
+          error.code === 'CERT_UNTRUSTED' || 
+          error.code === 'SELF_SIGNED_CERT_IN_CHAIN') {
+        errorDetails = `SSL Certificate error: ${error.message}. Please check your GITLAB_CA_CERT_PATH configuration.`;
+      } else if (error.code === 'ENOTFOUND') {
+        errorDetails = `DNS resolution failed: ${error.message}. Please check your GITLAB_ENDPOINT.`;
+      } else if (error.response) {
+        errorDetails = `GitLab API error: ${error.response.status} ${error.response.statusText}`;
       }
+
+      return {
+        source: source.id,
+        success: false,
+        error: 'GitLab connection failed',
+        details: errorDetails,
+        code: error.code || 'UNKNOWN_ERROR',
+        endpoint: source.endpoint,
+        hasCustomCert: !!source.httpsAgent,
+        certPath: source.caCertPath || 'none'
+      };
     }
+  }));
 
-    console.log(`Total issues fetched: ${allIssues.length}`);
+  const success = results.every(result => result.success);
+  // Single-source deployments get the same flat response as before
+  const body = sources.length === 1 ? { ...results[0], sources: results } : { success, sources: results };
+  res.status(success ? 200 : 500).json(body);
+});
 
-    // Fetch project names for all unique project IDs
-    const projectIds = [...new Set(allIssues.map(issue => issue.project_id))];
-    const projectNames = {};
-    
-    console.log(`Fetching project names for ${projectIds.length} projects in parallel...`);
-    
-    // Fetch project names in parallel batches for better performance
-    const projectPromises = projectIds.map(async (projectId) => {
-      try {
-        const projectData = await cachedGitlabApiCall(`/projects/${projectId}`, {
-          simple: true // Only get basic project info
-        }, PROJECT_CACHE_TTL);
-        return { projectId, name: projectData.name };
-      } catch (error) {
-        console.warn(`Failed to fetch project name for project ${projectId}:`, error.message);
-        return { projectId, name: `Project ${projectId}` };
-      }
-    });
-    
-    const projectResults = await Promise.all(projectPromises);
-    projectResults.forEach(({ projectId, name }) => {
-      projectNames[projectId] = name;
-    });
+// Fetch the Emporium issues of one source, with project names
+async function loadSourceIssues(source) {
+  logger.info('Fetching issues', { source: source.id, groupId: source.groupId, label: EMPORIUM_LABEL });
 
-    // Add project names to issues
-    allIssues.forEach(issue => {
-      issue.project_name = projectNames[issue.project_id] || `Project ${issue.project_id}`;
-    });
+  // Fetch all issues from the group using the efficient group issues endpoint
+  const { items: allIssues, partial, warnings } = await fetchAllPages(source.api, `/groups/${source.groupId}/issues`, {
+    labels: EMPORIUM_LABEL,
+    state: 'all', // Get both open and closed issues
+    include_subgroups: true,
+    order_by: 'created_at',
+    sort: 'desc'
+  }, { label: 'issues' });
 
-    const categorizedIssues = categorizeIssues(allIssues);
-    
-    const responseData = {
-      issues: categorizedIssues,
-      total: allIssues.length,
-      timestamp: new Date().toISOString()
-    };
+  logger.info('Fetched issues', { source: source.id, count: allIssues.length });
 
-    // Cache the response
-    setCachedData(cacheKey, responseData);
-    
-    res.json(responseData);
+  // Fetch project names for all unique project IDs
+  const projectIds = [...new Set(allIssues.map(issue => issue.project_id))];
+  const projectNames = {};
+  
+  logger.debug('Fetching project names', { source: source.id, projects: projectIds.length });
+  
+  // Fetch project names in parallel batches for better performance
+  const projectPromises = projectIds.map(async (projectId) => {
+    try {
+      const projectData = await cachedGitlabApiCall(source, `/projects/${projectId}`, {
+        simple: true // Only get basic project info
+      }, PROJECT_CACHE_TTL);
+      return { projectId, name: projectData.name };
+    } catch (error) {
+      logger.warn('Failed to fetch project name', { source: source.id, project: projectId, error });
+      return { projectId, name: `Project ${projectId}` };
+    }
+  });
+  
+  const projectResults = await Promise.all(projectPromises);
+  projectResults.forEach(({ projectId, name }) => {
+    projectNames[projectId] = name;
+  });
+
+  // Add project names and the source to issues
+  allIssues.forEach(issue => {
+    issue.project_name = projectNames[issue.project_id] || `Project ${issue.project_id}`;
+    tagWithSource(issue, source);
+  });
+  await addLinkedMergeRequests(source, allIssues);
+
+  return { items: allIssues, partial, warnings };
+}
+
+// Merge requests that close an issue ({ iid, project_id, title, state, draft, web_url }).
+// GitLab counts them on the issue, so issues without any cost no call.
+async function loadLinkedMergeRequests(source, issue) {
+  if (issue.merge_requests_count === 0) return [];
+  try {
+    const mergeRequests = await cachedGitlabApiCall(source, `/projects/${issue.project_id}/issues/${issue.iid}/closed_by`);
+    return mergeRequests.map(({ iid, project_id, title, state, draft, web_url }) => ({
+      iid, project_id, title, state, draft: !!draft, web_url
+    }));
+  } catch (error) {
+    logger.warn('Failed to fetch linked merge requests', { source: source.id, project: issue.project_id, iid: issue.iid, error });
+    return [];
+  }
+}
+
+// Categories with mergeRequests rules need to know each issue's linked merge requests
+async function addLinkedMergeRequests(source, issues) {
+  if (!usesMergeRequests(EMPORIUM_CATEGORIES)) return;
+  await Promise.all(issues.map(async issue => {
+    issue.linked_merge_requests = await loadLinkedMergeRequests(source, issue);
+  }));
+}
+
+// Build the categorized Emporium issues dataset from every source
+async function loadIssues() {
+  const { results, partial, warnings } = await loadFromSources('issues', loadSourceIssues);
+  const allIssues = results.flatMap(result => result.items);
+
+  const board = categorizeBoard(allIssues);
+  if (board.uncategorized.length > 0) {
+    logger.warn('Issues match no Emporium category and are not shown', { count: board.uncategorized.length });
+  }
+
+  return {
+    ...board,
+    partial,
+    warnings,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Get all issues from the GitLab group, optionally filtered and paged
+// (see lib/issue-query.js for the query parameters)
+app.get('/api/issues', async (req, res) => {
+  try {
+    if (!hasGitlabConfig()) {
+      return res.status(500).json({ 
+        error: 'GitLab configuration missing. Please check your environment variables.' 
+      });
+    }
+
+    const query = hasIssueQuery(req.query) ? parseIssueQuery(req.query, { categoryIds: categoryIds() }) : null;
+    const data = await refresher.get('issues');
+    res.json(query ? applyIssueQuery(data, query) : data);
 
   } catch (error) {
-    console.error('Error fetching issues:', error);
+    if (error instanceof IssueQueryError) {
+      return res.status(400).json({ error: error.message, details: error.errors });
+    }
+
+    logger.error('Failed to fetch issues', { error });
     
     // Provide more detailed error information for debugging
     let errorDetails = error.message;
@@ -401,8 +1186,442 @@ app.get('/api/issues', async (req, res) => {
   }
 });
 
+// Per-issue histories used by trends and timings: endpoint under the issue and its params.
+// Notes are read oldest first for assignments.
+const ISSUE_EVENT_ENDPOINTS = {
+  stateEvents: ['resource_state_events', {}],
+  labelEvents: ['resource_label_events', {}],
+  notes: ['notes', { sort: 'asc', order_by: 'created_at' }]
+};
+const TRENDS_DEFAULT_DAYS = 90;
+const TRENDS_MAX_DAYS = 730;
+
+// Fetch some of an issue's histories: { events: { stateEvents, labelEvents, notes }, partial }.
+// Each history is null when it could not be loaded; `partial` is set when one could not
+// be loaded or is missing pages. Closed issues seldom change, so their histories are
+// cached for longer.
+async function loadIssueEvents(issue, kinds) {
+  const source = sources.find(candidate => candidate.id === issue.source);
+  const issuePath = `/projects/${issue.project_id}/issues/${issue.iid}`;
+  const ttl = issue.state === 'closed' ? PROJECT_CACHE_TTL : CACHE_TTL;
+
+  const settled = await Promise.allSettled(kinds.map(kind => {
+    const [endpoint, params] = ISSUE_EVENT_ENDPOINTS[kind];
+    return cachedGitlabPages(source, `${issuePath}/${endpoint}`, params, ttl);
+  }));
+
+  const events = {};
+  let partial = false;
+  kinds.forEach((kind, index) => {
+    const loaded = settled[index].status === 'fulfilled' ? settled[index].value : null;
+    events[kind] = loaded ? loaded.items : null;
+    partial = partial || !loaded || loaded.partial;
+  });
+  return { events, partial };
+}
+
+// Issues are keyed like the frontend's itemKey
+const issueKey = (issue) => `${issue.source}:${issue.id}`;
+
+// Board timeline and timings of every Emporium issue, reconstructed from their histories:
+// { issues: { [issueKey]: { timeline, timings, complete } } }. Built once per refresh so
+// trends, timings and SLAs never fetch histories themselves.
+async function loadIssueTimelines() {
+  const data = await refresher.get('issues');
+  const issues = {};
+  await Promise.all(boardIssues(data).map(async (issue) => {
+    const { events, partial } = await loadIssueEvents(issue, ['stateEvents', 'labelEvents', 'notes']);
+    const timings = buildIssueTimings(issue, { ...events, label: EMPORIUM_LABEL });
+    issues[issueKey(issue)] = {
+      timeline: buildIssueTimeline(issue, { ...events, label: EMPORIUM_LABEL }),
+      timings: { ...timings, estimated: timings.estimated || partial },
+      complete: !partial
+    };
+  }));
+  return { issues };
+}
+
+// An issue's entry in the issue-timelines dataset. Issues that arrived after its last
+// refresh are estimated from their created and closed dates until the next one.
+function issueTimeline(timelines, issue) {
+  const cached = timelines.issues[issueKey(issue)];
+  if (cached) return cached;
+
+  const events = { stateEvents: null, labelEvents: null, notes: null, label: EMPORIUM_LABEL };
+  return {
+    timeline: buildIssueTimeline(issue, events),
+    timings: { ...buildIssueTimings(issue, events), estimated: true },
+    complete: false
+  };
+}
+
+// Cumulative flow and burndown of the Emporium:
+// GET /api/issues/trends?days=90 or ?from=2024-01-01&to=2024-03-31, optionally &source=<id>
+app.get('/api/issues/trends', async (req, res) => {
+  try {
+    if (!hasGitlabConfig()) {
+      return res.status(500).json({ 
+        error: 'GitLab configuration missing. Please check your environment variables.' 
+      });
+    }
+
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+    const days = req.query.days === undefined ? TRENDS_DEFAULT_DAYS : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > TRENDS_MAX_DAYS) {
+      return res.status(400).json({ error: `days must be a whole number between 1 and ${TRENDS_MAX_DAYS}` });
+    }
+    const dateError = 'from and to must be dates in YYYY-MM-DD format, with from before to';
+    if ([req.query.from, req.query.to].some(value => value && !isDate(value))) {
+      return res.status(400).json({ error: dateError });
+    }
+    const to = req.query.to || dayOf(Date.now());
+    const from = req.query.from || dayOf(Date.parse(to) - (days - 1) * 24 * 60 * 60 * 1000);
+    if (from > to) {
+      return res.status(400).json({ error: dateError });
+    }
+    if ((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) >= TRENDS_MAX_DAYS) {
+      return res.status(400).json({ error: `The window can be at most ${TRENDS_MAX_DAYS} days` });
+    }
+
+    const data = await refresher.get('issues');
+    const timelines = await refresher.get('issue-timelines');
+    const issues = boardIssues(data)
+      .filter(issue => !req.query.source || issue.source === req.query.source);
+    const results = issues.map(issue => issueTimeline(timelines, issue));
+
+    const incomplete = results.filter(result => !result.complete).length;
+    const warnings = [...data.warnings];
+    if (incomplete > 0) {
+      warnings.push(`Event history unavailable or incomplete for ${incomplete} issue${incomplete === 1 ? '' : 's'}; their created/closed dates were used where it is missing`);
+    }
+
+    res.json({
+      ...buildTrends(results.map(result => result.timeline), { from, to }),
+      label: EMPORIUM_LABEL,
+      total: issues.length,
+      partial: data.partial || incomplete > 0,
+      warnings,
+      refreshedAt: data.refreshedAt
+    });
+
+  } catch (error) {
+    logger.error('Failed to build issue trends', { error });
+    res.status(500).json({
+      error: 'Failed to build issue trends',
+      details: error.message,
+      code: error.code || 'UNKNOWN_ERROR'
+    });
+  }
+});
+
+// [{ issue, timings }] for a list of Emporium issues
+async function loadIssueTimings(issues) {
+  if (issues.length === 0) return [];
+  const timelines = await refresher.get('issue-timelines');
+  return issues.map(issue => ({ issue, timings: issueTimeline(timelines, issue).timings }));
+}
+
+// Time each Emporium issue spent For Sale and Sold, with median/p85 cycle and lead
+// times overall, per project and per label: GET /api/issues/timings, optionally ?source=<id>
+app.get('/api/issues/timings', async (req, res) => {
+  try {
+    if (!hasGitlabConfig()) {
+      return res.status(500).json({ 
+        error: 'GitLab configuration missing. Please check your environment variables.' 
+      });
+    }
+
+    const data = await refresher.get('issues');
+    const issues = Object.values(data.issues).flat()
+      .filter(issue => !req.query.source || issue.source === req.query.source);
+
+    const entries = await loadIssueTimings(issues);
+
+    const timings = {};
+    entries.forEach(({ issue, timings: issueTimings }) => {
+      timings[issueKey(issue)] = issueTimings;
+    });
+
+    const estimated = entries.filter(entry => entry.timings.estimated).length;
+    const warnings = [...data.warnings];
+    if (estimated > 0) {
+      warnings.push(`Event history unavailable or incomplete for ${estimated} issue${estimated === 1 ? '' : 's'}; their timings are estimated`);
+    }
+
+    res.json({
+      issues: timings,
+      ...aggregateTimings(entries, { ignoreLabel: EMPORIUM_LABEL }),
+      partial: data.partial || estimated > 0,
+      warnings,
+      refreshedAt: data.refreshedAt
+    });
+
+  } catch (error) {
+    logger.error('Failed to compute issue timings', { error });
+    res.status(500).json({
+      error: 'Failed to compute issue timings',
+      details: error.message,
+      code: error.code || 'UNKNOWN_ERROR'
+    });
+  }
+});
+
+// [{ issue, category, timings, flags }] for the issues in `data` that break an SLA policy
+async function loadSlaFlags(data, { source } = {}) {
+  // Only issues some policy could apply to need their timings
+  const candidates = [...new Set(SLA_POLICIES.map(policy => policy.category))]
+    .flatMap(category => (data.issues[category] || [])
+      .filter(issue => !source || issue.source === source)
+      .map(issue => ({ issue, category })));
+
+  const entries = await loadIssueTimings(candidates.map(candidate => candidate.issue));
+
+  return entries
+    .map(({ issue, timings }, index) => ({
+      issue,
+      category: candidates[index].category,
+      timings,
+      flags: evaluateIssueSla(issue, candidates[index].category, timings, SLA_POLICIES, { priorityLabel: PRIORITY_LABEL })
+    }))
+    .filter(entry => entry.flags.length > 0);
+}
+
+// SLA breaches of For Sale and Sold issues, per issue and per project:
+// GET /api/sla, optionally ?source=<id>
+app.get('/api/sla', async (req, res) => {
+  try {
+    if (!hasGitlabConfig()) {
+      return res.status(500).json({ 
+        error: 'GitLab configuration missing. Please check your environment variables.' 
+      });
+    }
+
+    const data = await refresher.get('issues');
+    const flagged = await loadSlaFlags(data, { source: req.query.source });
+
+    const flagsByIssue = {};
+    const projects = new Map();
+    const totals = { breached: 0, atRisk: 0 };
+    let estimated = 0;
+
+    flagged.forEach(({ issue, category, timings, flags }) => {
+      const level = worstLevel(flags);
+      if (timings.estimated) estimated++;
+      flagsByIssue[issueKey(issue)] = flags;
+      totals[level === 'breached' ? 'breached' : 'atRisk']++;
+
+      const projectKey = `${issue.source}:${issue.project_id}`;
+      if (!projects.has(projectKey)) {
+        projects.set(projectKey, {
+          source: issue.source,
+          projectId: issue.project_id,
+          project: issue.project_name,
+          breached: 0,
+          atRisk: 0,
+          issues: []
+        });
+      }
+      const project = projects.get(projectKey);
+      project[level === 'breached' ? 'breached' : 'atRisk']++;
+      project.issues.push({
+        key: issueKey(issue),
+        iid: issue.iid,
+        title: issue.title,
+        web_url: issue.web_url,
+        category,
+        level,
+        flags
+      });
+    });
+
+    const warnings = [...data.warnings];
+    if (estimated > 0) {
+      warnings.push(`Event history unavailable for ${estimated} flagged issue${estimated === 1 ? '' : 's'}; their ages are estimated`);
+    }
+
+    res.json({
+      policies: SLA_POLICIES,
+      totals,
+      byProject: Array.from(projects.values())
+        .sort((a, b) => b.breached - a.breached || b.atRisk - a.atRisk),
+      issues: flagsByIssue,
+      partial: data.partial || estimated > 0,
+      warnings,
+      refreshedAt: data.refreshedAt,
+      evaluatedAt: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Failed to evaluate SLAs', { error });
+    res.status(500).json({
+      error: 'Failed to evaluate SLAs',
+      details: error.message,
+      code: error.code || 'UNKNOWN_ERROR'
+    });
+  }
+});
+
+// The export format from ?format=, or null after answering 400
+function exportFormat(req, res) {
+  const format = req.query.format || 'csv';
+  if (!EXPORT_FORMATS[format]) {
+    res.status(400).json({ error: `Unknown format "${format}"; use ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    return null;
+  }
+  return format;
+}
+
+// The active filters, described for the Markdown export
+const describeFilters = (query) => Object.entries(query)
+  .filter(([name]) => name !== 'format')
+  .map(([name, value]) => `${name}: ${[].concat(value).join(', ')}`);
+
+function sendExport(res, name, format, board) {
+  const { body, contentType, extension } = renderExport(format, board);
+  const day = new Date().toISOString().slice(0, 10);
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="bug-emporium-${name}-${day}.${extension}"`);
+  res.send(body);
+}
+
+// Download the Emporium: GET /api/issues/export?format=csv|md|json with the /api/issues
+// filters, and &sla=breached for only the issues that break an SLA policy
+app.get('/api/issues/export', async (req, res) => {
+  try {
+    if (!hasGitlabConfig()) {
+      return res.status(500).json({ 
+        error: 'GitLab configuration missing. Please check your environment variables.' 
+      });
+    }
+
+    const format = exportFormat(req, res);
+    if (!format) return;
+
+    const { sla, ...filters } = req.query;
+    const query = hasIssueQuery(filters) ? parseIssueQuery(filters, { categoryIds: categoryIds() }) : null;
+    const dataset = await refresher.get('issues');
+    const data = query ? applyIssueQuery(dataset, query) : dataset;
+
+    // Worst SLA level per issue, from the cached issue timelines (nothing to flag without policies)
+    const levels = new Map();
+    if (SLA_POLICIES.length > 0) {
+      (await loadSlaFlags(data)).forEach(({ issue, flags }) => levels.set(issueKey(issue), worstLevel(flags)));
+    }
+
+    const sections = data.categories
+      .filter(({ id }) => !query?.categories || query.categories.includes(id))
+      .map(({ id, name, emoji }) => ({
+        title: emoji ? `${emoji} ${name}` : name,
+        rows: (data.issues[id] || [])
+          .filter(issue => sla !== 'breached' || levels.has(issueKey(issue)))
+          .map(issue => ({ ...issue, category: id, sla: levels.get(issueKey(issue)) || null }))
+      }));
+
+    sendExport(res, 'issues', format, {
+      title: '🐛 Bug Emporium',
+      itemsKey: 'issues',
+      columns: issueColumns({ priorityLabel: PRIORITY_LABEL }),
+      sections,
+      filters: describeFilters(req.query)
+    });
+
+  } catch (error) {
+    if (error instanceof IssueQueryError) {
+      return res.status(400).json({ error: error.message, details: error.errors });
+    }
+
+    logger.error('Failed to export issues', { error });
+    res.status(500).json({
+      error: 'Failed to export issues',
+      details: error.message,
+      code: error.code || 'UNKNOWN_ERROR'
+    });
+  }
+});
+
+const FEED_ENTRY_LIMIT = 50;
+
+// A feed's URL without the reader's feed token and with its query in a fixed order, so
+// the feed has the same id whoever fetches it
+function canonicalFeedUrl(req) {
+  const [path, search = ''] = req.originalUrl.split('?');
+  const params = new URLSearchParams(search);
+  params.delete('token');
+  params.sort();
+  const query = params.toString();
+  return `${baseUrlOf(req)}${path}${query ? `?${query}` : ''}`;
+}
+
+// Atom feed of For Sale issues, newest listing first. `filters` are /api/issues filters;
+// `scope` describes them in the feed title.
+async function sendForSaleFeed(req, res, { filters, scope }) {
+  try {
+    if (!hasGitlabConfig()) {
+      return res.status(500).json({ 
+        error: 'GitLab configuration missing. Please check your environment variables.' 
+      });
+    }
+
+    const forSale = forSaleCategory();
+    if (!forSale) {
+      return res.status(404).json({
+        error: 'No For Sale category',
+        details: 'No category in emporium.categories has the for-sale role'
+      });
+    }
+
+    const query = parseIssueQuery({ ...filters, category: forSale.id, limit: undefined, offset: undefined }, { categoryIds: categoryIds() });
+    const data = applyIssueQuery(await refresher.get('issues'), query);
+
+    // Entries are dated when the issue was (last) listed, which doesn't move on refresh
+    const entries = (await loadIssueTimings(data.issues[forSale.id]))
+      .map(({ issue, timings }) => issueEntry(issue, { listedAt: timings.listedAt, priorityLabel: PRIORITY_LABEL }))
+      .sort((a, b) => b.updated.localeCompare(a.updated))
+      .slice(0, FEED_ENTRY_LIMIT);
+
+    const baseUrl = baseUrlOf(req);
+    const feedUrl = canonicalFeedUrl(req);
+    res.set('Content-Type', 'application/atom+xml; charset=utf-8');
+    res.send(renderAtomFeed({
+      id: feedUrl,
+      title: `Bug Emporium: ${forSale.name}${scope ? ` ${scope}` : ''}`,
+      subtitle: `Issues labelled ${EMPORIUM_LABEL} that nobody has bought yet`,
+      selfUrl: feedUrl,
+      alternateUrl: `${baseUrl}/?page=emporium`,
+      entries,
+      fallbackUpdated: data.refreshedAt || new Date().toISOString()
+    }));
+
+  } catch (error) {
+    if (error instanceof IssueQueryError) {
+      return res.status(400).json({ error: error.message, details: error.errors });
+    }
+
+    logger.error('Failed to build For Sale feed', { error });
+    res.status(500).json({
+      error: 'Failed to build the For Sale feed',
+      details: error.message,
+      code: error.code || 'UNKNOWN_ERROR'
+    });
+  }
+}
+
+// Feeds of newly listed For Sale issues. Each also takes the /api/issues filters.
+app.get('/api/feeds/for-sale.atom', (req, res) => {
+  sendForSaleFeed(req, res, { filters: req.query });
+});
+
+// Project ID, name or URL-encoded path: /api/feeds/projects/group%2Fapp/for-sale.atom
+app.get('/api/feeds/projects/:project/for-sale.atom', (req, res) => {
+  sendForSaleFeed(req, res, { filters: { ...req.query, project: req.params.project }, scope: `in ${req.params.project}` });
+});
+
+app.get('/api/feeds/labels/:label/for-sale.atom', (req, res) => {
+  sendForSaleFeed(req, res, { filters: { ...req.query, labels: req.params.label }, scope: `labelled ${req.params.label}` });
+});
+
 // Helper function to extract issue IDs from description and comments
-async function extractLinkedIssueIds(issue, gitlabApi) {
+async function extractLinkedIssueIds(issue, source) {
   const linkedIds = new Set();
   
   // Extract from description
@@ -420,7 +1639,7 @@ async function extractLinkedIssueIds(issue, gitlabApi) {
   
   // Extract from comments/notes
   try {
-    const notesData = await cachedGitlabApiCall(`/projects/${issue.project_id}/issues/${issue.iid}/notes`);
+    const notesData = await cachedGitlabApiCall(source, `/projects/${issue.project_id}/issues/${issue.iid}/notes`);
     notesData.forEach(note => {
       if (note.body) {
         const noteMatches = note.body.match(/#(\d+)/g);
@@ -435,14 +1654,14 @@ async function extractLinkedIssueIds(issue, gitlabApi) {
       }
     });
   } catch (error) {
-    console.warn(`Failed to fetch notes for issue ${issue.iid}:`, error.message);
+    logger.warn('Failed to fetch issue notes', { source: source.id, project: issue.project_id, iid: issue.iid, error });
   }
   
   return Array.from(linkedIds);
 }
 
 // Helper function to spider through linked issues
-async function spiderLinkedIssues(issue, gitlabApi, visited = new Set(), rootIssueId = null, depth = 0, maxDepth = 5) {
+async function spiderLinkedIssues(issue, source, visited = new Set(), rootIssueId = null, depth = 0, maxDepth = 5) {
   // Set root issue ID on first call
   if (rootIssueId === null) {
     rootIssueId = issue.iid;
@@ -456,7 +1675,7 @@ async function spiderLinkedIssues(issue, gitlabApi, visited = new Set(), rootIss
   visited.add(issue.iid);
   
   try {
-    const linkedIds = await extractLinkedIssueIds(issue, gitlabApi);
+    const linkedIds = await extractLinkedIssueIds(issue, source);
     const linkedIssues = [];
     
     for (const linkedId of linkedIds) {
@@ -466,267 +1685,256 @@ async function spiderLinkedIssues(issue, gitlabApi, visited = new Set(), rootIss
       }
       
       try {
-        const linkedIssue = await cachedGitlabApiCall(`/projects/${issue.project_id}/issues/${linkedId}`);
+        const linkedIssue = await cachedGitlabApiCall(source, `/projects/${issue.project_id}/issues/${linkedId}`);
         
         // Recursively spider this linked issue, passing the same visited set and root issue ID
-        const spideredIssue = await spiderLinkedIssues(linkedIssue, gitlabApi, visited, rootIssueId, depth + 1, maxDepth);
+        const spideredIssue = await spiderLinkedIssues(linkedIssue, source, visited, rootIssueId, depth + 1, maxDepth);
         linkedIssues.push(spideredIssue);
       } catch (error) {
-        console.warn(`Failed to fetch linked issue ${linkedId}:`, error.message);
+        logger.warn('Failed to fetch linked issue', { source: source.id, project: issue.project_id, iid: linkedId, error });
       }
     }
     
     return { issue, linkedIssues };
   } catch (error) {
-    console.warn(`Failed to spider issue ${issue.iid}:`, error.message);
+    logger.warn('Failed to spider issue', { source: source.id, project: issue.project_id, iid: issue.iid, error });
     return { issue, linkedIssues: [] };
   }
 }
 
-// Get all merge requests from the GitLab group
-app.get('/api/merge-requests', async (req, res) => {
-  try {
-    if (!GITLAB_TOKEN || !GITLAB_GROUP_ID) {
-      return res.status(500).json({ 
-        error: 'GitLab configuration missing. Please check your environment variables.' 
-      });
-    }
-
-    // Check cache first
-    const cacheKey = getCacheKey('merge-requests', { 
-      groupId: GITLAB_GROUP_ID, 
-      ignoreLabels: IGNORE_LABELS.join(','),
-      notLabels: IGNORE_LABELS.join(',')
-    });
-    const cachedData = getCachedData(cacheKey);
-    if (cachedData) {
-      return res.json(cachedData);
-    }
+// Fetch and enrich the open merge requests of one source
+async function loadSourceMergeRequests(source) {
+  logger.info('Fetching merge requests', { source: source.id, groupId: source.groupId });
+
+  // Build API parameters with ignore labels filtering
+  const apiParams = {
+    state: 'opened', // Only get open merge requests
+    include_subgroups: true,
+    order_by: 'created_at',
+    sort: 'desc',
+    with_merge_status_recheck: true
+  };
 
-    console.log(`Fetching merge requests for group ${GITLAB_GROUP_ID}`);
+  // Add ignore labels filtering at API level
+  if (IGNORE_LABELS.length > 0) {
+    // GitLab API supports not[labels] parameter to exclude labels
+    apiParams['not[labels]'] = IGNORE_LABELS.join(',');
+  }
 
-    // Fetch all merge requests from the group
-    const allMergeRequests = [];
-    let page = 1;
-    const perPage = 100;
-    let hasMorePages = true;
+  // Fetch all merge requests from the group
+  const { items: allMergeRequests, partial, warnings } = await fetchAllPages(source.api, `/groups/${source.groupId}/merge_requests`, apiParams, { label: 'merge requests' });
 
-    while (hasMorePages) {
-      try {
-        // Build API parameters with ignore labels filtering
-        const apiParams = {
-          state: 'opened', // Only get open merge requests
-          per_page: perPage,
-          page: page,
-          include_subgroups: true,
-          order_by: 'created_at',
-          sort: 'desc',
-          with_merge_status_recheck: true
-        };
-
-        // Add ignore labels filtering at API level
-        if (IGNORE_LABELS.length > 0) {
-          // GitLab API supports not[labels] parameter to exclude labels
-          apiParams['not[labels]'] = IGNORE_LABELS.join(',');
-        }
+  logger.info('Fetched merge requests', { source: source.id, count: allMergeRequests.length });
 
-        const mergeRequests = await cachedGitlabApiCall(`/groups/${GITLAB_GROUP_ID}/merge_requests`, apiParams);
+  const enrichedMergeRequests = await enrichMergeRequests(source, allMergeRequests);
 
-        allMergeRequests.push(...mergeRequests);
+  return { items: enrichedMergeRequests, partial, warnings };
+}
 
-        // Check if there are more pages
-        hasMorePages = mergeRequests.length === perPage;
-        page++;
+// Add project details, user names, linked issues and draft status to merge requests
+async function enrichMergeRequests(source, allMergeRequests) {
+  // Fetch project details and user names for all unique IDs
+  const projectIds = [...new Set(allMergeRequests.map(mr => mr.project_id))];
+  const userIds = [...new Set(allMergeRequests.flatMap(mr => [
+    ...(mr.assignees || []).map(a => a.id),
+    ...(mr.reviewers || []).map(r => r.id),
+    mr.author?.id
+  ].filter(Boolean)))];
+  
+  const projectDetails = {};
+  const userNames = {};
+  
+  logger.debug('Fetching project details and user names', { source: source.id, projects: projectIds.length, users: userIds.length });
+  
+  // Fetch project details in parallel
+  const projectPromises = projectIds.map(async (projectId) => {
+    try {
+      const projectData = await cachedGitlabApiCall(source, `/projects/${projectId}`, {
+        simple: true
+      }, PROJECT_CACHE_TTL);
+      return { 
+        projectId, 
+        name: projectData.name,
+        path_with_namespace: projectData.path_with_namespace,
+        namespace: projectData.namespace
+      };
+    } catch (error) {
+      logger.warn('Failed to fetch project details', { source: source.id, project: projectId, error });
+      return { 
+        projectId, 
+        name: `Project ${projectId}`,
+        path_with_namespace: `project-${projectId}`,
+        namespace: { full_path: 'unknown' }
+      };
+    }
+  });
+  
+  // Fetch user names in parallel
+  const userPromises = userIds.map(async (userId) => {
+    try {
+      const userData = await cachedGitlabApiCall(source, `/users/${userId}`, {}, USER_CACHE_TTL);
+      return { userId, name: userData.name, username: userData.username };
+    } catch (error) {
+      logger.warn('Failed to fetch user name', { source: source.id, user: userId, error });
+      return { userId, name: `User ${userId}`, username: `user${userId}` };
+    }
+  });
+  
+  const [projectResults, userResults] = await Promise.all([
+    Promise.all(projectPromises),
+    Promise.all(userPromises)
+  ]);
+  
+  projectResults.forEach(({ projectId, name, path_with_namespace, namespace }) => {
+    projectDetails[projectId] = { name, path_with_namespace, namespace };
+  });
+  
+  userResults.forEach(({ userId, name, username }) => {
+    userNames[userId] = { name, username };
+  });
 
-        console.log(`Fetched MR page ${page - 1}: ${mergeRequests.length} merge requests (total so far: ${allMergeRequests.length})`);
+  // Enrich merge requests with additional data (approvals are already included in the API response)
+  logger.debug('Enriching merge requests', { source: source.id, count: allMergeRequests.length });
+  const enrichedMergeRequests = [];
+  
+  for (const mr of allMergeRequests) {
+    try {
+      // Approvals are already included in the merge request response, no need for separate API call
+      
+      // Extract linked issue IDs from description (but don't fetch the full issue data)
+      const linkedIssueIds = [];
+      if (mr.description) {
+        const issueMatches = mr.description.match(/#(\d+)/g);
+        if (issueMatches) {
+          linkedIssueIds.push(...issueMatches.map(match => parseInt(match.substring(1))));
+        }
+      }
 
-      } catch (error) {
-        console.error(`Error fetching MR page ${page}:`, error.message);
-        break;
+      // Get review app URL from environment variables or MR description
+      let reviewAppUrl = null;
+      if (mr.description) {
+        const reviewAppMatch = mr.description.match(/review[_-]?app[:\s]+(https?:\/\/[^\s]+)/i);
+        if (reviewAppMatch) {
+          reviewAppUrl = reviewAppMatch[1];
+        }
       }
-    }
 
-    console.log(`Total merge requests fetched: ${allMergeRequests.length} (already filtered at API level)`);
+      // Get project details
+      const project = projectDetails[mr.project_id] || { 
+        name: `Project ${mr.project_id}`, 
+        path_with_namespace: `project-${mr.project_id}`,
+        namespace: { full_path: 'unknown' }
+      };
+
+      // Enrich assignees and reviewers with user names
+      const enrichedAssignees = (mr.assignees || []).map(assignee => ({
+        ...assignee,
+        name: userNames[assignee.id]?.name || assignee.name || `User ${assignee.id}`,
+        username: userNames[assignee.id]?.username || assignee.username || `user${assignee.id}`
+      }));
+
+      const enrichedReviewers = (mr.reviewers || []).map(reviewer => ({
+        ...reviewer,
+        name: userNames[reviewer.id]?.name || reviewer.name || `User ${reviewer.id}`,
+        username: userNames[reviewer.id]?.username || reviewer.username || `user${reviewer.id}`
+      }));
+
+      const enrichedAuthor = mr.author ? {
+        ...mr.author,
+        name: userNames[mr.author.id]?.name || mr.author.name || `User ${mr.author.id}`,
+        username: userNames[mr.author.id]?.username || mr.author.username || `user${mr.author.id}`
+      } : null;
+
+      const enrichedMR = {
+        ...mr,
+        // Remove the old assignee field, use assignees array instead
+        assignee: undefined,
+        assignees: enrichedAssignees,
+        reviewers: enrichedReviewers,
+        author: enrichedAuthor,
+        project_name: project.name,
+        project_path: project.path_with_namespace,
+        project_namespace: project.namespace.full_path,
+        // Approvals data is already included in the merge request response
+        approvals: mr.approvals || {
+          approved: false,
+          approvals_required: 0,
+          approvals_left: 0,
+          approvers: [],
+          approved_by: []
+        },
+        linked_issue_ids: linkedIssueIds,
+        review_app_url: reviewAppUrl,
+        is_draft: mr.draft || mr.title.toLowerCase().includes('[draft]') || mr.title.toLowerCase().includes('wip:'),
+        created_at: mr.created_at,
+        labels: mr.labels || []
+      };
+
+      enrichedMergeRequests.push(tagWithSource(enrichedMR, source));
+    } catch (error) {
+      logger.warn('Failed to enrich merge request', { source: source.id, project: mr.project_id, iid: mr.iid, error });
+      // Add basic MR data even if enrichment fails
+      const project = projectDetails[mr.project_id] || { 
+        name: `Project ${mr.project_id}`, 
+        path_with_namespace: `project-${mr.project_id}`,
+        namespace: { full_path: 'unknown' }
+      };
+      
+      enrichedMergeRequests.push(tagWithSource({
+        ...mr,
+        assignee: undefined,
+        assignees: mr.assignees || [],
+        reviewers: mr.reviewers || [],
+        author: mr.author,
+        project_name: project.name,
+        project_path: project.path_with_namespace,
+        project_namespace: project.namespace.full_path,
+        approvals: mr.approvals || { approved: false, approvals_required: 0, approvals_left: 0, approvers: [], approved_by: [] },
+        linked_issue_ids: [],
+        review_app_url: null,
+        is_draft: mr.draft || mr.title.toLowerCase().includes('[draft]') || mr.title.toLowerCase().includes('wip:'),
+        created_at: mr.created_at,
+        labels: mr.labels || []
+      }, source));
+    }
+  }
 
-    // Fetch project details and user names for all unique IDs
-    const projectIds = [...new Set(allMergeRequests.map(mr => mr.project_id))];
-    const userIds = [...new Set(allMergeRequests.flatMap(mr => [
-      ...(mr.assignees || []).map(a => a.id),
-      ...(mr.reviewers || []).map(r => r.id),
-      mr.author?.id
-    ].filter(Boolean)))];
-    
-    const projectDetails = {};
-    const userNames = {};
-    
-    console.log(`Fetching project details for ${projectIds.length} projects and user names for ${userIds.length} users in parallel...`);
-    
-    // Fetch project details in parallel
-    const projectPromises = projectIds.map(async (projectId) => {
-      try {
-        const projectData = await cachedGitlabApiCall(`/projects/${projectId}`, {
-          simple: true
-        }, PROJECT_CACHE_TTL);
-        return { 
-          projectId, 
-          name: projectData.name,
-          path_with_namespace: projectData.path_with_namespace,
-          namespace: projectData.namespace
-        };
-      } catch (error) {
-        console.warn(`Failed to fetch project details for project ${projectId}:`, error.message);
-        return { 
-          projectId, 
-          name: `Project ${projectId}`,
-          path_with_namespace: `project-${projectId}`,
-          namespace: { full_path: 'unknown' }
-        };
-      }
-    });
-    
-    // Fetch user names in parallel
-    const userPromises = userIds.map(async (userId) => {
-      try {
-        const userData = await cachedGitlabApiCall(`/users/${userId}`, {}, USER_CACHE_TTL);
-        return { userId, name: userData.name, username: userData.username };
-      } catch (error) {
-        console.warn(`Failed to fetch user name for user ${userId}:`, error.message);
-        return { userId, name: `User ${userId}`, username: `user${userId}` };
-      }
-    });
-    
-    const [projectResults, userResults] = await Promise.all([
-      Promise.all(projectPromises),
-      Promise.all(userPromises)
-    ]);
-    
-    projectResults.forEach(({ projectId, name, path_with_namespace, namespace }) => {
-      projectDetails[projectId] = { name, path_with_namespace, namespace };
-    });
-    
-    userResults.forEach(({ userId, name, username }) => {
-      userNames[userId] = { name, username };
-    });
+  return enrichedMergeRequests;
+}
 
-    // Enrich merge requests with additional data (approvals are already included in the API response)
-    console.log('Enriching merge requests with additional data...');
-    const enrichedMergeRequests = [];
-    
-    for (const mr of allMergeRequests) {
-      try {
-        // Approvals are already included in the merge request response, no need for separate API call
-        
-        // Extract linked issue IDs from description (but don't fetch the full issue data)
-        const linkedIssueIds = [];
-        if (mr.description) {
-          const issueMatches = mr.description.match(/#(\d+)/g);
-          if (issueMatches) {
-            linkedIssueIds.push(...issueMatches.map(match => parseInt(match.substring(1))));
-          }
-        }
+// Build the enriched merge requests dataset from every source
+async function loadMergeRequests() {
+  const { results, partial, warnings } = await loadFromSources('merge requests', loadSourceMergeRequests);
+  const enrichedMergeRequests = results.flatMap(result => result.items);
 
-        // Get review app URL from environment variables or MR description
-        let reviewAppUrl = null;
-        if (mr.description) {
-          const reviewAppMatch = mr.description.match(/review[_-]?app[:\s]+(https?:\/\/[^\s]+)/i);
-          if (reviewAppMatch) {
-            reviewAppUrl = reviewAppMatch[1];
-          }
-        }
+  return {
+    merge_requests: enrichedMergeRequests,
+    total: enrichedMergeRequests.length,
+    partial,
+    warnings,
+    timestamp: new Date().toISOString()
+  };
+}
 
-        // Get project details
-        const project = projectDetails[mr.project_id] || { 
-          name: `Project ${mr.project_id}`, 
-          path_with_namespace: `project-${mr.project_id}`,
-          namespace: { full_path: 'unknown' }
-        };
-
-        // Enrich assignees and reviewers with user names
-        const enrichedAssignees = (mr.assignees || []).map(assignee => ({
-          ...assignee,
-          name: userNames[assignee.id]?.name || assignee.name || `User ${assignee.id}`,
-          username: userNames[assignee.id]?.username || assignee.username || `user${assignee.id}`
-        }));
-
-        const enrichedReviewers = (mr.reviewers || []).map(reviewer => ({
-          ...reviewer,
-          name: userNames[reviewer.id]?.name || reviewer.name || `User ${reviewer.id}`,
-          username: userNames[reviewer.id]?.username || reviewer.username || `user${reviewer.id}`
-        }));
-
-        const enrichedAuthor = mr.author ? {
-          ...mr.author,
-          name: userNames[mr.author.id]?.name || mr.author.name || `User ${mr.author.id}`,
-          username: userNames[mr.author.id]?.username || mr.author.username || `user${mr.author.id}`
-        } : null;
-
-        const enrichedMR = {
-          ...mr,
-          // Remove the old assignee field, use assignees array instead
-          assignee: undefined,
-          assignees: enrichedAssignees,
-          reviewers: enrichedReviewers,
-          author: enrichedAuthor,
-          project_name: project.name,
-          project_path: project.path_with_namespace,
-          project_namespace: project.namespace.full_path,
-          // Approvals data is already included in the merge request response
-          approvals: mr.approvals || {
-            approved: false,
-            approvals_required: 0,
-            approvals_left: 0,
-            approvers: [],
-            approved_by: []
-          },
-          linked_issue_ids: linkedIssueIds,
-          review_app_url: reviewAppUrl,
-          is_draft: mr.draft || mr.title.toLowerCase().includes('[draft]') || mr.title.toLowerCase().includes('wip:'),
-          created_at: mr.created_at,
-          labels: mr.labels || []
-        };
-
-        enrichedMergeRequests.push(enrichedMR);
-      } catch (error) {
-        console.warn(`Failed to enrich MR ${mr.iid}:`, error.message);
-        // Add basic MR data even if enrichment fails
-        const project = projectDetails[mr.project_id] || { 
-          name: `Project ${mr.project_id}`, 
-          path_with_namespace: `project-${mr.project_id}`,
-          namespace: { full_path: 'unknown' }
-        };
-        
-        enrichedMergeRequests.push({
-          ...mr,
-          assignee: undefined,
-          assignees: mr.assignees || [],
-          reviewers: mr.reviewers || [],
-          author: mr.author,
-          project_name: project.name,
-          project_path: project.path_with_namespace,
-          project_namespace: project.namespace.full_path,
-          approvals: mr.approvals || { approved: false, approvals_required: 0, approvals_left: 0, approvers: [], approved_by: [] },
-          linked_issue_ids: [],
-          review_app_url: null,
-          is_draft: mr.draft || mr.title.toLowerCase().includes('[draft]') || mr.title.toLowerCase().includes('wip:'),
-          created_at: mr.created_at,
-          labels: mr.labels || []
-        });
-      }
+// Get all merge requests from the GitLab group
+app.get('/api/merge-requests', async (req, res) => {
+  try {
+    if (!hasGitlabConfig()) {
+      return res.status(500).json({ 
+        error: 'GitLab configuration missing. Please check your environment variables.' 
+      });
     }
 
-    const responseData = {
-      merge_requests: enrichedMergeRequests,
-      total: enrichedMergeRequests.length,
-      timestamp: new Date().toISOString()
-    };
-
-    // Cache the response
-    setCachedData(cacheKey, responseData);
-    
-    res.json(responseData);
+    const query = hasMergeRequestQuery(req.query) ? parseMergeRequestQuery(req.query) : null;
+    const data = await refresher.get('merge-requests');
+    res.json(query ? applyMergeRequestQuery(data, query) : data);
 
   } catch (error) {
-    console.error('Error fetching merge requests:', error);
+    if (error instanceof MergeRequestQueryError) {
+      return res.status(400).json({ error: error.message, details: error.errors });
+    }
+
+    logger.error('Failed to fetch merge requests', { error });
     
     let errorDetails = error.message;
     if (error.code === 'UNABLE_TO_VERIFY_LEAF_SIGNATURE' || 
@@ -747,139 +1955,184 @@ app.get('/api/merge-requests', async (req, res) => {
   }
 });
 
-// Get Feature Funhouse data
-app.get('/api/funhouse', async (req, res) => {
+// Download MR Medic: GET /api/merge-requests/export?format=csv|md|json with the
+// /api/merge-requests filters (draft, approval, assignee, author, project, source, sort)
+app.get('/api/merge-requests/export', async (req, res) => {
   try {
-    if (!GITLAB_TOKEN || !GITLAB_GROUP_ID) {
+    if (!hasGitlabConfig()) {
       return res.status(500).json({ 
         error: 'GitLab configuration missing. Please check your environment variables.' 
       });
     }
 
-    // Check cache first
-    const cacheKey = getCacheKey('funhouse', { groupId: GITLAB_GROUP_ID, label: FUNHOUSE_LABEL });
-    const cachedData = getCachedData(cacheKey);
-    if (cachedData) {
-      return res.json(cachedData);
-    }
-
-    console.log(`Fetching funhouse features for group ${GITLAB_GROUP_ID} with label '${FUNHOUSE_LABEL}'`);
+    const format = exportFormat(req, res);
+    if (!format) return;
 
-    // Fetch all funhouse issues
-    const allFeatures = [];
-    let page = 1;
-    const perPage = 100;
-    let hasMorePages = true;
+    const query = parseMergeRequestQuery(req.query);
+    const data = applyMergeRequestQuery(await refresher.get('merge-requests'), query);
 
-    while (hasMorePages) {
-      try {
-        const features = await cachedGitlabApiCall(`/groups/${GITLAB_GROUP_ID}/issues`, {
-          labels: FUNHOUSE_LABEL,
-          state: 'all',
-          per_page: perPage,
-          page: page,
-          include_subgroups: true,
-          order_by: 'created_at',
-          sort: 'desc'
-        });
+    sendExport(res, 'merge-requests', format, {
+      title: '🏥 MR Medic',
+      itemsKey: 'merge_requests',
+      columns: MERGE_REQUEST_COLUMNS,
+      sections: [{ title: null, rows: data.merge_requests }],
+      filters: describeFilters(req.query)
+    });
 
-        allFeatures.push(...features);
+  } catch (error) {
+    if (error instanceof MergeRequestQueryError) {
+      return res.status(400).json({ error: error.message, details: error.errors });
+    }
 
-        hasMorePages = features.length === perPage;
-        page++;
+    logger.error('Failed to export merge requests', { error });
+    res.status(500).json({
+      error: 'Failed to export merge requests',
+      details: error.message,
+      code: error.code || 'UNKNOWN_ERROR'
+    });
+  }
+});
 
-        console.log(`Fetched funhouse page ${page - 1}: ${features.length} features (total so far: ${allFeatures.length})`);
+// Fetch the funhouse features of one source and spider each feature's linked issues
+async function loadSourceFunhouse(source) {
+  logger.info('Fetching funhouse features', { source: source.id, groupId: source.groupId, label: FUNHOUSE_LABEL });
 
-      } catch (error) {
-        console.error(`Error fetching funhouse page ${page}:`, error.message);
-        break;
-      }
+  // Fetch all funhouse issues
+  const { items: allFeatures, partial, warnings } = await fetchAllPages(source.api, `/groups/${source.groupId}/issues`, {
+    labels: FUNHOUSE_LABEL,
+    state: 'all',
+    include_subgroups: true,
+    order_by: 'created_at',
+    sort: 'desc'
+  }, { label: 'funhouse features' });
+
+  logger.info('Fetched funhouse features', { source: source.id, count: allFeatures.length });
+
+  // Fetch project names for all unique project IDs
+  const projectIds = [...new Set(allFeatures.map(feature => feature.project_id))];
+  const projectNames = {};
+  
+  logger.debug('Fetching project names', { source: source.id, projects: projectIds.length });
+  
+  // Fetch project names in parallel batches for better performance
+  const projectPromises = projectIds.map(async (projectId) => {
+    try {
+      const projectData = await cachedGitlabApiCall(source, `/projects/${projectId}`, {
+        simple: true
+      }, PROJECT_CACHE_TTL);
+      return { projectId, name: projectData.name };
+    } catch (error) {
+      logger.warn('Failed to fetch project name', { source: source.id, project: projectId, error });
+      return { projectId, name: `Project ${projectId}` };
     }
+  });
+  
+  const projectResults = await Promise.all(projectPromises);
+  projectResults.forEach(({ projectId, name }) => {
+    projectNames[projectId] = name;
+  });
 
-    console.log(`Total funhouse features fetched: ${allFeatures.length}`);
+  // Add project names to features
+  allFeatures.forEach(feature => {
+    feature.project_name = projectNames[feature.project_id] || `Project ${feature.project_id}`;
+  });
 
-    // Fetch project names for all unique project IDs
-    const projectIds = [...new Set(allFeatures.map(feature => feature.project_id))];
-    const projectNames = {};
-    
-    console.log(`Fetching project names for ${projectIds.length} projects in parallel...`);
-    
-    // Fetch project names in parallel batches for better performance
-    const projectPromises = projectIds.map(async (projectId) => {
-      try {
-        const projectData = await cachedGitlabApiCall(`/projects/${projectId}`, {
-          simple: true
-        }, PROJECT_CACHE_TTL);
-        return { projectId, name: projectData.name };
-      } catch (error) {
-        console.warn(`Failed to fetch project name for project ${projectId}:`, error.message);
-        return { projectId, name: `Project ${projectId}` };
-      }
-    });
-    
-    const projectResults = await Promise.all(projectPromises);
-    projectResults.forEach(({ projectId, name }) => {
-      projectNames[projectId] = name;
-    });
+  // Spider through each feature to build the tree, batched through GraphQL when possible
+  let featureTrees = null;
+  let spiderSource = 'rest';
+
+  if (FUNHOUSE_GRAPHQL && source.graphql.isAvailable()) {
+    try {
+      logger.debug('Spidering linked issues via GraphQL', { source: source.id });
+      featureTrees = await source.graphql.buildFeatureTrees(allFeatures);
+      spiderSource = 'graphql';
+    } catch (error) {
+      source.graphql.markUnavailable(error);
+    }
+  }
 
-    // Add project names to features
-    allFeatures.forEach(feature => {
-      feature.project_name = projectNames[feature.project_id] || `Project ${feature.project_id}`;
-    });
+  if (!featureTrees) {
+    logger.debug('Spidering linked issues via REST', { source: source.id });
+    featureTrees = [];
 
-    // Spider through each feature to build the tree
-    console.log('Spidering through linked issues...');
-    const featureTrees = [];
-    
     for (const feature of allFeatures) {
       try {
-        const featureTree = await spiderLinkedIssues(feature, gitlabApi);
+        const featureTree = await spiderLinkedIssues(feature, source);
         featureTrees.push(featureTree);
       } catch (error) {
-        console.warn(`Failed to spider feature ${feature.iid}:`, error.message);
+        logger.warn('Failed to spider feature', { source: source.id, project: feature.project_id, iid: feature.iid, error });
         featureTrees.push({ issue: feature, linkedIssues: [] });
       }
     }
+  }
 
-    // Function to recursively add project names to all issues in the tree
-    function addProjectNamesToTree(tree) {
-      if (tree.issue && !tree.issue.project_name) {
-        tree.issue.project_name = projectNames[tree.issue.project_id] || `Project ${tree.issue.project_id}`;
-      }
-      
-      if (tree.linkedIssues && tree.linkedIssues.length > 0) {
-        tree.linkedIssues.forEach(linkedIssue => {
-          addProjectNamesToTree(linkedIssue);
-        });
-      }
+  // Function to recursively add project names and the source to all issues in the tree
+  function addProjectNamesToTree(tree) {
+    if (tree.issue && !tree.issue.project_name) {
+      tree.issue.project_name = projectNames[tree.issue.project_id] || `Project ${tree.issue.project_id}`;
+    }
+    if (tree.issue) {
+      tagWithSource(tree.issue, source);
+    }
+    
+    if (tree.linkedIssues && tree.linkedIssues.length > 0) {
+      tree.linkedIssues.forEach(linkedIssue => {
+        addProjectNamesToTree(linkedIssue);
+      });
     }
+  }
 
-    // Add project names to all issues in the feature trees
-    console.log('Adding project names to all linked issues...');
-    featureTrees.forEach(featureTree => {
-      addProjectNamesToTree(featureTree);
-    });
+  // Add project names to all issues in the feature trees
+  featureTrees.forEach(featureTree => {
+    addProjectNamesToTree(featureTree);
+  });
 
-    // Categorize features as Active or Complete
-    const activeFeatures = featureTrees.filter(tree => tree.issue.state === 'opened');
-    const completeFeatures = featureTrees.filter(tree => tree.issue.state === 'closed');
+  return { items: featureTrees, total: allFeatures.length, spiderSource, partial, warnings };
+}
 
-    const responseData = {
-      features: {
-        active: activeFeatures,
-        complete: completeFeatures
-      },
-      total: allFeatures.length,
-      timestamp: new Date().toISOString()
-    };
+// Build the Feature Funhouse dataset from every source
+async function loadFunhouse() {
+  const { results, partial, warnings } = await loadFromSources('funhouse features', loadSourceFunhouse);
+  const featureTrees = results.flatMap(result => result.items);
+
+  // Categorize features as Active or Complete
+  const activeFeatures = featureTrees.filter(tree => tree.issue.state === 'opened');
+  const completeFeatures = featureTrees.filter(tree => tree.issue.state === 'closed');
 
-    // Cache the response
-    setCachedData(cacheKey, responseData);
+  // How each source's trees were spidered ('graphql' or 'rest')
+  const spiderSources = {};
+  results.forEach(result => {
+    spiderSources[result.source.id] = result.spiderSource;
+  });
+  const uniqueSpiderSources = [...new Set(Object.values(spiderSources))];
 
-    res.json(responseData);
+  return {
+    features: {
+      active: activeFeatures,
+      complete: completeFeatures
+    },
+    total: results.reduce((sum, result) => sum + result.total, 0),
+    partial,
+    warnings,
+    spiderSource: uniqueSpiderSources.length === 1 ? uniqueSpiderSources[0] : 'mixed',
+    spiderSources,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Get Feature Funhouse data
+app.get('/api/funhouse', async (req, res) => {
+  try {
+    if (!hasGitlabConfig()) {
+      return res.status(500).json({ 
+        error: 'GitLab configuration missing. Please check your environment variables.' 
+      });
+    }
+
+    res.json(await refresher.get('funhouse'));
 
   } catch (error) {
-    console.error('Error fetching funhouse features:', error);
+    logger.error('Failed to fetch funhouse features', { error });
     
     let errorDetails = error.message;
     if (error.code === 'UNABLE_TO_VERIFY_LEAF_SIGNATURE' || 
@@ -900,136 +2153,649 @@ app.get('/api/funhouse', async (req, res) => {
   }
 });
 
+// Build the Amazing Race leaderboard dataset
+// Fetch the race issues of one source, with project names
+async function loadSourceRace(source) {
+  logger.info('Fetching race issues', { source: source.id, groupId: source.groupId, label: RACE_LABEL });
+
+  // Fetch all race issues (open and closed) with the race label
+  const { items: raceIssues, partial, warnings } = await fetchAllPages(source.api, `/groups/${source.groupId}/issues`, {
+    labels: RACE_LABEL,
+    state: 'all',
+    include_subgroups: true,
+    order_by: 'created_at',
+    sort: 'desc'
+  }, { label: 'race issues' });
+
+  // Fetch project names
+  const projectIds = [...new Set(raceIssues.map(issue => issue.project_id))];
+  const projectNames = {};
+  const projectPromises = projectIds.map(async (projectId) => {
+    try {
+      const projectData = await cachedGitlabApiCall(source, `/projects/${projectId}`, { simple: true }, PROJECT_CACHE_TTL);
+      return { projectId, name: projectData.name };
+    } catch (_e) {
+      return { projectId, name: `Project ${projectId}` };
+    }
+  });
+  const projectResults = await Promise.all(projectPromises);
+  projectResults.forEach(({ projectId, name }) => { projectNames[projectId] = name; });
+  raceIssues.forEach(issue => {
+    issue.project_name = projectNames[issue.project_id] || `Project ${issue.project_id}`;
+    tagWithSource(issue, source);
+  });
+
+  return { items: raceIssues, partial, warnings };
+}
+
+async function loadRace() {
+  const { results, partial, warnings } = await loadFromSources('race issues', loadSourceRace);
+  const raceIssues = results.flatMap(result => result.items);
+
+  // Build leaderboard based on closed issues per team label
+  const teamStats = TEAM_LABELS.map(label => ({ team: label, closed: 0, total: 0 }));
+  const labelToStats = Object.fromEntries(teamStats.map(s => [s.team, s]));
+
+  raceIssues.forEach(issue => {
+    const labels = Array.isArray(issue.labels) ? issue.labels : [];
+    const teamMatches = TEAM_LABELS.filter(t => labels.includes(t));
+    if (teamMatches.length > 0) {
+      teamMatches.forEach(team => {
+        labelToStats[team].total += 1;
+        if (issue.state === 'closed') {
+          labelToStats[team].closed += 1;
+        }
+      });
+    }
+  });
+
+  // Sort leaderboard: closed desc, then total asc, then team name
+  const leaderboard = teamStats
+    .map(s => ({ ...s, remaining: Math.max(0, s.total - s.closed) }))
+    .sort((a, b) => {
+      if (b.closed !== a.closed) return b.closed - a.closed;
+      if (a.total !== b.total) return a.total - b.total;
+      return a.team.localeCompare(b.team);
+    });
+
+  // Group issues by team for UI convenience
+  const issuesByTeam = {};
+  TEAM_LABELS.forEach(t => { issuesByTeam[t] = { open: [], closed: [] }; });
+  raceIssues.forEach(issue => {
+    const labels = Array.isArray(issue.labels) ? issue.labels : [];
+    const teamMatches = TEAM_LABELS.filter(t => labels.includes(t));
+    if (teamMatches.length === 0) return;
+    teamMatches.forEach(team => {
+      if (issue.state === 'closed') {
+        issuesByTeam[team].closed.push(issue);
+      } else {
+        issuesByTeam[team].open.push(issue);
+      }
+    });
+  });
+
+  return {
+    leaderboard,
+    issuesByTeam,
+    total: raceIssues.length,
+    partial,
+    warnings,
+    raceLabel: RACE_LABEL,
+    teamLabels: TEAM_LABELS,
+    timestamp: new Date().toISOString()
+  };
+}
+
 // Amazing Race endpoint
 app.get('/api/race', async (req, res) => {
   try {
-    if (!GITLAB_TOKEN || !GITLAB_GROUP_ID) {
+    if (!hasGitlabConfig()) {
       return res.status(500).json({ 
         error: 'GitLab configuration missing. Please check your environment variables.' 
       });
     }
 
-    // Cache first
-    const cacheKey = getCacheKey('race', { groupId: GITLAB_GROUP_ID, raceLabel: RACE_LABEL, teamLabels: TEAM_LABELS.join(',') });
-    const cachedData = getCachedData(cacheKey);
-    if (cachedData) {
-      return res.json(cachedData);
+    res.json(await refresher.get('race'));
+  } catch (error) {
+    logger.error('Failed to fetch race issues', { error });
+    let errorDetails = error.message;
+    if (error.response) {
+      errorDetails = `GitLab API error: ${error.response.status} ${error.response.statusText}`;
     }
+    res.status(500).json({ 
+      error: 'Failed to fetch race issues from GitLab',
+      details: errorDetails,
+      code: error.code || 'UNKNOWN_ERROR'
+    });
+  }
+});
 
-    console.log(`Fetching race issues for group ${GITLAB_GROUP_ID} with race label '${RACE_LABEL}'`);
+// GitLab webhooks: apply issue, merge request and note events to the cached boards
+// without throwing the rest of the cache away
+const webhookStats = { received: 0, applied: 0, ignored: 0, rejected: 0, lastEventAt: null, lastError: null };
 
-    // Fetch all race issues (open and closed) with the race label
-    const raceIssues = [];
-    let page = 1;
-    const perPage = 100;
-    let hasMorePages = true;
+function forgetCachedGitlabCall(source, endpoint, params = {}) {
+  cache.delete(getCacheKey(`gitlab:${source.id}:${endpoint}`, params));
+}
 
-    while (hasMorePages) {
-      try {
-        const issues = await cachedGitlabApiCall(`/groups/${GITLAB_GROUP_ID}/issues`, {
-          labels: RACE_LABEL,
-          state: 'all',
-          per_page: perPage,
-          page: page,
-          include_subgroups: true,
-          order_by: 'created_at',
-          sort: 'desc'
-        });
+// Whether a project belongs to the source's group (or one of its subgroups)
+async function projectInSourceGroup(source, projectPath) {
+  if (!projectPath) return true;
+  const group = await cachedGitlabApiCall(source, `/groups/${source.groupId}`, {}, PROJECT_CACHE_TTL);
+  return projectPath.startsWith(`${group.full_path}/`);
+}
 
-        raceIssues.push(...issues);
-        hasMorePages = issues.length === perPage;
-        page++;
-      } catch (error) {
-        console.error(`Error fetching race page ${page}:`, error.message);
-        break;
-      }
+// Fetch an issue or MR for a webhook; null when it was deleted or moved
+async function fetchWebhookTarget(source, endpoint) {
+  try {
+    const response = await source.api.get(endpoint);
+    return response.data;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+}
+
+function treeContainsIssue(tree, matches) {
+  return matches(tree.issue) || tree.linkedIssues.some(linked => treeContainsIssue(linked, matches));
+}
+
+// Forget what is cached about one issue once it has changed
+function forgetCachedIssue(source, issuePath) {
+  // The REST spider caches single issues and their notes
+  forgetCachedGitlabCall(source, issuePath);
+  forgetCachedGitlabCall(source, `${issuePath}/notes`);
+  forgetCachedGitlabCall(source, `${issuePath}/closed_by`);
+  // ...and trends and timings cache the issue's events
+  Object.values(ISSUE_EVENT_ENDPOINTS).forEach(([endpoint, params]) => {
+    forgetCachedGitlabCall(source, `${issuePath}/${endpoint}`, params);
+  });
+}
+
+// Replace issues on the Emporium board with their new versions (`issue` tagged with its
+// source and project name), or take them off when they were deleted or lost the label.
+// `changes` are [{ matches, issue }].
+function patchBoardIssues(changes) {
+  refresher.patch('issues', data => {
+    const remaining = boardIssues(data).filter(other => !changes.some(({ matches }) => matches(other)));
+    const listed = changes.map(({ issue }) => issue).filter(issue => issue && (issue.labels || []).includes(EMPORIUM_LABEL));
+    return { ...data, ...categorizeBoard([...remaining, ...listed]) };
+  });
+}
+
+function isInFunhouse(matches) {
+  const funhouse = refresher.getSnapshot('funhouse', { quiet: true });
+  return !!funhouse && [...funhouse.data.features.active, ...funhouse.data.features.complete]
+    .some(tree => treeContainsIssue(tree, matches));
+}
+
+// Race standings and Funhouse trees are derived from many issues; reload the ones the
+// issue is on, or that its `labels` put it on
+function reloadBoardsWithIssue(matches, labels) {
+  const race = refresher.getSnapshot('race', { quiet: true });
+  const inRace = !!race && Object.values(race.data.issuesByTeam).some(lists => [...lists.open, ...lists.closed].some(matches));
+  if (inRace || labels.includes(RACE_LABEL)) {
+    refresher.invalidate('race');
+  }
+  if (isInFunhouse(matches) || labels.includes(FUNHOUSE_LABEL)) {
+    refresher.invalidate('funhouse');
+  }
+}
+
+async function applyIssueEvent(source, event) {
+  const issuePath = `/projects/${event.projectId}/issues/${event.iid}`;
+  const matches = issue => issue.source === source.id && issue.project_id === event.projectId && issue.iid === event.iid;
+
+  forgetCachedIssue(source, issuePath);
+
+  // Comments only matter to the Funhouse, where they can link issues
+  if (event.kind === 'note') {
+    if (isInFunhouse(matches)) refresher.invalidate('funhouse');
+    return;
+  }
+
+  const issue = await fetchWebhookTarget(source, issuePath);
+  const labels = issue?.labels || [];
+  if (issue) {
+    try {
+      const project = await cachedGitlabApiCall(source, `/projects/${issue.project_id}`, { simple: true }, PROJECT_CACHE_TTL);
+      issue.project_name = project.name;
+    } catch (_error) {
+      issue.project_name = `Project ${issue.project_id}`;
     }
+    tagWithSource(issue, source);
+    await addLinkedMergeRequests(source, [issue]);
+  }
 
-    // Fetch project names
-    const projectIds = [...new Set(raceIssues.map(issue => issue.project_id))];
-    const projectNames = {};
-    const projectPromises = projectIds.map(async (projectId) => {
-      try {
-        const projectData = await cachedGitlabApiCall(`/projects/${projectId}`, { simple: true }, PROJECT_CACHE_TTL);
-        return { projectId, name: projectData.name };
-      } catch (_e) {
-        return { projectId, name: `Project ${projectId}` };
-      }
+  const issues = refresher.getSnapshot('issues', { quiet: true });
+  const listed = !!issues && boardIssues(issues.data).some(matches);
+  if (listed || labels.includes(EMPORIUM_LABEL)) {
+    patchBoardIssues([{ matches, issue }]);
+  }
+
+  reloadBoardsWithIssue(matches, labels);
+}
+
+async function applyMergeRequestEvent(source, event) {
+  const matches = mr => mr.source === source.id && mr.project_id === event.projectId && mr.iid === event.iid;
+
+  const mergeRequest = await fetchWebhookTarget(source, `/projects/${event.projectId}/merge_requests/${event.iid}`);
+  const listed = !!mergeRequest && mergeRequest.state === 'opened' &&
+    !(mergeRequest.labels || []).some(label => IGNORE_LABELS.includes(label));
+  const [enrichedMR] = listed ? await enrichMergeRequests(source, [mergeRequest]) : [];
+
+  refresher.patch('merge-requests', data => {
+    const remaining = data.merge_requests.filter(mr => !matches(mr));
+    const mergeRequests = enrichedMR
+      ? [...remaining, enrichedMR].sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+      : remaining;
+    return { ...data, merge_requests: mergeRequests, total: mergeRequests.length };
+  });
+
+  // Categories with mergeRequests rules can move the issues the MR closes (e.g. In Review)
+  if (mergeRequest && usesMergeRequests(EMPORIUM_CATEGORIES)) {
+    const closes = await fetchWebhookTarget(source, `/projects/${event.projectId}/merge_requests/${event.iid}/closes_issues`);
+    const board = refresher.getSnapshot('issues', { quiet: true });
+    const onBoard = (closes || []).filter(closed => !!board && boardIssues(board.data).some(issue =>
+      issue.source === source.id && issue.project_id === closed.project_id && issue.iid === closed.iid));
+    for (const closed of onBoard) {
+      await applyIssueEvent(source, { kind: 'issue', projectId: closed.project_id, iid: closed.iid });
+    }
+  }
+}
+
+async function handleWebhookEvent(source, event) {
+  if (!(await projectInSourceGroup(source, event.projectPath))) {
+    webhookStats.ignored++;
+    return;
+  }
+
+  if (event.target === 'issue') {
+    await applyIssueEvent(source, event);
+  } else {
+    await applyMergeRequestEvent(source, event);
+  }
+  webhookStats.applied++;
+  const reference = `${event.projectPath || event.projectId}${event.target === 'issue' ? '#' : '!'}${event.iid}`;
+  logger.info('Applied webhook event', { source: source.id, kind: event.kind, reference });
+}
+
+app.post('/api/webhooks/gitlab', (req, res) => {
+  if (!WEBHOOK_SECRET && !sources.some(source => source.webhookSecret)) {
+    return res.status(503).json({
+      error: 'GitLab webhooks are not configured. Set GITLAB_WEBHOOK_SECRET to enable them.'
     });
-    const projectResults = await Promise.all(projectPromises);
-    projectResults.forEach(({ projectId, name }) => { projectNames[projectId] = name; });
-    raceIssues.forEach(issue => { issue.project_name = projectNames[issue.project_id] || `Project ${issue.project_id}`; });
-
-    // Build leaderboard based on closed issues per team label
-    const teamStats = TEAM_LABELS.map(label => ({ team: label, closed: 0, total: 0 }));
-    const labelToStats = Object.fromEntries(teamStats.map(s => [s.team, s]));
-
-    raceIssues.forEach(issue => {
-      const labels = Array.isArray(issue.labels) ? issue.labels : [];
-      const teamMatches = TEAM_LABELS.filter(t => labels.includes(t));
-      if (teamMatches.length > 0) {
-        teamMatches.forEach(team => {
-          labelToStats[team].total += 1;
-          if (issue.state === 'closed') {
-            labelToStats[team].closed += 1;
-          }
-        });
-      }
+  }
+
+  webhookStats.received++;
+  const event = parseWebhookEvent(req.get('X-Gitlab-Event'), req.body);
+  const candidates = event ? findSourcesForEvent(sources, event) : sources;
+  const token = req.get('X-Gitlab-Token');
+  const authorized = candidates.filter(source => verifyWebhookToken(source.webhookSecret || WEBHOOK_SECRET, token));
+
+  if (authorized.length === 0) {
+    webhookStats.rejected++;
+    return res.status(401).json({ error: 'Invalid webhook token' });
+  }
+  if (!event) {
+    webhookStats.ignored++;
+    return res.status(202).json({ accepted: false, reason: 'Event does not affect any board' });
+  }
+
+  webhookStats.lastEventAt = new Date().toISOString();
+  // Answer right away; GitLab gives up on slow webhooks and retries them
+  res.status(202).json({ accepted: true, kind: event.kind, target: event.target, iid: event.iid });
+
+  authorized.forEach(source => {
+    handleWebhookEvent(source, event).catch(error => {
+      webhookStats.lastError = { message: error.message, at: new Date().toISOString() };
+      logger.error('Failed to apply webhook event', { source: source.id, kind: event.kind, error });
     });
+  });
+});
 
-    // Sort leaderboard: closed desc, then total asc, then team name
-    const leaderboard = teamStats
-      .map(s => ({ ...s, remaining: Math.max(0, s.total - s.closed) }))
-      .sort((a, b) => {
-        if (b.closed !== a.closed) return b.closed - a.closed;
-        if (a.total !== b.total) return a.total - b.total;
-        return a.team.localeCompare(b.team);
-      });
+// Changes made to Emporium issues from the board: buying (assigning to yourself),
+// returning, editing labels and bulk triage. Each change is made in GitLab with the
+// user's own login (see gitlabAsUser), then the board is patched with GitLab's answer
+// instead of being reloaded.
 
-    // Group issues by team for UI convenience
-    const issuesByTeam = {};
-    TEAM_LABELS.forEach(t => { issuesByTeam[t] = { open: [], closed: [] }; });
-    raceIssues.forEach(issue => {
-      const labels = Array.isArray(issue.labels) ? issue.labels : [];
-      const teamMatches = TEAM_LABELS.filter(t => labels.includes(t));
-      if (teamMatches.length === 0) return;
-      teamMatches.forEach(team => {
-        if (issue.state === 'closed') {
-          issuesByTeam[team].closed.push(issue);
-        } else {
-          issuesByTeam[team].open.push(issue);
-        }
-      });
+function findSource(id) {
+  return sources.find(source => source.id === id);
+}
+
+// Changes need a GitLab login that works on the source (or on any source)
+function checkCanChange(req, source) {
+  if (!req.session?.accessToken) {
+    throw new IssueActionError(403, 'Changing issues requires a GitLab login', {
+      details: AUTH.enabled && AUTH.provider === 'gitlab'
+        ? 'Log in with GitLab; the admin API key cannot change issues'
+        : 'Enable GitLab logins (AUTH_ENABLED=true, AUTH_PROVIDER=gitlab) to change issues from the board',
+      code: 'LOGIN_REQUIRED'
+    });
+  }
+  const writable = writableSources(req);
+  if (source ? !writable.includes(source) : writable.length === 0) {
+    throw new IssueActionError(403, `Your login cannot change issues on ${source ? source.name : 'any GitLab source'}`, {
+      details: `You are logged in with ${authClient.issuer}, but ${source ? `this issue is on ${source.endpoint}` : 'no GitLab source is on it'}`,
+      code: 'SOURCE_NOT_WRITABLE'
     });
+  }
+}
 
-    const responseData = {
-      leaderboard,
-      issuesByTeam,
-      total: raceIssues.length,
-      raceLabel: RACE_LABEL,
-      teamLabels: TEAM_LABELS,
-      timestamp: new Date().toISOString()
-    };
+// Make a change to an issue on the board in GitLab. `buildChange(current, target)`
+// returns what to PUT to the issue; `current` is the issue as GitLab has it now (not
+// the cached copy), and `target.category` the id of its category on the board (null
+// when no category shows it). Resolves with { issue, matches, labels }, the board not yet patched
+// (see showChangedIssues).
+async function changeIssueInGitlab(req, { source: sourceId, projectId, iid }, buildChange) {
+  const source = findSource(sourceId);
+  if (!source || !Number.isInteger(projectId) || !Number.isInteger(iid)) {
+    throw new IssueActionError(404, 'Issue not found', { details: 'Unknown source, project or issue', code: 'ISSUE_NOT_FOUND' });
+  }
+  checkCanChange(req, source);
+
+  const matches = issue => issue.source === source.id && issue.project_id === projectId && issue.iid === iid;
+  const board = await refresher.get('issues');
+  const listed = boardIssues(board).find(matches);
+  if (!listed) {
+    throw new IssueActionError(404, 'Issue not found', {
+      details: `Only issues on the board (with the ${EMPORIUM_LABEL} label) can be changed here`,
+      code: 'ISSUE_NOT_FOUND'
+    });
+  }
+
+  const category = Object.keys(board.issues).find(id => board.issues[id].some(matches)) || null;
+
+  const issuePath = `/projects/${projectId}/issues/${iid}`;
+  const { data: current } = await gitlabAsUser(req, source, { method: 'get', url: issuePath });
+  const change = await buildChange(current, { source, projectId, iid, category });
+  const { data: issue } = await gitlabAsUser(req, source, { method: 'put', url: issuePath, data: change });
+
+  issue.project_name = listed.project_name;
+  if (listed.linked_merge_requests) issue.linked_merge_requests = listed.linked_merge_requests;
+  tagWithSource(issue, source);
+  forgetCachedIssue(source, issuePath);
+  return { issue, matches, labels: [...new Set([...(current.labels || []), ...(issue.labels || [])])] };
+}
+
+// Put changed issues on the Emporium in one patch, and reload the boards derived from them
+function showChangedIssues(changes) {
+  if (changes.length === 0) return;
+  patchBoardIssues(changes);
+  changes.forEach(({ matches, labels }) => reloadBoardsWithIssue(matches, labels));
+}
+
+async function changeBoardIssue(req, description, buildChange) {
+  const target = { source: req.params.source, projectId: Number(req.params.projectId), iid: Number(req.params.iid) };
+  const change = await changeIssueInGitlab(req, target, buildChange);
+  showChangedIssues([change]);
+  logger.info(description, target);
+  return change.issue;
+}
+
+// Answer with an IssueActionError (see lib/issue-actions.js)
+function sendIssueActionError(req, res, action, caught) {
+  const error = toIssueActionError(caught);
+  if (error.status >= 500) {
+    logger.error(`Failed to ${action}`, { error: caught });
+  }
+  if (error.code === 'UNAUTHENTICATED' && req.session) {
+    // The GitLab login can't be used any more; have the user log in again
+    sessions.destroy(req.session.id);
+  }
+  res.status(error.status).json({ error: error.message, details: error.details, code: error.code });
+}
+
+// Answer an issue change route with { issue }
+function issueChangeRoute(action, change) {
+  return async (req, res) => {
+    try {
+      res.json({ issue: await change(req) });
+    } catch (error) {
+      sendIssueActionError(req, res, action, error);
+    }
+  };
+}
+
+// Only issues in the for-sale category can be bought
+function checkForSale(categoryId) {
+  const forSale = forSaleCategory();
+  if (!forSale || categoryId !== forSale.id) {
+    throw new IssueActionError(409, 'This issue is not for sale', {
+      details: forSale ? `Only issues in ${forSale.name} can be bought` : 'No Emporium category has the for-sale role',
+      code: 'NOT_FOR_SALE'
+    });
+  }
+}
+
+app.post('/api/issues/:source/:projectId/:iid/buy', issueChangeRoute('buy issue', req =>
+  changeBoardIssue(req, 'Issue bought', (current, { category }) => {
+    checkForSale(category);
+    return { assignee_ids: assigneesAfter('buy', current, Number(req.user.id)) };
+  })));
+
+app.post('/api/issues/:source/:projectId/:iid/return', issueChangeRoute('return issue', req =>
+  changeBoardIssue(req, 'Issue returned', current => ({
+    assignee_ids: assigneesAfter('return', current, Number(req.user.id))
+  }))));
+
+// Add and remove labels: { add: [...], remove: [...] }
+app.post('/api/issues/:source/:projectId/:iid/labels', issueChangeRoute('change labels', req => {
+  const changes = parseLabelChanges(req.body);
+  return changeBoardIssue(req, 'Issue labels changed', () => labelUpdate(changes));
+}));
+
+// Bulk triage: one action on many issues, run as a background job (see lib/bulk-jobs.js)
+const bulkJobs = new BulkJobStore();
+
+// The `buildChange` for a bulk action (see changeIssueInGitlab). Names are resolved
+// once per job: the assignee's user ID, and each project's milestone ID.
+async function bulkChangeBuilder(req, action) {
+  switch (action.type) {
+    case 'assign': {
+      const [source] = writableSources(req);
+      const { data: users } = await gitlabAsUser(req, source, { method: 'get', url: '/users', params: { username: action.username } });
+      if (!users[0]) {
+        throw new IssueActionError(400, 'Unknown user', { details: `There is no GitLab user @${action.username}`, code: 'UNKNOWN_USER' });
+      }
+      return () => ({ assignee_ids: [users[0].id] });
+    }
+    case 'labels':
+      return () => labelUpdate(action);
+    case 'milestone': {
+      if (!action.title) return () => ({ milestone_id: 0 });
+      const milestones = new Map();
+      const milestoneId = (source, projectId) => {
+        const key = `${source.id}:${projectId}`;
+        if (!milestones.has(key)) {
+          milestones.set(key, gitlabAsUser(req, source, {
+            method: 'get',
+            url: `/projects/${projectId}/milestones`,
+            params: { title: action.title, include_ancestors: true }
+          }).then(({ data }) => data[0]?.id ?? null));
+        }
+        return milestones.get(key);
+      };
+      return async (current, { source, projectId }) => {
+        const id = await milestoneId(source, projectId);
+        if (!id) {
+          throw new IssueActionError(404, 'Milestone not found', {
+            details: `The project and its groups have no milestone "${action.title}"`,
+            code: 'MILESTONE_NOT_FOUND'
+          });
+        }
+        return { milestone_id: id };
+      };
+    }
+    default:
+      return () => ({ state_event: 'close' });
+  }
+}
 
-    setCachedData(cacheKey, responseData);
-    res.json(responseData);
+async function startBulkJob(req, targets, action, retryOf = null) {
+  checkCanChange(req);
+  const buildChange = await bulkChangeBuilder(req, action);
+
+  const job = bulkJobs.start({
+    owner: req.user.id,
+    action,
+    targets,
+    retryOf,
+    run: target => changeIssueInGitlab(req, target, buildChange),
+    describeError: (caught, target) => {
+      const error = toIssueActionError(caught);
+      if (error.status >= 500) logger.warn('Bulk change failed for an issue', { job: job.id, ...target, error: caught });
+      return { error: error.message, details: error.details, code: error.code };
+    },
+    onFinish: changes => {
+      showChangedIssues(changes);
+      const { summary } = describeJob(job);
+      logger.info('Bulk job finished', { job: job.id, succeeded: summary.succeeded, failed: summary.failed });
+    }
+  });
+  logger.info('Bulk job started', { job: job.id, action: action.type, issues: targets.length, retryOf });
+  return job;
+}
+
+// Start a job: { issues: [{ source, projectId, iid }], action: { type, ... } }
+app.post('/api/issues/bulk', async (req, res) => {
+  try {
+    const targets = parseBulkTargets(req.body?.issues, { max: MAX_BULK_ISSUES });
+    const action = parseBulkAction(req.body?.action);
+    res.status(202).json({ job: describeJob(await startBulkJob(req, targets, action)) });
   } catch (error) {
-    console.error('Error fetching race issues:', error);
-    let errorDetails = error.message;
-    if (error.response) {
-      errorDetails = `GitLab API error: ${error.response.status} ${error.response.statusText}`;
+    sendIssueActionError(req, res, 'start bulk job', error);
+  }
+});
+
+const bulkJobNotFound = (res) => res.status(404).json({
+  error: 'Job not found',
+  details: 'Jobs are kept for an hour after they finish, and only the user who started one can see it',
+  code: 'JOB_NOT_FOUND'
+});
+
+app.get('/api/issues/bulk/:id', (req, res) => {
+  const job = req.user && bulkJobs.get(req.params.id, req.user.id);
+  if (!job) return bulkJobNotFound(res);
+  res.json({ job: describeJob(job) });
+});
+
+// Run a finished job again for the issues that failed
+app.post('/api/issues/bulk/:id/retry', async (req, res) => {
+  const job = req.user && bulkJobs.get(req.params.id, req.user.id);
+  if (!job) return bulkJobNotFound(res);
+
+  const failed = job.results.filter(result => result.status === 'failed').map(result => result.target);
+  if (job.status !== 'finished' || failed.length === 0) {
+    return res.status(409).json({
+      error: 'Nothing to retry',
+      details: job.status === 'finished' ? 'Every issue in the job succeeded' : 'The job is still running',
+      code: 'NOTHING_TO_RETRY'
+    });
+  }
+
+  try {
+    res.status(202).json({ job: describeJob(await startBulkJob(req, failed, job.action, job.id)) });
+  } catch (error) {
+    sendIssueActionError(req, res, 'retry bulk job', error);
+  }
+});
+
+// Labels that can be added to a project's issues (its own and its groups'), for the
+// label editor on the cards
+// Only for users who can edit labels on the source, and only for projects on the board
+app.get('/api/projects/:source/:projectId/labels', async (req, res) => {
+  const source = findSource(req.params.source);
+  const projectId = Number(req.params.projectId);
+
+  try {
+    checkCanChange(req, source || null);
+    const board = await refresher.get('issues');
+    if (!source || !boardIssues(board).some(issue => issue.source === source.id && issue.project_id === projectId)) {
+      throw new IssueActionError(404, 'Project not found', {
+        details: 'Only projects with issues on the board have labels here',
+        code: 'PROJECT_NOT_FOUND'
+      });
     }
-    res.status(500).json({ 
-      error: 'Failed to fetch race issues from GitLab',
-      details: errorDetails,
+  } catch (error) {
+    return sendIssueActionError(req, res, 'fetch project labels', error);
+  }
+
+  try {
+    const { items: labels } = await cachedGitlabPages(source, `/projects/${projectId}/labels`, {
+      include_ancestor_groups: true
+    });
+    res.json({
+      labels: labels.map(({ name, color, text_color, description }) => ({ name, color, text_color, description }))
+    });
+  } catch (error) {
+    logger.error('Failed to fetch project labels', { source: source.id, project: projectId, error });
+    res.status(error.response?.status === 404 ? 404 : 500).json({
+      error: 'Failed to fetch project labels from GitLab',
+      details: error.response ? `GitLab API error: ${error.response.status} ${error.response.statusText}` : error.message,
       code: error.code || 'UNKNOWN_ERROR'
     });
   }
 });
 
+// Board gauges, read from the cached datasets on every scrape
+const snapshotData = (name) => refresher.getSnapshot(name, { quiet: true })?.data;
+
+metrics.gauge({
+  name: 'bug_emporium_issues',
+  help: 'Emporium issues by category (see emporium.categories)',
+  collect: () => Object.entries(snapshotData('issues')?.issues || {})
+    .map(([category, list]) => ({ labels: { category }, value: list.length }))
+});
+
+metrics.gauge({
+  name: 'bug_emporium_merge_requests',
+  help: 'Open merge requests by approval state',
+  collect: () => {
+    const mergeRequests = snapshotData('merge-requests')?.merge_requests;
+    if (!mergeRequests) return [];
+    const counts = { approved: 0, needs_approval: 0, no_approval_required: 0 };
+    mergeRequests.forEach(mr => counts[approvalState(mr)]++);
+    return Object.entries(counts).map(([approval, value]) => ({ labels: { approval }, value }));
+  }
+});
+
+metrics.gauge({
+  name: 'bug_emporium_race_issues',
+  help: 'Amazing Race issues by team and state (closed issues are the team\'s closures)',
+  collect: () => Object.entries(snapshotData('race')?.issuesByTeam || {})
+    .flatMap(([team, lists]) => [
+      { labels: { team, state: 'open' }, value: lists.open.length },
+      { labels: { team, state: 'closed' }, value: lists.closed.length }
+    ])
+});
+
+metrics.gauge({
+  name: 'bug_emporium_dataset_age_seconds',
+  help: 'Time since each board dataset was last refreshed from GitLab',
+  collect: () => ['issues', 'funhouse', 'merge-requests', 'race']
+    .map(name => ({ name, age: refresher.snapshotAge(refresher.getSnapshot(name, { quiet: true })) }))
+    .filter(({ age }) => Number.isFinite(age))
+    .map(({ name, age }) => ({ labels: { dataset: name }, value: Math.round(age / 1000) }))
+});
+
+// Prometheus scrape endpoint; admin only unless METRICS_PUBLIC is set
+app.get('/metrics', (req, res, next) => (PUBLIC_METRICS ? next() : requireAdmin(req, res, next)), (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metrics.render());
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error(err.stack);
+  // Request bodies express.json refused: too large (413) or not JSON (400)
+  if (err.type && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({
+      error: err.status === 413 ? 'Request body too large' : 'Invalid request body',
+      details: err.message,
+      code: err.status === 413 ? 'BODY_TOO_LARGE' : 'INVALID_BODY'
+    });
+  }
+  logger.error('Unhandled error', { method: req.method, path: req.originalUrl, error: err });
   res.status(500).json({ error: 'Something went wrong!' });
 });
 
@@ -1043,10 +2809,25 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Make sure pending cache writes hit the disk before the process goes away
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    events.close();
+    cache.flush();
+    process.exit(0);
+  });
+});
+
 app.listen(PORT, () => {
-  console.log(`Bug Emporium API server running on port ${PORT}`);
-  console.log(`GitLab Endpoint: ${GITLAB_ENDPOINT}`);
-  console.log(`Emporium Label: ${EMPORIUM_LABEL}`);
-  console.log(`Priority Label: ${PRIORITY_LABEL}`);
-  console.log(`Ignore Labels: ${IGNORE_LABELS.join(', ')}`);
+  logger.info('Bug Emporium API server running', { port: PORT, cacheStore: cache.type });
+  sources.forEach(source => {
+    logger.info('GitLab source', { source: source.id, name: source.name, endpoint: source.endpoint, groupId: source.groupId });
+  });
+
+  if (BACKGROUND_REFRESH && hasGitlabConfig()) {
+    refresher.start();
+  }
+  config.watch();
+  logger.info('Labels', { emporium: EMPORIUM_LABEL, priority: PRIORITY_LABEL, severityScope: SEVERITY_SCOPE, ignore: IGNORE_LABELS });
+  logger.info('Emporium categories', { categories: categoryIds() });
 });
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createFeedToken, verifyFeedToken, createPkce, parseCookies, safeReturnTo } = require('../lib/auth');
+
+const DAY = 24 * 60 * 60 * 1000;
+const secret = 'feed-token-secret';
+
+test('a feed token verifies to the username it was made for', () => {
+  const token = createFeedToken('grace', secret, { ttl: 90 * DAY });
+  assert.equal(verifyFeedToken(token, secret), 'grace');
+});
+
+test('feed tokens stop working once they expire', () => {
+  const now = Date.now();
+  const token = createFeedToken('grace', secret, { ttl: DAY, now });
+
+  assert.equal(verifyFeedToken(token, secret, { now: now + DAY - 1000 }), 'grace');
+  assert.equal(verifyFeedToken(token, secret, { now: now + DAY }), null);
+});
+
+test('feed tokens are rejected with another secret or without one', () => {
+  const token = createFeedToken('grace', secret, { ttl: DAY });
+
+  assert.equal(verifyFeedToken(token, 'rotated-secret'), null);
+  assert.equal(verifyFeedToken(token, undefined), null);
+});
+
+test('tampered or malformed feed tokens are rejected', () => {
+  const [, expires, signature] = createFeedToken('grace', secret, { ttl: DAY }).split('.');
+  const otherUser = Buffer.from('admin').toString('base64url');
+  const later = String(Number(expires) + 365 * 24 * 60 * 60);
+
+  assert.equal(verifyFeedToken(`${otherUser}.${expires}.${signature}`, secret), null);
+  assert.equal(verifyFeedToken(`${Buffer.from('grace').toString('base64url')}.${later}.${signature}`, secret), null);
+  // The old unversioned format (username.signature) no longer works
+  assert.equal(verifyFeedToken(`${Buffer.from('grace').toString('base64url')}.${signature}`, secret), null);
+  for (const token of [undefined, '', 'garbage', 'a.b.c', ['a', 'b'], '..']) {
+    assert.equal(verifyFeedToken(token, secret), null);
+  }
+});
+
+test('createPkce makes an S256 challenge for its verifier', () => {
+  const { verifier, challenge } = createPkce();
+  assert.equal(challenge, crypto.createHash('sha256').update(verifier).digest('base64url'));
+  assert.notEqual(createPkce().verifier, verifier);
+});
+
+test('parseCookies decodes values and tolerates bad encoding', () => {
+  assert.deepEqual(parseCookies('a=1; b=hello%20world; broken=%E0%A4%A; flag'), { a: '1', b: 'hello world', broken: '%E0%A4%A' });
+  assert.deepEqual(parseCookies(undefined), {});
+});
+
+test('safeReturnTo only allows same-origin paths', () => {
+  assert.equal(safeReturnTo('/?page=emporium'), '/?page=emporium');
+  for (const value of ['//evil.example', '/\\evil.example', 'https://evil.example', undefined]) {
+    assert.equal(safeReturnTo(value), '/');
+  }
+});
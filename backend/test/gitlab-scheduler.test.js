@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GitlabRequestScheduler, parseRetryAfter } = require('../lib/gitlab-scheduler');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const httpError = (status, headers = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } });
+
+// An axios-like client that answers each request with the next of `outcomes`
+// (an Error is thrown); once they run out every request succeeds
+function fakeClient(outcomes = []) {
+  const calls = [];
+  return {
+    calls,
+    defaults: {},
+    async request(config) {
+      calls.push(config);
+      const outcome = outcomes[calls.length - 1];
+      if (outcome instanceof Error) throw outcome;
+      return outcome || { status: 200, data: 'ok', headers: {} };
+    }
+  };
+}
+
+const fastOptions = { baseDelay: 1, maxDelay: 5 };
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  assert.equal(parseRetryAfter('3'), 3000);
+  assert.equal(parseRetryAfter(undefined), null);
+  assert.equal(parseRetryAfter('soon'), null);
+  const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+  const delay = parseRetryAfter(inTenSeconds);
+  assert.ok(delay > 8000 && delay <= 10000);
+});
+
+test('retries GET requests after server errors and network failures', async () => {
+  const client = fakeClient([httpError(503), new Error('ECONNRESET')]);
+  const scheduler = new GitlabRequestScheduler(client, fastOptions);
+
+  const response = await scheduler.get('/projects/1');
+
+  assert.equal(response.data, 'ok');
+  assert.equal(client.calls.length, 3);
+  assert.equal(scheduler.stats().counters.retried, 2);
+});
+
+test('gives up after maxRetries', async () => {
+  const client = fakeClient([httpError(500), httpError(500), httpError(500)]);
+  const scheduler = new GitlabRequestScheduler(client, { ...fastOptions, maxRetries: 2 });
+
+  await assert.rejects(scheduler.get('/projects/1'), /status code 500/);
+  assert.equal(client.calls.length, 3);
+  assert.equal(scheduler.stats().counters.failed, 1);
+});
+
+test('never retries writes, so changes to issues are not sent twice', async () => {
+  for (const send of [
+    (scheduler) => scheduler.post('/projects/1/issues/2/notes', { body: 'hi' }),
+    (scheduler) => scheduler.put('/projects/1/issues/2', { assignee_ids: [5] }),
+    (scheduler) => scheduler.delete('/projects/1/issues/2/award_emoji/3')
+  ]) {
+    const client = fakeClient([httpError(502)]);
+    const scheduler = new GitlabRequestScheduler(client, fastOptions);
+
+    await assert.rejects(send(scheduler), /status code 502/);
+    assert.equal(client.calls.length, 1);
+    assert.equal(scheduler.stats().counters.retried, 0);
+  }
+});
+
+test('retries writes marked idempotent, such as GraphQL queries', async () => {
+  const client = fakeClient([httpError(502)]);
+  const scheduler = new GitlabRequestScheduler(client, fastOptions);
+
+  await scheduler.post('/api/graphql', { query: '{ currentUser { id } }' }, { idempotent: true });
+
+  assert.equal(client.calls.length, 2);
+});
+
+test('does not retry client errors', async () => {
+  const client = fakeClient([httpError(404)]);
+  const scheduler = new GitlabRequestScheduler(client, fastOptions);
+
+  await assert.rejects(scheduler.get('/projects/404'), /status code 404/);
+  assert.equal(client.calls.length, 1);
+});
+
+test('waits for Retry-After on 429 and holds back other requests meanwhile', async () => {
+  const client = fakeClient([httpError(429, { 'retry-after': '0.1' })]);
+  const scheduler = new GitlabRequestScheduler(client, fastOptions);
+
+  const startedAt = Date.now();
+  const first = scheduler.get('/projects/1');
+  await sleep(10);
+  const second = scheduler.get('/projects/2');
+  await Promise.all([first, second]);
+
+  assert.ok(Date.now() - startedAt >= 90);
+  // The second request only went out once the pause was over
+  assert.deepEqual(client.calls.map(call => call.url), ['/projects/1', '/projects/2', '/projects/1']);
+  assert.equal(scheduler.stats().counters.rateLimited, 1);
+});
+
+test('pauses when the RateLimit-Remaining budget runs low', async () => {
+  const reset = Math.ceil(Date.now() / 1000) + 60;
+  const client = fakeClient([{ status: 200, data: 'ok', headers: { 'ratelimit-remaining': '2', 'ratelimit-limit': '600', 'ratelimit-reset': String(reset) } }]);
+  const scheduler = new GitlabRequestScheduler(client, { ...fastOptions, minRemaining: 5 });
+
+  await scheduler.get('/projects/1');
+
+  const stats = scheduler.stats();
+  assert.equal(stats.rateLimit.remaining, 2);
+  assert.equal(stats.pausedUntil, new Date(reset * 1000).toISOString());
+  clearTimeout(scheduler.resumeTimer);
+});
+
+test('caps the number of requests in flight', async () => {
+  let active = 0;
+  let maxActive = 0;
+  const client = {
+    defaults: {},
+    async request() {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await sleep(5);
+      active--;
+      return { status: 200, data: 'ok', headers: {} };
+    }
+  };
+  const scheduler = new GitlabRequestScheduler(client, { ...fastOptions, maxConcurrency: 2 });
+
+  await Promise.all([1, 2, 3, 4, 5].map(id => scheduler.get(`/projects/${id}`)));
+
+  assert.equal(maxActive, 2);
+});
+
+test('opens the circuit after repeated failures and rejects without calling GitLab', async () => {
+  const client = fakeClient([httpError(500), httpError(500), httpError(500)]);
+  const scheduler = new GitlabRequestScheduler(client, { ...fastOptions, maxRetries: 0, circuitThreshold: 3, circuitCooldown: 60000 });
+
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(scheduler.get('/projects/1'), /status code 500/);
+  }
+  await assert.rejects(scheduler.get('/projects/1'), (error) => error.code === 'CIRCUIT_OPEN');
+
+  assert.equal(client.calls.length, 3);
+  assert.equal(scheduler.stats().circuit.state, 'open');
+  assert.equal(scheduler.stats().counters.rejectedByCircuit, 1);
+});
+
+test('4xx answers do not open the circuit', async () => {
+  const client = fakeClient([httpError(404), httpError(403), httpError(404)]);
+  const scheduler = new GitlabRequestScheduler(client, { ...fastOptions, maxRetries: 0, circuitThreshold: 2 });
+
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(scheduler.get('/projects/1'));
+  }
+
+  assert.equal(scheduler.stats().circuit.state, 'closed');
+});
+
+test('half-opens after the cooldown: a success closes the circuit, a failure re-opens it', async () => {
+  const client = fakeClient([httpError(500), httpError(500), undefined, httpError(500), httpError(500), httpError(500)]);
+  const scheduler = new GitlabRequestScheduler(client, { ...fastOptions, maxRetries: 0, circuitThreshold: 2, circuitCooldown: 20 });
+
+  await assert.rejects(scheduler.get('/a'));
+  await assert.rejects(scheduler.get('/a'));
+  assert.equal(scheduler.stats().circuit.state, 'open');
+
+  await sleep(30);
+  await scheduler.get('/a');
+  assert.equal(scheduler.stats().circuit.state, 'closed');
+
+  await assert.rejects(scheduler.get('/a'));
+  await assert.rejects(scheduler.get('/a'));
+  assert.equal(scheduler.stats().circuit.state, 'open');
+
+  await sleep(30);
+  // One failure while half-open is enough to open it again
+  await assert.rejects(scheduler.get('/a'), /status code 500/);
+  assert.equal(scheduler.stats().circuit.state, 'open');
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HistoryStore } = require('../lib/history-store');
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = (days, hour = 12) => {
+  const date = new Date(Date.now() - days * DAY);
+  date.setUTCHours(hour, 0, 0, 0);
+  return date.toISOString();
+};
+
+// A history file in a fresh temporary directory, removed after the test
+function tempHistoryFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'history.jsonl');
+}
+
+const readLines = (filePath) => fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+test('records a snapshot only when counts or IDs change', (t) => {
+  const filePath = tempHistoryFile(t);
+  const store = new HistoryStore({ filePath, mode: 'refresh' });
+
+  assert.equal(store.record('issues', { counts: { total: 2 }, ids: { forSale: ['a:1', 'a:2'] } }, daysAgo(0, 1)), true);
+  assert.equal(store.record('issues', { counts: { total: 2 }, ids: { forSale: ['a:1', 'a:2'] } }, daysAgo(0, 2)), false);
+  assert.equal(store.record('issues', { counts: { total: 2 }, ids: { forSale: ['a:1', 'a:3'] } }, daysAgo(0, 3)), true);
+  // Other datasets are compared with their own previous snapshot
+  assert.equal(store.record('race', { counts: { total: 2 }, ids: { forSale: ['a:1', 'a:3'] } }, daysAgo(0, 4)), true);
+
+  assert.equal(readLines(filePath).length, 3);
+  assert.deepEqual(store.latest('issues').ids, { forSale: ['a:1', 'a:3'] });
+});
+
+test('daily mode keeps the last snapshot of each day', (t) => {
+  const filePath = tempHistoryFile(t);
+  const store = new HistoryStore({ filePath, mode: 'daily' });
+  store.record('issues', { counts: { total: 1 }, ids: {} }, daysAgo(1, 9));
+  store.record('issues', { counts: { total: 2 }, ids: {} }, daysAgo(1, 17));
+  store.record('issues', { counts: { total: 3 }, ids: {} }, daysAgo(0, 1));
+
+  assert.deepEqual(store.query().map(snapshot => snapshot.counts.total), [2, 3]);
+  // Every change is still in the file until it is compacted
+  assert.equal(readLines(filePath).length, 3);
+
+  const reloaded = new HistoryStore({ filePath, mode: 'daily' });
+  assert.equal(reloaded.stats().snapshots, 2);
+  assert.equal(readLines(filePath).length, 2);
+});
+
+test('drops snapshots older than the retention period when loading', (t) => {
+  const filePath = tempHistoryFile(t);
+  const old = { dataset: 'issues', takenAt: daysAgo(40), day: daysAgo(40).slice(0, 10), counts: { total: 1 }, ids: {} };
+  const recent = { dataset: 'issues', takenAt: daysAgo(5), day: daysAgo(5).slice(0, 10), counts: { total: 2 }, ids: {} };
+  fs.writeFileSync(filePath, `${JSON.stringify(old)}\n${JSON.stringify(recent)}\n{"dataset":"iss`);
+
+  const store = new HistoryStore({ filePath, retentionDays: 30 });
+
+  assert.deepEqual(store.query().map(snapshot => snapshot.counts.total), [2]);
+  assert.deepEqual(readLines(filePath), [recent]);
+});
+
+test('query filters by dataset and date and can leave out IDs', (t) => {
+  const store = new HistoryStore({ filePath: tempHistoryFile(t), mode: 'refresh' });
+  store.record('issues', { counts: { total: 1 }, ids: { forSale: ['a:1'] } }, daysAgo(3));
+  store.record('issues', { counts: { total: 2 }, ids: { forSale: ['a:2'] } }, daysAgo(2));
+  store.record('race', { counts: { total: 5 }, ids: {} }, daysAgo(2));
+  store.record('issues', { counts: { total: 3 }, ids: { forSale: ['a:3'] } }, daysAgo(1));
+
+  const snapshots = store.query({ datasets: ['issues'], from: daysAgo(2).slice(0, 10), to: daysAgo(1).slice(0, 10), includeIds: false });
+
+  assert.deepEqual(snapshots.map(snapshot => snapshot.counts.total), [2, 3]);
+  assert.ok(snapshots.every(snapshot => !('ids' in snapshot)));
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IssueQueryError, toList, parseIssueQuery, hasIssueQuery, applyIssueQuery } = require('../lib/issue-query');
+
+const categoryIds = ['forSale', 'sold', 'delivered'];
+const parse = (query) => parseIssueQuery(query, { categoryIds });
+
+const issue = (id, fields = {}) => ({
+  id,
+  iid: id,
+  source: 'default',
+  project_id: 7,
+  project_name: 'App',
+  references: { full: `group/app#${id}` },
+  title: `Issue ${id}`,
+  description: '',
+  labels: ['emporium'],
+  assignees: [],
+  milestone: null,
+  created_at: '2024-03-10T12:00:00Z',
+  closed_at: null,
+  ...fields
+});
+
+const dataset = () => ({
+  categories: categoryIds.map(id => ({ id, name: id })),
+  issues: {
+    forSale: [
+      issue(1, { labels: ['emporium', 'backend'] }),
+      issue(2, { labels: ['emporium', 'frontend'], assignees: [{ username: 'ann' }] }),
+      issue(3, { labels: ['emporium', 'backend'], title: 'Crash on login' })
+    ],
+    sold: [issue(4, { labels: ['emporium', 'backend'], assignees: [{ username: 'bob' }] })],
+    delivered: [issue(5, { labels: ['emporium'], closed_at: '2024-03-15T08:00:00Z' })]
+  },
+  uncategorized: [issue(6, { labels: ['emporium', 'backend'] }), issue(7, { labels: ['emporium'] })],
+  total: 5,
+  refreshedAt: '2024-03-20T00:00:00Z'
+});
+
+const ids = (list) => list.map(item => item.id);
+
+test('toList splits commas and repeated parameters', () => {
+  assert.deepEqual(toList('a, b'), ['a', 'b']);
+  assert.deepEqual(toList(['a', 'b,c']), ['a', 'b', 'c']);
+  assert.equal(toList(' , '), null);
+  assert.equal(toList(undefined), null);
+});
+
+test('hasIssueQuery ignores parameters that are not filters', () => {
+  assert.equal(hasIssueQuery({}), false);
+  assert.equal(hasIssueQuery({ sla: 'breached', token: 'x' }), false);
+  assert.equal(hasIssueQuery({ labels: 'backend' }), true);
+  assert.equal(hasIssueQuery({ offset: '0' }), true);
+});
+
+test('parses filters, date bounds and paging', () => {
+  const query = parse({ assignee: 'none', labels: ['backend'], created_before: '2024-03-10', closed_after: '2024-03-01T00:00:00Z', limit: '2', offset: '1' });
+
+  assert.deepEqual(query.assignees, ['none']);
+  assert.deepEqual(query.labels, ['backend']);
+  // A date-only upper bound covers the whole day
+  assert.equal(query.createdBefore, Date.parse('2024-03-11T00:00:00Z') - 1);
+  assert.equal(query.closedAfter, Date.parse('2024-03-01T00:00:00Z'));
+  assert.equal(query.limit, 2);
+  assert.equal(query.offset, 1);
+  assert.equal(query.milestone, null);
+});
+
+test('reports every invalid parameter at once', () => {
+  assert.throws(() => parse({ category: 'forSale,lost', created_after: 'yesterday', limit: '0', offset: '-1' }), (error) => {
+    assert.ok(error instanceof IssueQueryError);
+    assert.deepEqual(error.errors, [
+      'Unknown category "lost"; use forSale, sold, delivered',
+      'created_after must be an ISO date (YYYY-MM-DD) or time',
+      'limit must be a whole number between 1 and 500',
+      'offset must be a whole number between 0 and 9007199254740991'
+    ]);
+    return true;
+  });
+});
+
+test('filters every category and counts the matches', () => {
+  const result = applyIssueQuery(dataset(), parse({ labels: 'backend', assignee: 'none' }));
+
+  assert.deepEqual(ids(result.issues.forSale), [1, 3]);
+  assert.deepEqual(ids(result.issues.sold), []);
+  assert.equal(result.total, 2);
+  assert.equal(result.unfilteredTotal, 5);
+  assert.equal(result.refreshedAt, '2024-03-20T00:00:00Z');
+});
+
+test('matches projects, assignees, search terms and closed dates', () => {
+  const data = dataset();
+  assert.equal(applyIssueQuery(data, parse({ project: 'GROUP/APP' })).total, 5);
+  assert.equal(applyIssueQuery(data, parse({ project: '8' })).total, 0);
+  assert.deepEqual(ids(applyIssueQuery(data, parse({ assignee: '@Bob,ann' })).issues.sold), [4]);
+  assert.deepEqual(ids(applyIssueQuery(data, parse({ search: 'login' })).issues.forSale), [3]);
+  assert.deepEqual(ids(applyIssueQuery(data, parse({ search: '#2' })).issues.forSale), [2]);
+  assert.equal(applyIssueQuery(data, parse({ closed_before: '2024-03-15' })).total, 1);
+});
+
+test('pages each category and reports its total', () => {
+  const result = applyIssueQuery(dataset(), parse({ limit: '1', offset: '1' }));
+
+  assert.deepEqual(ids(result.issues.forSale), [2]);
+  assert.deepEqual(result.pagination.forSale, { total: 3, offset: 1, limit: 1, returned: 1 });
+  assert.deepEqual(result.pagination.sold, { total: 1, offset: 1, limit: 1, returned: 0 });
+  // The total counts every match, not just the returned page
+  assert.equal(result.total, 5);
+});
+
+test('only keeps the requested categories', () => {
+  const result = applyIssueQuery(dataset(), parse({ category: 'sold' }));
+
+  assert.deepEqual(ids(result.issues.forSale), []);
+  assert.deepEqual(ids(result.issues.sold), [4]);
+  assert.equal(result.total, 1);
+});
+
+test('filters the uncategorized issues with the same query', () => {
+  assert.deepEqual(ids(applyIssueQuery(dataset(), parse({ labels: 'backend' })).uncategorized), [6]);
+  // They are in no category, so asking for categories leaves them out
+  assert.deepEqual(applyIssueQuery(dataset(), parse({ category: 'forSale' })).uncategorized, []);
+});
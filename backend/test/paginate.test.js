@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fetchAllPages, parseNextLink } = require('../lib/paginate');
+
+// A client that answers each get() with the next of `responses` (an Error is thrown)
+function fakeClient(responses) {
+  const calls = [];
+  return {
+    calls,
+    async get(url, config) {
+      calls.push({ url, params: config.params });
+      const response = responses[calls.length - 1];
+      if (response instanceof Error) throw response;
+      return response;
+    }
+  };
+}
+
+test('parseNextLink finds the rel="next" URL', () => {
+  const header = '<https://gitlab.example/api/v4/issues?page=1>; rel="first", <https://gitlab.example/api/v4/issues?cursor=abc>; rel="next"';
+  assert.equal(parseNextLink(header), 'https://gitlab.example/api/v4/issues?cursor=abc');
+  assert.equal(parseNextLink('<https://gitlab.example/x>; rel="last"'), null);
+  assert.equal(parseNextLink(undefined), null);
+});
+
+test('follows X-Next-Page until it is empty', async () => {
+  const client = fakeClient([
+    { data: [1, 2], headers: { 'x-next-page': '2' } },
+    { data: [3], headers: { 'x-next-page': '' } }
+  ]);
+
+  const result = await fetchAllPages(client, '/groups/1/issues', { state: 'opened' }, { perPage: 2 });
+
+  assert.deepEqual(result, { items: [1, 2, 3], partial: false, warnings: [] });
+  assert.deepEqual(client.calls.map(call => call.params), [
+    { state: 'opened', per_page: 2, page: 1 },
+    { state: 'opened', per_page: 2, page: 2 }
+  ]);
+});
+
+test('follows the Link header for keyset pagination', async () => {
+  const client = fakeClient([
+    { data: [1], headers: { link: '<https://gitlab.example/next?cursor=a>; rel="next"' } },
+    { data: [2], headers: {} }
+  ]);
+
+  const result = await fetchAllPages(client, '/projects/1/issues', {}, { perPage: 2 });
+
+  assert.deepEqual(result.items, [1, 2]);
+  assert.deepEqual(client.calls[1], { url: 'https://gitlab.example/next?cursor=a', params: undefined });
+});
+
+test('falls back to the page size without pagination headers', async () => {
+  const client = fakeClient([
+    { data: [1, 2], headers: {} },
+    { data: [3], headers: {} }
+  ]);
+
+  const result = await fetchAllPages(client, '/issues', {}, { perPage: 2 });
+
+  assert.deepEqual(result.items, [1, 2, 3]);
+  assert.equal(client.calls.length, 2);
+});
+
+test('a failed later page returns what was fetched, marked partial', async () => {
+  const client = fakeClient([
+    { data: [1, 2], headers: { 'x-next-page': '2' } },
+    new Error('socket hang up')
+  ]);
+
+  const result = await fetchAllPages(client, '/issues', {}, { perPage: 2, label: 'issues' });
+
+  assert.deepEqual(result.items, [1, 2]);
+  assert.equal(result.partial, true);
+  assert.match(result.warnings[0], /Failed to fetch issues page 2: socket hang up/);
+  // The scheduler retries; the paginator doesn't ask again
+  assert.equal(client.calls.length, 2);
+});
+
+test('a failed first page is thrown', async () => {
+  const client = fakeClient([new Error('ECONNREFUSED')]);
+  await assert.rejects(fetchAllPages(client, '/issues'), /ECONNREFUSED/);
+});
+
+test('stops at maxPages and says so', async () => {
+  const client = fakeClient([
+    { data: [1], headers: { 'x-next-page': '2' } },
+    { data: [2], headers: { 'x-next-page': '3' } }
+  ]);
+
+  const result = await fetchAllPages(client, '/issues', {}, { perPage: 1, maxPages: 2, label: 'issues' });
+
+  assert.deepEqual(result.items, [1, 2]);
+  assert.equal(result.partial, true);
+  assert.match(result.warnings[0], /Stopped fetching issues after 2 pages/);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseSources, describeSource } = require('../lib/sources');
+
+test('without sources, the single-source settings become the default source', () => {
+  const sources = parseSources({ endpoint: 'https://gitlab.example/', token: 'secret', groupId: 42, caCertPath: '' });
+
+  assert.deepEqual(sources, [{
+    id: 'default',
+    name: 'GitLab',
+    endpoint: 'https://gitlab.example',
+    token: 'secret',
+    webhookSecret: undefined,
+    groupId: '42',
+    caCertPath: null
+  }]);
+});
+
+test('an incomplete default source is kept so routes can report what is missing', () => {
+  const sources = parseSources({ endpoint: 'https://gitlab.example' });
+  assert.equal(sources.length, 1);
+  assert.equal(sources[0].token, undefined);
+});
+
+test('reads tokens and webhook secrets from the named environment variables', () => {
+  const sources = parseSources({
+    sources: [
+      { id: 'internal', endpoint: 'https://gitlab.internal', tokenEnv: 'INTERNAL_TOKEN', webhookSecretEnv: 'INTERNAL_HOOK', groupId: '7' },
+      { name: 'Public', token: 'literal', groupId: 9 }
+    ]
+  }, { INTERNAL_TOKEN: 'from-env', INTERNAL_HOOK: 'hook-secret' });
+
+  assert.deepEqual(sources.map(source => [source.id, source.name, source.endpoint, source.token, source.webhookSecret, source.groupId]), [
+    ['internal', 'internal', 'https://gitlab.internal', 'from-env', 'hook-secret', '7'],
+    ['source2', 'Public', 'https://gitlab.com', 'literal', undefined, '9']
+  ]);
+});
+
+test('skips sources without a token or group and duplicate ids', () => {
+  const sources = parseSources({
+    sources: [
+      { id: 'a', token: 't', groupId: '1' },
+      { id: 'a', token: 't', groupId: '2' },
+      { id: 'b', tokenEnv: 'UNSET_TOKEN', groupId: '3' },
+      { id: 'c', token: 't' }
+    ]
+  }, {});
+
+  assert.deepEqual(sources.map(source => `${source.id}:${source.groupId}`), ['a:1']);
+});
+
+test('reads sources from a JSON file', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sources-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const file = path.join(dir, 'sources.json');
+  fs.writeFileSync(file, JSON.stringify([{ id: 'file', token: 't', groupId: '5' }]));
+  assert.deepEqual(parseSources({ sourcesFile: file }).map(source => source.id), ['file']);
+
+  // A file that isn't a JSON array gives no sources rather than crashing
+  fs.writeFileSync(file, JSON.stringify({ id: 'file' }));
+  assert.deepEqual(parseSources({ sourcesFile: file }), []);
+});
+
+test('describeSource leaves out tokens and secrets', () => {
+  const description = describeSource({ id: 'a', name: 'A', endpoint: 'https://x', groupId: '1', token: 't', webhookSecret: 's', httpsAgent: null });
+  assert.deepEqual(description, { id: 'a', name: 'A', endpoint: 'https://x', groupId: '1', hasCustomCert: false });
+});
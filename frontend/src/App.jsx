@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
 import IssueSection from './components/IssueSection';
 import LoadingSpinner from './components/LoadingSpinner';
@@ -6,6 +6,24 @@ import ErrorMessage from './components/ErrorMessage';
 import FeatureFunhouse from './components/FeatureFunhouse';
 import AmazingRace from './components/AmazingRace';
 import MRMedic from './components/MRMedic';
+import PartialDataBanner from './components/PartialDataBanner';
+import SourceFilter from './components/SourceFilter';
+import TrendsPanel from './components/TrendsPanel';
+import IssueQueryBanner from './components/IssueQueryBanner';
+import GlobalSearch from './components/GlobalSearch';
+import ExportButtons from './components/ExportButtons';
+import useLiveUpdates from './hooks/useLiveUpdates';
+import useServerData from './hooks/useServerData';
+import {
+  filterIssuesBySource,
+  filterFeaturesBySource,
+  filterMergeRequestsBySource,
+  filterRaceBySource
+} from './utils/sourceFilter';
+import { filterIssuesBySla } from './utils/slaFilter';
+import { readIssueQuery, writeIssueQuery } from './utils/issueQuery';
+import { replaceIssue } from './utils/issueActions';
+import { categoryClassName, categorySectionId } from './utils/categories';
 
 /**
  * Bug Emporium App with Deep Linking Support
@@ -17,8 +35,19 @@ import MRMedic from './components/MRMedic';
  * 
  * The app supports both query parameters (?page=) and hash fragments (#)
  * for maximum compatibility with different sharing scenarios.
+ *
+ * With several GitLab sources configured, &source=<id> limits every page to one source.
+ * On the Emporium, &sla=breached shows only issues that break an SLA policy, and the
+ * /api/issues filters (&assignee=none&labels=backend, see utils/issueQuery.js) are
+ * passed through to the server.
+ *
+ * Boards update in place when the server reports a dataset change over /api/events.
+ *
+ * `session` is the login session (see hooks/useSession.js); the user menu shows who is
+ * logged in when the server requires logins, and with GitLab logins issues can be bought,
+ * returned and labelled from their cards.
  */
-function App() {
+function App({ session }) {
   const [issues, setIssues] = useState(null);
   const [features, setFeatures] = useState(null);
   const [mergeRequests, setMergeRequests] = useState(null);
@@ -40,7 +69,19 @@ function App() {
     return saved ? JSON.parse(saved) : false;
   });
   const [currentPage, setCurrentPage] = useState('emporium');
+  const [sourceFilter, setSourceFilter] = useState(() => {
+    return new URLSearchParams(window.location.search).get('source') || '';
+  });
+  const [slaOnly, setSlaOnly] = useState(() => {
+    return new URLSearchParams(window.location.search).get('sla') === 'breached';
+  });
+  const [issueQuery, setIssueQuery] = useState(() => readIssueQuery());
+  // The filters the next /api/issues request uses (read by the fetch helpers below)
+  const issueQueryRef = useRef(issueQuery);
+  issueQueryRef.current = issueQuery;
   const [showUserMenu, setShowUserMenu] = useState(false);
+  // The card (data-card-key) a search result points at, until it has been scrolled to
+  const [searchTarget, setSearchTarget] = useState(null);
 
   // Initialize page from URL on component mount
   useEffect(() => {
@@ -60,9 +101,20 @@ function App() {
   useEffect(() => {
     const url = new URL(window.location);
     url.searchParams.set('page', currentPage);
+    if (sourceFilter) {
+      url.searchParams.set('source', sourceFilter);
+    } else {
+      url.searchParams.delete('source');
+    }
+    if (slaOnly) {
+      url.searchParams.set('sla', 'breached');
+    } else {
+      url.searchParams.delete('sla');
+    }
+    writeIssueQuery(url.searchParams, issueQuery);
     // Update URL without causing a page reload
     window.history.replaceState({}, '', url.toString());
-  }, [currentPage]);
+  }, [currentPage, sourceFilter, slaOnly, issueQuery]);
 
   // Handle browser back/forward navigation
   useEffect(() => {
@@ -75,6 +127,9 @@ function App() {
       if (pageFromUrl === 'funhouse' || pageFromUrl === 'emporium' || pageFromUrl === 'medic') {
         setCurrentPage(pageFromUrl);
       }
+      setSourceFilter(urlParams.get('source') || '');
+      setSlaOnly(urlParams.get('sla') === 'breached');
+      setIssueQuery(readIssueQuery());
     };
 
     window.addEventListener('popstate', handlePopState);
@@ -95,7 +150,7 @@ function App() {
     setConfigError(null);
 
     const [issuesResult, featuresResult, mergeRequestsResult, configResult, raceResult] = await Promise.allSettled([
-      axios.get('/api/issues'),
+      axios.get('/api/issues', { params: issueQueryRef.current }),
       axios.get('/api/funhouse'),
       axios.get('/api/merge-requests'),
       axios.get('/api/config'),
@@ -157,6 +212,82 @@ function App() {
     fetchAllData();
   }, []);
 
+  // Datasets pushed by /api/events, keyed by the server's dataset names
+  const liveDatasets = {
+    issues: { url: '/api/issues', params: () => issueQueryRef.current, setData: setIssues, setError: setIssuesError },
+    funhouse: { url: '/api/funhouse', setData: setFeatures, setError: setFeaturesError },
+    'merge-requests': { url: '/api/merge-requests', setData: setMergeRequests, setError: setMergeRequestsError },
+    race: { url: '/api/race', setData: setRace, setError: setRaceError }
+  };
+
+  // Re-fetch one dataset without showing the loading spinner
+  const reloadDataset = async (name) => {
+    const dataset = liveDatasets[name];
+    if (!dataset) return;
+    try {
+      const response = await axios.get(dataset.url, { params: dataset.params?.() });
+      dataset.setData(response.data);
+      dataset.setError(null);
+    } catch (error) {
+      // Keep showing what we have; the next update or refresh will try again
+      console.error(`Error reloading ${name}:`, error);
+    }
+  };
+
+  // Re-fetch the issues when the filters change (the first ones were loaded with the page)
+  const initialIssueQuery = useRef(issueQuery);
+  useEffect(() => {
+    if (issueQuery === initialIssueQuery.current) return undefined;
+
+    let cancelled = false;
+    setIssuesLoading(true);
+    axios.get('/api/issues', { params: issueQuery })
+      .then(response => {
+        if (cancelled) return;
+        setIssues(response.data);
+        setIssuesError(null);
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error('Error fetching issues:', error);
+        setIssuesError(error.response?.data?.error || 'Failed to fetch issues');
+      })
+      .finally(() => {
+        if (!cancelled) setIssuesLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [issueQuery]);
+
+  // Trends, timings and SLAs are rebuilt on the server once per refresh of the issue
+  // timelines, so they are only fetched again then (not on every issue change)
+  const [timelinesVersion, setTimelinesVersion] = useState(null);
+  const liveStatus = useLiveUpdates({
+    onDatasetChange: (name, update) => {
+      if (name === 'issue-timelines') {
+        setTimelinesVersion(update.refreshedAt);
+      } else {
+        reloadDataset(name);
+      }
+    },
+    onReconnect: () => {
+      Object.keys(liveDatasets).forEach(reloadDataset);
+      setTimelinesVersion(Date.now());
+    }
+  });
+
+  // Per-issue timings and SLA flags for the Emporium cards; the board works without them
+  const { data: timings } = useServerData('/api/issues/timings', {
+    enabled: currentPage === 'emporium' && !!issues,
+    refreshKey: timelinesVersion
+  });
+  const { data: sla } = useServerData('/api/sla', {
+    enabled: currentPage === 'emporium' && !!issues,
+    refreshKey: timelinesVersion
+  });
+
   useEffect(() => {
     localStorage.setItem('darkMode', JSON.stringify(isDarkMode));
     document.documentElement.setAttribute('data-theme', isDarkMode ? 'dark' : 'light');
@@ -180,6 +311,13 @@ function App() {
     fetchAllData();
   };
 
+  // A card changed an issue: show the new version right away, then reload the board,
+  // which the server has already patched, for the issue's new place on it
+  const handleIssueChange = (changed, { reload = true } = {}) => {
+    setIssues(current => replaceIssue(current, changed));
+    if (reload) reloadDataset('issues');
+  };
+
   const handleClearCache = async () => {
     try {
       await axios.post('/api/cache/clear');
@@ -191,6 +329,43 @@ function App() {
     }
   };
 
+  // Show the page a search result is on, with nothing filtering it out
+  const handleSearchSelect = (result) => {
+    setCurrentPage(result.page);
+    if (sourceFilter && sourceFilter !== result.source) {
+      setSourceFilter('');
+    }
+    if (result.page === 'emporium') {
+      setSlaOnly(false);
+      if (Object.keys(issueQuery).length > 0) {
+        setIssueQuery({});
+      }
+    }
+    setSearchTarget(result.key);
+  };
+
+  // Scroll to and flash the searched-for card once its page has rendered it
+  useEffect(() => {
+    if (!searchTarget) return undefined;
+
+    let attempts = 0;
+    const timer = setInterval(() => {
+      attempts += 1;
+      const card = document.querySelector(`[data-card-key="${CSS.escape(searchTarget)}"]`);
+      if (card) {
+        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        card.classList.add('search-highlight');
+        setTimeout(() => card.classList.remove('search-highlight'), 2500);
+      }
+      if (card || attempts >= 40) {
+        clearInterval(timer);
+        setSearchTarget(null);
+      }
+    }, 250);
+
+    return () => clearInterval(timer);
+  }, [searchTarget]);
+
   const scrollToSection = (sectionId) => {
     const element = document.getElementById(sectionId);
     if (element) {
@@ -201,7 +376,15 @@ function App() {
     }
   };
 
-  const Navigation = () => (
+  // Datasets limited to the selected GitLab source (unchanged when showing all sources)
+  const visibleIssues = filterIssuesBySource(issues, sourceFilter);
+  const visibleFeatures = filterFeaturesBySource(features, sourceFilter);
+  const visibleMergeRequests = filterMergeRequestsBySource(mergeRequests, sourceFilter);
+  const visibleRace = filterRaceBySource(race, sourceFilter);
+  const showSource = config?.sources?.length > 1 && !sourceFilter;
+
+  // An element rather than a component, so the search box keeps its state when App re-renders
+  const navigation = (
     <nav className="main-navigation">
       <button 
         className={`nav-button ${currentPage === 'emporium' ? 'active' : ''}`}
@@ -227,22 +410,45 @@ function App() {
       >
         🏥 MR Medic
       </button>
+      <SourceFilter
+        sources={config?.sources}
+        value={sourceFilter}
+        onChange={setSourceFilter}
+      />
+      <GlobalSearch source={sourceFilter} onSelect={handleSearchSelect} />
+      {liveStatus !== 'unsupported' && (
+        <span
+          className={`live-status ${liveStatus}`}
+          title={liveStatus === 'live' ? 'Boards update automatically' : 'Waiting for the live update connection'}
+        >
+          ● {liveStatus === 'live' ? 'Live' : liveStatus === 'reconnecting' ? 'Reconnecting…' : 'Connecting…'}
+        </span>
+      )}
     </nav>
   );
 
+  const user = session?.user;
+
   const UserMenu = () => (
     <div className="user-menu">
       <button 
         className="user-menu-toggle"
         onClick={() => setShowUserMenu(!showUserMenu)}
-        title="User Menu"
+        title={user ? `Logged in as ${user.name}` : 'User Menu'}
       >
-        👤
+        {user?.avatarUrl ? <img className="user-menu-avatar" src={user.avatarUrl} alt="" /> : '👤'}
       </button>
       {showUserMenu && (
         <div className="user-menu-dropdown">
           <div className="user-menu-header">
-            <h4>User Menu</h4>
+            {user ? (
+              <div className="user-menu-user">
+                <h4>{user.name}</h4>
+                <span>@{user.username}</span>
+              </div>
+            ) : (
+              <h4>User Menu</h4>
+            )}
             <button 
               className="user-menu-close"
               onClick={() => setShowUserMenu(false)}
@@ -264,12 +470,22 @@ function App() {
             >
               🔄 Refresh Data
             </button>
-            <button 
-              className="user-menu-item"
-              onClick={handleClearCache}
-            >
-              🗑️ Clear Server Cache
-            </button>
+            {session?.admin && (
+              <button 
+                className="user-menu-item"
+                onClick={handleClearCache}
+              >
+                🗑️ Clear Server Cache
+              </button>
+            )}
+            {session?.enabled && (
+              <button 
+                className="user-menu-item"
+                onClick={session.logOut}
+              >
+                🚪 Log Out
+              </button>
+            )}
           </div>
         </div>
       )}
@@ -279,7 +495,7 @@ function App() {
   if (issuesLoading && currentPage === 'emporium') {
     return (
       <div className="app">
-        <Navigation />
+        {navigation}
         <div className="header">
           <div className="header-content">
             <h1>🐛 Bug Emporium</h1>
@@ -295,7 +511,7 @@ function App() {
   if (issuesError && currentPage === 'emporium') {
     return (
       <div className="app">
-        <Navigation />
+        {navigation}
         <div className="header">
           <div className="header-content">
             <h1>🐛 Bug Emporium</h1>
@@ -303,6 +519,7 @@ function App() {
           </div>
         </div>
         <UserMenu />
+        <IssueQueryBanner query={issueQuery} onClear={() => setIssueQuery({})} />
         <ErrorMessage error={issuesError} onRetry={handleRefresh} />
       </div>
     );
@@ -312,12 +529,12 @@ function App() {
   if (currentPage === 'funhouse') {
     return (
       <div className="app">
-        <Navigation />
+        {navigation}
         <UserMenu />
         <FeatureFunhouse 
           isDarkMode={isDarkMode} 
           onToggleDarkMode={toggleDarkMode}
-          features={features}
+          features={visibleFeatures}
           config={config}
           loading={featuresLoading}
           error={featuresError}
@@ -331,10 +548,12 @@ function App() {
   if (currentPage === 'medic') {
     return (
       <div className="app">
-        <Navigation />
+        {navigation}
         <UserMenu />
         <MRMedic 
-          mergeRequests={mergeRequests}
+          mergeRequests={visibleMergeRequests}
+          source={sourceFilter}
+          showSource={showSource}
           loading={mergeRequestsLoading}
           error={mergeRequestsError}
           onRefresh={handleRefresh}
@@ -347,10 +566,10 @@ function App() {
   if (currentPage === 'race') {
     return (
       <div className="app">
-        <Navigation />
+        {navigation}
         <UserMenu />
         <AmazingRace 
-          race={race}
+          race={visibleRace}
           config={config}
           loading={raceLoading}
           error={raceError}
@@ -361,14 +580,25 @@ function App() {
   }
 
   // Render Bug Emporium page
-  const totalIssues = issues?.total || 0;
-  const forSaleCount = issues?.issues?.forSale?.length || 0;
-  const soldCount = issues?.issues?.sold?.length || 0;
-  const deliveredCount = issues?.issues?.delivered?.length || 0;
+  const emporiumIssues = filterIssuesBySla(visibleIssues, sla?.issues, slaOnly);
+
+  // Atom feed of For Sale issues with the same filters (the feed is always For Sale, unpaged),
+  // and with the feed token when logins are on, since feed readers have no session
+  const feedParams = new URLSearchParams();
+  Object.entries({ ...issueQuery, source: sourceFilter, token: session?.feedToken }).forEach(([name, value]) => {
+    if (value && !['category', 'limit', 'offset'].includes(name)) feedParams.set(name, value);
+  });
+  const feedUrl = `/api/feeds/for-sale.atom${feedParams.toString() ? `?${feedParams}` : ''}`;
+  const totalIssues = emporiumIssues?.total || 0;
+  // The sections the server declares (see emporium.categories), in order
+  const categories = emporiumIssues?.categories || [];
+  const breachedCount = filterIssuesBySla(visibleIssues, sla?.issues, true)?.total || 0;
+  // With a limit the lists are one page; the server counts every match per category
+  const categoryCount = (data, id) => data.pagination?.[id]?.total ?? data.issues[id]?.length ?? 0;
 
   return (
     <div className="app">
-      <Navigation />
+      {navigation}
       <div className="header">
         <div className="header-content">
           <h1>🐛 Bug Emporium</h1>
@@ -386,62 +616,78 @@ function App() {
 
       <UserMenu />
 
+      <PartialDataBanner data={issues} />
+
+      <IssueQueryBanner query={issueQuery} onClear={() => setIssueQuery({})} />
+
       <div className="stats">
         <div className="stat-card">
           <div className="stat-number">{totalIssues}</div>
           <div className="stat-label">Total Issues</div>
         </div>
-        <div 
-          className="stat-card clickable" 
-          onClick={() => scrollToSection('for-sale-section')}
-          style={{ cursor: 'pointer' }}
-        >
-          <div className="stat-number">{forSaleCount}</div>
-          <div className="stat-label">For Sale</div>
-        </div>
-        <div 
-          className="stat-card clickable" 
-          onClick={() => scrollToSection('sold-section')}
-          style={{ cursor: 'pointer' }}
-        >
-          <div className="stat-number">{soldCount}</div>
-          <div className="stat-label">Sold</div>
-        </div>
-        <div 
-          className="stat-card clickable" 
-          onClick={() => scrollToSection('delivered-section')}
-          style={{ cursor: 'pointer' }}
+        {categories.map(category => (
+          <div 
+            key={category.id}
+            className="stat-card clickable" 
+            onClick={() => scrollToSection(categorySectionId(category))}
+            style={{ cursor: 'pointer' }}
+          >
+            <div className="stat-number">{categoryCount(emporiumIssues, category.id)}</div>
+            <div className="stat-label">{category.name}</div>
+          </div>
+        ))}
+        {sla?.policies?.length > 0 && (
+          <div
+            className={`stat-card clickable sla-filter ${slaOnly ? 'active' : ''}`}
+            onClick={() => setSlaOnly(!slaOnly)}
+            style={{ cursor: 'pointer' }}
+            title={slaOnly ? 'Show all issues' : 'Show only issues that break an SLA policy'}
+          >
+            <div className="stat-number">{breachedCount}</div>
+            <div className="stat-label">🚨 Breached SLA{slaOnly ? ' (filtered)' : ''}</div>
+          </div>
+        )}
+      </div>
+
+      <div className="board-actions">
+        <a
+          className="export-button"
+          href={feedUrl}
+          title="Subscribe to newly listed For Sale issues (with the filters applied)"
         >
-          <div className="stat-number">{deliveredCount}</div>
-          <div className="stat-label">Delivered</div>
-        </div>
+          📡 Feed
+        </a>
+        <ExportButtons
+          path="/api/issues/export"
+          params={{ ...issueQuery, source: sourceFilter, sla: slaOnly ? 'breached' : undefined }}
+        />
       </div>
 
+      <TrendsPanel
+        source={sourceFilter}
+        refreshKey={timelinesVersion}
+      />
+
       <div className="sections">
-        <div id="for-sale-section">
-          <IssueSection
-            title="🛒 For Sale"
-            issues={issues?.issues?.forSale || []}
-            className="for-sale"
-            priorityLabel={config?.priorityLabel}
-          />
-        </div>
-        <div id="sold-section">
-          <IssueSection
-            title="💰 Sold"
-            issues={issues?.issues?.sold || []}
-            className="sold"
-            priorityLabel={config?.priorityLabel}
-          />
-        </div>
-        <div id="delivered-section">
-          <IssueSection
-            title="✅ Delivered"
-            issues={issues?.issues?.delivered || []}
-            className="delivered"
-            priorityLabel={config?.priorityLabel}
-          />
-        </div>
+        {categories.map(category => (
+          <div key={category.id} id={categorySectionId(category)}>
+            <IssueSection
+              title={category.emoji ? `${category.emoji} ${category.name}` : category.name}
+              issues={emporiumIssues.issues[category.id] || []}
+              category={category}
+              className={categoryClassName(category)}
+              priorityLabel={config?.priorityLabel}
+              emporiumLabel={config?.emporiumLabel}
+              severityScope={config?.severityScope}
+              showSource={showSource}
+              timings={timings?.issues}
+              slaFlags={sla?.issues}
+              session={session}
+              onIssueChange={handleIssueChange}
+              onBulkFinished={() => reloadDataset('issues')}
+            />
+          </div>
+        ))}
       </div>
     </div>
   );
@@ -1,5 +1,7 @@
 import LoadingSpinner from './LoadingSpinner';
 import ErrorMessage from './ErrorMessage';
+import PartialDataBanner from './PartialDataBanner';
+import { itemKey } from '../utils/sourceFilter';
 
 function AmazingRace({ race, config: _config, loading, error, onRefresh }) {
   if (loading) {
@@ -47,6 +49,8 @@ function AmazingRace({ race, config: _config, loading, error, onRefresh }) {
         </div>
       </div>
 
+      <PartialDataBanner data={race} />
+
       <div className="funhouse-stats">
         <div className="funhouse-stat-card">
           <div className="stat-number">{race?.total || 0}</div>
@@ -119,7 +123,7 @@ function AmazingRace({ race, config: _config, loading, error, onRefresh }) {
                     ) : (
                       <ul style={{ paddingLeft: '1rem', margin: 0 }}>
                         {lists.open.map(issue => (
-                          <li key={issue.id} style={{ marginBottom: '0.25rem' }}>
+                          <li key={itemKey(issue)} data-card-key={itemKey(issue)} style={{ marginBottom: '0.25rem' }}>
                             <a href={issue.web_url} target="_blank" rel="noopener noreferrer">#{issue.iid} {issue.title}</a>
                             {issue.project_name && <span style={{ marginLeft: '0.5rem', color: 'var(--text-secondary)' }}>({issue.project_name})</span>}
                           </li>
@@ -133,7 +137,7 @@ function AmazingRace({ race, config: _config, loading, error, onRefresh }) {
                     ) : (
                       <ul style={{ paddingLeft: '1rem', margin: 0 }}>
                         {lists.closed.map(issue => (
-                          <li key={issue.id} style={{ marginBottom: '0.25rem' }}>
+                          <li key={itemKey(issue)} data-card-key={itemKey(issue)} style={{ marginBottom: '0.25rem' }}>
                             <a href={issue.web_url} target="_blank" rel="noopener noreferrer">#{issue.iid} {issue.title}</a>
                             {issue.project_name && <span style={{ marginLeft: '0.5rem', color: 'var(--text-secondary)' }}>({issue.project_name})</span>}
                           </li>
@@ -0,0 +1,34 @@
+import useSession from '../hooks/useSession';
+
+const PROVIDER_NAMES = { gitlab: 'GitLab', oidc: 'single sign-on' };
+
+/**
+ * Renders `children(session)` once it's known whether a login is needed, and a login
+ * page instead while logins are enabled and nobody is logged in.
+ */
+function AuthGate({ children }) {
+  const session = useSession();
+
+  if (session.loading) {
+    return null;
+  }
+
+  if (session.enabled && !session.user) {
+    const returnTo = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+    return (
+      <div className="app">
+        <div className="login-screen">
+          <h1>🐛 Bug Emporium</h1>
+          <p>Log in to see the boards.</p>
+          <a className="login-button" href={`/auth/login?returnTo=${encodeURIComponent(returnTo)}`}>
+            🔐 Log in with {PROVIDER_NAMES[session.provider] || 'GitLab'}
+          </a>
+        </div>
+      </div>
+    );
+  }
+
+  return children(session);
+}
+
+export default AuthGate;
@@ -0,0 +1,165 @@
+import { useId, useState } from 'react';
+import useBulkJob from '../hooks/useBulkJob';
+
+const ACTIONS = {
+  assign: 'Assign to',
+  addLabel: 'Add label',
+  removeLabel: 'Remove label',
+  milestone: 'Set milestone',
+  close: 'Close'
+};
+
+const targetKey = ({ source, projectId, iid }) => `${source}:${projectId}:${iid}`;
+const issueTargetKey = (issue) => targetKey({ source: issue.source || 'default', projectId: issue.project_id, iid: issue.iid });
+const unique = (values) => [...new Set(values.filter(Boolean))].sort();
+
+/**
+ * The actions bar of an IssueSection in selection mode: applies one action (assign,
+ * add or remove a label, set the milestone, close) to the `selected` issues as a
+ * server-side job, then lists each issue's result and offers to retry the failures.
+ * `issues` are all of the section's issues (for label and milestone suggestions).
+ */
+function BulkTriageBar({ issues, selected, session, onSelectAll, onSelectNone, onDone, onFinish }) {
+  const [type, setType] = useState('assign');
+  const [value, setValue] = useState('');
+  // The issues of the latest job, so results can show titles after issues have moved
+  const [jobIssues, setJobIssues] = useState({});
+  const { job, error, starting, start, retryFailures, clear } = useBulkJob({ onFinish });
+  const listId = useId();
+
+  const running = starting || job?.status === 'running';
+  const username = session?.user?.username;
+
+  const suggestions = {
+    addLabel: unique(issues.flatMap(issue => issue.labels || [])),
+    removeLabel: unique(selected.flatMap(issue => issue.labels || [])),
+    milestone: unique(issues.map(issue => issue.milestone?.title))
+  }[type];
+
+  const buildAction = () => {
+    const text = value.trim();
+    switch (type) {
+      case 'assign':
+        return { type: 'assign', username: text || username };
+      case 'addLabel':
+        return text ? { type: 'labels', add: [text] } : null;
+      case 'removeLabel':
+        return text ? { type: 'labels', remove: [text] } : null;
+      case 'milestone':
+        return { type: 'milestone', title: text };
+      default:
+        return { type: 'close' };
+    }
+  };
+
+  const apply = () => {
+    const action = buildAction();
+    if (!action || selected.length === 0) return;
+    if (type === 'close' && !window.confirm(`Close ${selected.length} issue${selected.length === 1 ? '' : 's'} in GitLab?`)) return;
+    setJobIssues(Object.fromEntries(selected.map(issue => [issueTargetKey(issue), issue])));
+    start(selected, action);
+  };
+
+  const placeholder = {
+    assign: username ? `@${username}` : 'username',
+    addLabel: 'Label',
+    removeLabel: 'Label',
+    milestone: 'Milestone (empty removes it)'
+  }[type];
+
+  return (
+    <div className="bulk-triage">
+      <div className="bulk-bar">
+        <span className="bulk-count">{selected.length} selected</span>
+        <button className="issue-action-button" onClick={onSelectAll} disabled={running}>All</button>
+        <button className="issue-action-button" onClick={onSelectNone} disabled={running}>None</button>
+        <select
+          className="label-editor-select"
+          value={type}
+          onChange={(event) => {
+            setType(event.target.value);
+            setValue('');
+          }}
+          disabled={running}
+          aria-label="Bulk action"
+        >
+          {Object.entries(ACTIONS).map(([action, label]) => (
+            <option key={action} value={action}>{label}</option>
+          ))}
+        </select>
+        {type !== 'close' && (
+          <>
+            <input
+              className="bulk-input"
+              type="text"
+              value={value}
+              onChange={(event) => setValue(event.target.value)}
+              onKeyDown={(event) => event.key === 'Enter' && apply()}
+              placeholder={placeholder}
+              list={suggestions ? listId : undefined}
+              disabled={running}
+              aria-label={ACTIONS[type]}
+            />
+            {suggestions && (
+              <datalist id={listId}>
+                {suggestions.map(suggestion => <option key={suggestion} value={suggestion} />)}
+              </datalist>
+            )}
+          </>
+        )}
+        <button
+          className="issue-action-button buy"
+          onClick={apply}
+          disabled={running || selected.length === 0 || !buildAction()}
+        >
+          {running ? '⏳ Working…' : `Apply to ${selected.length}`}
+        </button>
+        <button className="issue-action-button" onClick={onDone} disabled={running}>Done</button>
+      </div>
+
+      {error && <div className="issue-action-error" role="alert">{error}</div>}
+
+      {job && (
+        <div className="bulk-results">
+          <div className="bulk-results-header">
+            <strong>
+              {job.status === 'running'
+                ? `Working… ${job.summary.succeeded + job.summary.failed} of ${job.summary.total}`
+                : `${job.summary.succeeded} succeeded, ${job.summary.failed} failed`}
+            </strong>
+            {job.status === 'finished' && job.summary.failed > 0 && (
+              <button className="issue-action-button" onClick={retryFailures} disabled={running}>
+                🔁 Retry {job.summary.failed} failed
+              </button>
+            )}
+            {job.status !== 'running' && (
+              <button className="issue-action-button" onClick={clear}>Dismiss</button>
+            )}
+          </div>
+          <ul className="bulk-results-list">
+            {job.results.map(result => {
+              const issue = jobIssues[targetKey(result.target)];
+              return (
+                <li key={targetKey(result.target)} className={`bulk-result ${result.status}`}>
+                  <span className="bulk-result-status">
+                    {result.status === 'succeeded' ? '✅' : result.status === 'failed' ? '❌' : '⏳'}
+                  </span>
+                  <span className="bulk-result-issue">
+                    #{result.target.iid} {issue?.title || ''}
+                  </span>
+                  {result.status === 'failed' && (
+                    <span className="bulk-result-error" title={result.details || ''}>
+                      {result.error}{result.details ? `: ${result.details}` : ''}
+                    </span>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BulkTriageBar;
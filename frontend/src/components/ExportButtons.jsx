@@ -0,0 +1,31 @@
+// React import not needed with JSX Transform
+
+const FORMATS = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'md', label: 'Markdown' },
+  { format: 'json', label: 'JSON' }
+];
+
+// Download links for a board export; `params` are the filters currently applied
+function ExportButtons({ path, params = {} }) {
+  const hrefFor = (format) => {
+    const search = new URLSearchParams({ format });
+    Object.entries(params).forEach(([name, value]) => {
+      if (value !== undefined && value !== null && value !== '') search.set(name, value);
+    });
+    return `${path}?${search}`;
+  };
+
+  return (
+    <div className="export-buttons">
+      <span className="export-label">⬇️ Export</span>
+      {FORMATS.map(({ format, label }) => (
+        <a key={format} className="export-button" href={hrefFor(format)} download>
+          {label}
+        </a>
+      ))}
+    </div>
+  );
+}
+
+export default ExportButtons;
@@ -1,5 +1,7 @@
 import LoadingSpinner from './LoadingSpinner';
 import ErrorMessage from './ErrorMessage';
+import PartialDataBanner from './PartialDataBanner';
+import { itemKey } from '../utils/sourceFilter';
 
 function FeatureCard({ feature, config: _config, isDarkMode: _isDarkMode }) {
   const formatDate = (dateString) => {
@@ -20,8 +22,8 @@ function FeatureCard({ feature, config: _config, isDarkMode: _isDarkMode }) {
     const indentStyle = { marginLeft: `${depth * 20}px` };
     
     return (
-      <div key={linkedIssue.issue.id} className="linked-issue" style={indentStyle}>
-        <div className={`linked-issue-card ${isClosed ? 'closed' : 'open'}`}>
+      <div key={itemKey(linkedIssue.issue)} className="linked-issue" style={indentStyle}>
+        <div className={`linked-issue-card ${isClosed ? 'closed' : 'open'}`} data-card-key={itemKey(linkedIssue.issue)}>
           <div className="linked-issue-header">
             <span className="linked-issue-number">#{linkedIssue.issue.iid}</span>
             <h4 className="linked-issue-title">
@@ -116,7 +118,7 @@ function FeatureCard({ feature, config: _config, isDarkMode: _isDarkMode }) {
   const closedLinkedIssues = countClosedLinkedIssues(feature.linkedIssues);
 
   return (
-    <div className={`feature-card ${isActive ? 'active' : 'complete'}`}>
+    <div className={`feature-card ${isActive ? 'active' : 'complete'}`} data-card-key={itemKey(feature.issue)}>
       <div className="feature-header">
         <div className="feature-title-section">
           <span className="feature-number">#{feature.issue.iid}</span>
@@ -244,6 +246,7 @@ function FeatureFunhouse({ isDarkMode, onToggleDarkMode: _onToggleDarkMode, feat
         </div>
       </div>
 
+      <PartialDataBanner data={features} />
 
       <div className="funhouse-stats">
         <div className="funhouse-stat-card">
@@ -275,7 +278,7 @@ function FeatureFunhouse({ isDarkMode, onToggleDarkMode: _onToggleDarkMode, feat
             ) : (
               activeFeatures.map((feature) => (
                 <FeatureCard 
-                  key={feature.issue.id} 
+                  key={itemKey(feature.issue)} 
                   feature={feature} 
                   config={config}
                   isDarkMode={isDarkMode}
@@ -299,7 +302,7 @@ function FeatureFunhouse({ isDarkMode, onToggleDarkMode: _onToggleDarkMode, feat
             ) : (
               completeFeatures.map((feature) => (
                 <FeatureCard 
-                  key={feature.issue.id} 
+                  key={itemKey(feature.issue)} 
                   feature={feature} 
                   config={config}
                   isDarkMode={isDarkMode}
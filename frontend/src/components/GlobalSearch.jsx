@@ -0,0 +1,124 @@
+import { useEffect, useState } from 'react';
+import useServerData from '../hooks/useServerData';
+
+const DEBOUNCE_MS = 250;
+
+const TYPES = {
+  issue: { emoji: '🐛', label: 'Emporium' },
+  merge_request: { emoji: '🏥', label: 'MR Medic' },
+  feature: { emoji: '🎪', label: 'Funhouse' },
+  race_issue: { emoji: '🏁', label: 'Race' }
+};
+
+function GlobalSearch({ source, onSelect }) {
+  const [text, setText] = useState('');
+  const [query, setQuery] = useState('');
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+
+  // Search once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery(text.trim()), DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [text]);
+
+  const { data, loading, error } = useServerData('/api/search', {
+    enabled: query.length > 0,
+    params: { q: query, source: source || undefined }
+  });
+
+  const results = query && data?.query === query ? data.results : [];
+
+  useEffect(() => {
+    setHighlighted(0);
+  }, [query]);
+
+  const choose = (result) => {
+    setOpen(false);
+    setText('');
+    onSelect(result);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setOpen(false);
+    } else if (e.key === 'ArrowDown' && results.length > 0) {
+      e.preventDefault();
+      setOpen(true);
+      setHighlighted((highlighted + 1) % results.length);
+    } else if (e.key === 'ArrowUp' && results.length > 0) {
+      e.preventDefault();
+      setHighlighted((highlighted - 1 + results.length) % results.length);
+    } else if (e.key === 'Enter' && results[highlighted]) {
+      choose(results[highlighted]);
+    }
+  };
+
+  const showDropdown = open && text.trim().length > 0;
+
+  return (
+    <div className="board-search">
+      <input
+        type="search"
+        className="board-search-input"
+        placeholder="🔍 Search issues, MRs, features…"
+        value={text}
+        onChange={(e) => {
+          setText(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+        aria-label="Search all boards"
+      />
+      {showDropdown && (
+        <div className="board-search-dropdown">
+          {error && <div className="board-search-status">⚠️ {error}</div>}
+          {!error && results.length === 0 && (
+            <div className="board-search-status">
+              {loading || query !== text.trim() ? 'Searching…' : 'No matches'}
+            </div>
+          )}
+          {results.map((result, index) => (
+            <button
+              key={`${result.type}:${result.key}`}
+              className={`board-search-result ${index === highlighted ? 'highlighted' : ''} ${result.state === 'closed' ? 'closed' : ''}`}
+              // Keep the input focused until the click lands
+              onMouseDown={(e) => e.preventDefault()}
+              onMouseEnter={() => setHighlighted(index)}
+              onClick={() => choose(result)}
+            >
+              <span className="board-search-type" title={TYPES[result.type]?.label}>
+                {TYPES[result.type]?.emoji}
+              </span>
+              <span className="board-search-text">
+                <span className="board-search-title">
+                  {result.reference} {result.title}
+                </span>
+                <span className="board-search-meta">
+                  {TYPES[result.type]?.label}
+                  {result.context && ` · ${result.context}`}
+                  {result.project && ` · ${result.project}`}
+                </span>
+                {result.snippet && <span className="board-search-snippet">{result.snippet}</span>}
+              </span>
+            </button>
+          ))}
+          {data && data.query === query && data.total > results.length && (
+            <div className="board-search-status">
+              Showing {results.length} of {data.total} matches
+            </div>
+          )}
+          {data && data.query === query && data.missing?.length > 0 && (
+            <div className="board-search-status">
+              Not searched yet: {data.missing.join(', ')}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GlobalSearch;
@@ -1,7 +1,63 @@
-// React import not needed with JSX Transform
+import { useState } from 'react';
+import axios from 'axios';
+import { itemKey } from '../utils/sourceFilter';
+import LabelEditor from './LabelEditor';
+import { issueApiPath, canChangeIssue, isBoughtBy, actionErrorMessage, labelsAfter } from '../utils/issueActions';
 
-function IssueCard({ issue, priorityLabel }) {
+/**
+ * One Emporium issue, shown in the section of `category`. With a `session` whose login
+ * can change the issue's source, unassigned issues in the for-sale category get a Buy
+ * button (assign it to yourself), open issues you bought a Return button, and labels
+ * can be edited. `onIssueChange(issue, { reload })` is
+ * called with GitLab's updated issue; label edits call it with the expected issue
+ * first (reload: false), and with the original one again if GitLab refused the change.
+ * In a section's selection mode, `selectable` cards get a checkbox that calls
+ * `onSelect(shiftKey)`.
+ */
+function IssueCard({
+  issue, category, priorityLabel, emporiumLabel, severityScope, showSource, timing, slaFlags = [], session, onIssueChange,
+  selectable = false, selected = false, onSelect
+}) {
+  const [pendingAction, setPendingAction] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [editingLabels, setEditingLabels] = useState(false);
   const isPriority = priorityLabel && issue.labels.includes(priorityLabel);
+  const canEdit = canChangeIssue(session, issue);
+  const isOpen = issue.state === 'opened';
+  const canBuy = canEdit && isOpen && !issue.assignee && category?.role === 'for-sale';
+  const canReturn = canEdit && isOpen && isBoughtBy(session.user, issue);
+
+  const runAction = async (action) => {
+    setPendingAction(action);
+    setActionError(null);
+    try {
+      const response = await axios.post(`${issueApiPath(issue)}/${action}`);
+      onIssueChange?.(response.data.issue);
+    } catch (error) {
+      console.error(`Failed to ${action} issue:`, error);
+      setActionError(actionErrorMessage(error));
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  // Show the new labels right away and put the old ones back if GitLab refuses
+  const changeLabels = async (add, remove) => {
+    const original = issue;
+    setPendingAction('labels');
+    setActionError(null);
+    onIssueChange?.({ ...issue, labels: labelsAfter(issue.labels, add, remove) }, { reload: false });
+    try {
+      const response = await axios.post(`${issueApiPath(issue)}/labels`, { add, remove });
+      onIssueChange?.(response.data.issue);
+    } catch (error) {
+      console.error('Failed to change labels:', error);
+      onIssueChange?.(original, { reload: false });
+      setActionError(actionErrorMessage(error));
+    } finally {
+      setPendingAction(null);
+    }
+  };
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -10,14 +66,32 @@ function IssueCard({ issue, priorityLabel }) {
     });
   };
 
+  const formatDuration = (days) => {
+    if (days < 1) return 'under a day';
+    const whole = Math.round(days);
+    return `${whole} ${whole === 1 ? 'day' : 'days'}`;
+  };
+
   const getAssigneeName = (assignee) => {
     if (!assignee) return null;
     return assignee.name || assignee.username || 'Unknown';
   };
 
   return (
-    <div className={`issue-card ${isPriority ? 'priority' : ''}`}>
+    <div
+      className={`issue-card ${isPriority ? 'priority' : ''} ${selected ? 'selected' : ''}`}
+      data-card-key={itemKey(issue)}
+    >
       <div className="issue-header">
+        {selectable && (
+          <input
+            type="checkbox"
+            className="issue-select"
+            checked={selected}
+            onChange={(event) => onSelect?.(event.nativeEvent.shiftKey)}
+            aria-label={`Select #${issue.iid}`}
+          />
+        )}
         <span className="issue-number">#{issue.iid}</span>
         <h3 className="issue-title">
           <a 
@@ -31,6 +105,11 @@ function IssueCard({ issue, priorityLabel }) {
       </div>
       
       <div className="issue-meta">
+        {showSource && issue.source_name && (
+          <span className="source-badge" title={`GitLab source: ${issue.source_name}`}>
+            {issue.source_name}
+          </span>
+        )}
         {issue.project_name && (
           <span className="issue-project">
             {issue.project_name}
@@ -59,8 +138,101 @@ function IssueCard({ issue, priorityLabel }) {
             ✅ Closed {formatDate(issue.closed_at)}
           </span>
         )}
+        {(issue.linked_merge_requests || []).filter(mr => mr.state !== 'closed').map(mr => (
+          <a
+            key={`${mr.project_id}!${mr.iid}`}
+            className="issue-merge-request"
+            href={mr.web_url}
+            target="_blank"
+            rel="noopener noreferrer"
+            title={mr.title}
+          >
+            🔀 !{mr.iid}{mr.state === 'merged' ? ' merged' : mr.draft ? ' draft' : ''}
+          </a>
+        ))}
       </div>
 
+      {slaFlags.length > 0 && (
+        <div className="issue-sla">
+          {slaFlags.map(flag => (
+            <span
+              key={flag.policy}
+              className={`sla-badge ${flag.level}`}
+              title={`${flag.name}: ${formatDuration(flag.ageDays)} (limit ${formatDuration(flag.maxDays)})`}
+            >
+              {flag.level === 'breached' ? '🚨 SLA breached' : '⏳ SLA at risk'}: {flag.name}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {timing && (
+        <div
+          className="issue-timings"
+          title={[
+            `Listed ${formatDate(timing.listedAt)}`,
+            timing.boughtAt && `bought ${formatDate(timing.boughtAt)}`,
+            timing.deliveredAt && `delivered ${formatDate(timing.deliveredAt)}`
+          ].filter(Boolean).join(', ') + (timing.estimated ? ' (estimated)' : '')}
+        >
+          <span className="timing-badge listed">
+            🛒 listed {formatDuration(timing.forSaleDays)}
+          </span>
+          {timing.soldDays !== null && (
+            <span className="timing-badge in-progress">
+              🔧 in progress {formatDuration(timing.soldDays)}
+            </span>
+          )}
+        </div>
+      )}
+
+      {(canBuy || canReturn || canEdit || actionError) && (
+        <div className="issue-actions">
+          {canBuy && (
+            <button
+              className="issue-action-button buy"
+              onClick={() => runAction('buy')}
+              disabled={!!pendingAction}
+              title="Assign this issue to yourself in GitLab"
+            >
+              {pendingAction === 'buy' ? '⏳ Buying…' : '🛒 Buy'}
+            </button>
+          )}
+          {canReturn && (
+            <button
+              className="issue-action-button"
+              onClick={() => runAction('return')}
+              disabled={!!pendingAction}
+              title="Unassign yourself from this issue in GitLab"
+            >
+              {pendingAction === 'return' ? '⏳ Returning…' : '↩️ Return'}
+            </button>
+          )}
+          {canEdit && (
+            <button
+              className={`issue-action-button ${editingLabels ? 'active' : ''}`}
+              onClick={() => setEditingLabels(!editingLabels)}
+              title="Add and remove labels in GitLab"
+            >
+              🏷️ Labels
+            </button>
+          )}
+          {pendingAction === 'labels' && <span className="issue-action-status">⏳ Saving…</span>}
+          {actionError && (
+            <span className="issue-action-error" role="alert">{actionError}</span>
+          )}
+        </div>
+      )}
+
+      {editingLabels && canEdit && (
+        <LabelEditor
+          issue={issue}
+          priorityLabel={priorityLabel}
+          severityScope={severityScope}
+          disabled={!!pendingAction}
+          onChange={changeLabels}
+        />
+      )}
 
       {issue.labels && issue.labels.length > 0 && (
         <div className="issue-labels">
@@ -69,10 +241,21 @@ function IssueCard({ issue, priorityLabel }) {
               key={index}
               className={`label ${
                 label === priorityLabel ? 'priority' : 
-                label === 'emporium' ? 'emporium' : ''
+                label === (emporiumLabel || 'emporium') ? 'emporium' : ''
               }`}
             >
               {label}
+              {editingLabels && canEdit && (
+                <button
+                  className="label-remove"
+                  onClick={() => changeLabels([], [label])}
+                  disabled={!!pendingAction}
+                  title={label === emporiumLabel ? 'Remove the label (takes the issue off the Emporium)' : `Remove ${label}`}
+                  aria-label={`Remove ${label}`}
+                >
+                  ×
+                </button>
+              )}
             </span>
           ))}
         </div>
@@ -0,0 +1,22 @@
+// React import not needed with JSX Transform
+
+function IssueQueryBanner({ query, onClear }) {
+  const entries = Object.entries(query);
+  if (entries.length === 0) return null;
+
+  return (
+    <div className="issue-query-banner" role="status">
+      <strong>🔎 Filtered view</strong>
+      {entries.map(([name, value]) => (
+        <span key={name} className="issue-query-chip">
+          {name.replace(/_/g, ' ')}: {value}
+        </span>
+      ))}
+      <button className="issue-query-clear" onClick={onClear}>
+        ✕ Clear filters
+      </button>
+    </div>
+  );
+}
+
+export default IssueQueryBanner;
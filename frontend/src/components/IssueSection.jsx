@@ -1,7 +1,35 @@
-// React import not needed with JSX Transform
+import { useState } from 'react';
 import IssueCard from './IssueCard';
+import BulkTriageBar from './BulkTriageBar';
+import { itemKey } from '../utils/sourceFilter';
+import { slaFlagsOf } from '../utils/slaFilter';
+import { canChangeIssue } from '../utils/issueActions';
+import { toggleSelection } from '../utils/selection';
+
+function IssueSection({
+  title, issues, category, className, priorityLabel, emporiumLabel, severityScope, showSource, timings, slaFlags, session,
+  onIssueChange, onBulkFinished
+}) {
+  const [selecting, setSelecting] = useState(false);
+  const [selectedKeys, setSelectedKeys] = useState(() => new Set());
+  const [anchor, setAnchor] = useState(null);
+
+  const canSelect = (session?.writableSources || []).length > 0;
+  const selectableKeys = issues.filter(issue => canChangeIssue(session, issue)).map(itemKey);
+  // Issues that left the section (or stopped being changeable) drop out of the selection
+  const selected = issues.filter(issue => selectedKeys.has(itemKey(issue)) && selectableKeys.includes(itemKey(issue)));
+
+  const select = (key, range) => {
+    setSelectedKeys(current => toggleSelection(selectableKeys, current, key, { anchor, range }));
+    setAnchor(key);
+  };
+
+  const stopSelecting = () => {
+    setSelecting(false);
+    setSelectedKeys(new Set());
+    setAnchor(null);
+  };
 
-function IssueSection({ title, issues, className, priorityLabel }) {
   return (
     <div className={`section ${className}`}>
       <div className="section-header">
@@ -16,7 +44,24 @@ function IssueSection({ title, issues, className, priorityLabel }) {
         }}>
           {issues.length}
         </span>
+        {canSelect && !selecting && issues.length > 0 && (
+          <button className="issue-action-button section-select" onClick={() => setSelecting(true)}>
+            ☑️ Select
+          </button>
+        )}
       </div>
+
+      {selecting && (
+        <BulkTriageBar
+          issues={issues}
+          selected={selected}
+          session={session}
+          onSelectAll={() => setSelectedKeys(new Set(selectableKeys))}
+          onSelectNone={() => setSelectedKeys(new Set())}
+          onDone={stopSelecting}
+          onFinish={onBulkFinished}
+        />
+      )}
       
       <div className="issue-list">
         {issues.length === 0 ? (
@@ -26,9 +71,20 @@ function IssueSection({ title, issues, className, priorityLabel }) {
         ) : (
           issues.map((issue) => (
             <IssueCard 
-              key={issue.id} 
+              key={itemKey(issue)} 
               issue={issue} 
+              category={category}
               priorityLabel={priorityLabel}
+              emporiumLabel={emporiumLabel}
+              severityScope={severityScope}
+              showSource={showSource}
+              timing={timings?.[itemKey(issue)]}
+              slaFlags={slaFlagsOf(slaFlags, issue)}
+              session={session}
+              onIssueChange={onIssueChange}
+              selectable={selecting && selectableKeys.includes(itemKey(issue))}
+              selected={selecting && selectedKeys.has(itemKey(issue))}
+              onSelect={(range) => select(itemKey(issue), range)}
             />
           ))
         )}
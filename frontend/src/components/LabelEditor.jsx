@@ -0,0 +1,89 @@
+import { useState } from 'react';
+import useServerData from '../hooks/useServerData';
+
+/**
+ * Label controls for an issue card: toggle the priority label, pick a scoped severity
+ * label (`<severityScope>::...`, only one at a time) and add any of the project's labels.
+ * Removing single labels is done on the card's label chips. Every change is handed to
+ * `onChange(add, remove)`; `disabled` is set while one is being saved.
+ */
+function LabelEditor({ issue, priorityLabel, severityScope, disabled, onChange }) {
+  const [newLabel, setNewLabel] = useState('');
+  const { data, error } = useServerData(
+    `/api/projects/${encodeURIComponent(issue.source || 'default')}/${issue.project_id}/labels`
+  );
+
+  const labels = issue.labels || [];
+  const projectLabels = (data?.labels || []).map(label => label.name);
+  const severityPrefix = severityScope ? `${severityScope}::` : null;
+  const isSeverity = (label) => !!severityPrefix && label.startsWith(severityPrefix);
+  const severities = projectLabels.filter(isSeverity);
+  const currentSeverities = labels.filter(isSeverity);
+  const hasPriority = !!priorityLabel && labels.includes(priorityLabel);
+
+  const setSeverity = (severity) => {
+    const remove = currentSeverities.filter(label => label !== severity);
+    const add = severity && !labels.includes(severity) ? [severity] : [];
+    if (add.length > 0 || remove.length > 0) onChange(add, remove);
+  };
+
+  const addLabel = (event) => {
+    event.preventDefault();
+    const label = newLabel.trim();
+    if (!label || labels.includes(label)) return;
+    // Scoped labels replace the others in their scope, as in GitLab
+    const scope = label.includes('::') ? label.slice(0, label.lastIndexOf('::') + 2) : null;
+    onChange([label], scope ? labels.filter(other => other.startsWith(scope)) : []);
+    setNewLabel('');
+  };
+
+  return (
+    <div className="label-editor">
+      {priorityLabel && (
+        <button
+          className={`issue-action-button ${hasPriority ? '' : 'priority'}`}
+          onClick={() => onChange(hasPriority ? [] : [priorityLabel], hasPriority ? [priorityLabel] : [])}
+          disabled={disabled}
+        >
+          {hasPriority ? '🔥 Remove priority' : '🔥 Mark priority'}
+        </button>
+      )}
+      {severities.length > 0 && (
+        <select
+          className="label-editor-select"
+          value={currentSeverities[0] || ''}
+          onChange={(event) => setSeverity(event.target.value)}
+          disabled={disabled}
+          title="Severity"
+        >
+          <option value="">No {severityScope}</option>
+          {severities.map(severity => (
+            <option key={severity} value={severity}>{severity}</option>
+          ))}
+        </select>
+      )}
+      <form className="label-editor-add" onSubmit={addLabel}>
+        <input
+          type="text"
+          value={newLabel}
+          onChange={(event) => setNewLabel(event.target.value)}
+          list={`labels-${issue.source}-${issue.id}`}
+          placeholder="Add label…"
+          aria-label="Label to add"
+          disabled={disabled}
+        />
+        <datalist id={`labels-${issue.source}-${issue.id}`}>
+          {projectLabels.filter(label => !labels.includes(label)).map(label => (
+            <option key={label} value={label} />
+          ))}
+        </datalist>
+        <button className="issue-action-button" type="submit" disabled={disabled || !newLabel.trim()}>
+          Add
+        </button>
+      </form>
+      {error && <span className="issue-action-error">Project labels unavailable</span>}
+    </div>
+  );
+}
+
+export default LabelEditor;
@@ -1,6 +1,9 @@
 import { useState, useMemo, useEffect } from 'react';
 import LoadingSpinner from './LoadingSpinner';
 import ErrorMessage from './ErrorMessage';
+import PartialDataBanner from './PartialDataBanner';
+import ExportButtons from './ExportButtons';
+import { itemKey } from '../utils/sourceFilter';
 
 /**
  * MR Medic Component
@@ -18,8 +21,10 @@ import ErrorMessage from './ErrorMessage';
  * - Review app link (if available)
  * - Draft status
  * - GitLab project name
+ *
+ * The filtered list can be downloaded as CSV, Markdown or JSON.
  */
-function MRMedic({ mergeRequests, loading, error, onRefresh }) {
+function MRMedic({ mergeRequests, source, showSource, loading, error, onRefresh }) {
   const [filters, setFilters] = useState({
     draftStatus: 'all', // 'all', 'draft', 'ready'
     assignees: [], // Array of selected assignees
@@ -276,6 +281,8 @@ function MRMedic({ mergeRequests, loading, error, onRefresh }) {
         </div>
       </div>
 
+      <PartialDataBanner data={mergeRequests} />
+
       {/* Stats */}
       <div className="stats">
         <div className="stat-card">
@@ -561,6 +568,18 @@ function MRMedic({ mergeRequests, loading, error, onRefresh }) {
       {/* Results count */}
       <div className="results-info">
         Showing {filteredMergeRequests.length} of {totalMRs} merge requests
+        <ExportButtons
+          path="/api/merge-requests/export"
+          params={{
+            draft: filters.draftStatus !== 'all' ? filters.draftStatus : undefined,
+            approval: filters.approvalStatus !== 'all' ? filters.approvalStatus : undefined,
+            assignee: filters.assignees.join(','),
+            author: filters.authors.join(','),
+            project: filters.projects.join(','),
+            sort: filters.sortBy,
+            source
+          }}
+        />
       </div>
 
       {/* Merge Requests List */}
@@ -571,7 +590,7 @@ function MRMedic({ mergeRequests, loading, error, onRefresh }) {
           </div>
         ) : (
           filteredMergeRequests.map(mr => (
-            <div key={mr.id} className="merge-request-card">
+            <div key={itemKey(mr)} className="merge-request-card" data-card-key={itemKey(mr)}>
               <div className="mr-header">
                 <div className="mr-title">
                   <a 
@@ -594,6 +613,11 @@ function MRMedic({ mergeRequests, loading, error, onRefresh }) {
                 <div className="mr-main-content">
                   <div className="mr-meta">
                   <div className="mr-project">
+                    {showSource && mr.source_name && (
+                      <span className="source-badge" title={`GitLab source: ${mr.source_name}`}>
+                        {mr.source_name}
+                      </span>
+                    )}
                     <span className="project-path" title={mr.project_namespace}>
                       {mr.project_path}
                     </span>
@@ -0,0 +1,23 @@
+// React import not needed with JSX Transform
+
+function PartialDataBanner({ data }) {
+  if (!data?.partial) return null;
+
+  const warnings = data.warnings || [];
+
+  return (
+    <div className="partial-data-banner" role="status">
+      <strong>⚠️ Incomplete data</strong>
+      <span> Some results could not be loaded from GitLab, so this page may be missing items.</span>
+      {warnings.length > 0 && (
+        <ul className="partial-data-warnings">
+          {warnings.map((warning, index) => (
+            <li key={index}>{warning}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default PartialDataBanner;
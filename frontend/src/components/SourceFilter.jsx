@@ -0,0 +1,22 @@
+// React import not needed with JSX Transform
+
+function SourceFilter({ sources, value, onChange }) {
+  // Only useful when more than one GitLab source is configured
+  if (!sources || sources.length < 2) return null;
+
+  return (
+    <label className="source-filter">
+      <span>Source</span>
+      <select value={value} onChange={(e) => onChange(e.target.value)}>
+        <option value="">All sources</option>
+        {sources.map(source => (
+          <option key={source.id} value={source.id}>
+            {source.name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default SourceFilter;
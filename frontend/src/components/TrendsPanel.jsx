@@ -0,0 +1,182 @@
+import { useState } from 'react';
+import useServerData from '../hooks/useServerData';
+
+const WINDOWS = [30, 90, 180, 365];
+
+const WIDTH = 600;
+const HEIGHT = 200;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 36 };
+
+// Map day indexes and counts to SVG coordinates
+function makeScales(count, maxValue) {
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const top = Math.max(maxValue, 1);
+  return {
+    x: (index) => PADDING.left + (count > 1 ? (index / (count - 1)) * plotWidth : plotWidth / 2),
+    y: (value) => PADDING.top + plotHeight - (Math.max(value, 0) / top) * plotHeight,
+    top
+  };
+}
+
+const toPath = (coordinates) => coordinates.map(([x, y], index) => `${index === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+
+// Filled band between two series
+function areaPath(points, scales, lower, upper) {
+  const top = points.map((point, index) => [scales.x(index), scales.y(upper(point))]);
+  const bottom = points.map((point, index) => [scales.x(index), scales.y(lower(point))]).reverse();
+  return `${toPath([...top, ...bottom])} Z`;
+}
+
+function ChartAxes({ points, scales }) {
+  const labelIndexes = [...new Set([0, Math.floor((points.length - 1) / 2), points.length - 1])];
+  return (
+    <g className="trends-axes">
+      <line x1={PADDING.left} y1={scales.y(0)} x2={WIDTH - PADDING.right} y2={scales.y(0)} />
+      <text x={PADDING.left - 6} y={scales.y(0)} textAnchor="end" dominantBaseline="middle">0</text>
+      <text x={PADDING.left - 6} y={scales.y(scales.top)} textAnchor="end" dominantBaseline="middle">{scales.top}</text>
+      {labelIndexes.map(index => (
+        <text key={index} x={scales.x(index)} y={HEIGHT - 6} textAnchor="middle">
+          {points[index].date.slice(5)}
+        </text>
+      ))}
+    </g>
+  );
+}
+
+// Invisible day columns so hovering shows that day's numbers
+function DayTooltips({ points, scales, describe }) {
+  const step = points.length > 1 ? scales.x(1) - scales.x(0) : WIDTH;
+  return points.map((point, index) => (
+    <rect
+      key={point.date}
+      className="trends-hover"
+      x={scales.x(index) - step / 2}
+      y={PADDING.top}
+      width={step}
+      height={HEIGHT - PADDING.top - PADDING.bottom}
+    >
+      <title>{`${point.date}: ${describe(point)}`}</title>
+    </rect>
+  ));
+}
+
+function CumulativeFlowChart({ points }) {
+  const scales = makeScales(points.length, Math.max(...points.map(point => point.listed)));
+  return (
+    <svg className="trends-chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Cumulative flow of Emporium issues">
+      <path className="trends-area delivered" d={areaPath(points, scales, () => 0, point => point.delivered)} />
+      <path className="trends-area open" d={areaPath(points, scales, point => point.delivered, point => point.listed)} />
+      <ChartAxes points={points} scales={scales} />
+      <DayTooltips points={points} scales={scales} describe={point => `${point.open} open, ${point.delivered} delivered`} />
+    </svg>
+  );
+}
+
+function BurndownChart({ points, trend }) {
+  const scales = makeScales(points.length, Math.max(...points.map(point => point.open), trend.start, trend.end));
+  const last = points.length - 1;
+  return (
+    <svg className="trends-chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Burndown of open Emporium issues">
+      <path className="trends-line" d={toPath(points.map((point, index) => [scales.x(index), scales.y(point.open)]))} />
+      <line
+        className={`trends-fit ${trend.direction}`}
+        x1={scales.x(0)}
+        y1={scales.y(trend.start)}
+        x2={scales.x(last)}
+        y2={scales.y(trend.end)}
+      />
+      <ChartAxes points={points} scales={scales} />
+      <DayTooltips points={points} scales={scales} describe={point => `${point.open} open (+${point.added} / -${point.closed})`} />
+    </svg>
+  );
+}
+
+const TREND_TEXT = {
+  shrinking: '📉 Backlog shrinking',
+  growing: '📈 Backlog growing',
+  flat: '➡️ Backlog steady'
+};
+
+function TrendsPanel({ source, refreshKey }) {
+  const [expanded, setExpanded] = useState(() => {
+    const saved = localStorage.getItem('showTrends');
+    return saved ? JSON.parse(saved) : false;
+  });
+  const [days, setDays] = useState(90);
+  const { data: trends, loading, error } = useServerData('/api/issues/trends', {
+    enabled: expanded,
+    params: { days, source: source || undefined },
+    refreshKey
+  });
+
+  const toggle = () => {
+    localStorage.setItem('showTrends', JSON.stringify(!expanded));
+    setExpanded(!expanded);
+  };
+
+  const summary = trends?.summary;
+  const points = trends?.points || [];
+
+  return (
+    <div className="trends-panel">
+      <div className="trends-header">
+        <button className="trends-toggle" onClick={toggle} aria-expanded={expanded}>
+          {expanded ? '▾' : '▸'} 📊 Trends
+        </button>
+        {expanded && (
+          <label className="trends-window">
+            <span>Window</span>
+            <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+              {WINDOWS.map(windowDays => (
+                <option key={windowDays} value={windowDays}>Last {windowDays} days</option>
+              ))}
+            </select>
+          </label>
+        )}
+        {expanded && loading && <span className="trends-loading">Loading…</span>}
+      </div>
+
+      {expanded && error && <div className="trends-error">⚠️ {error}</div>}
+
+      {expanded && trends && points.length > 0 && (
+        <>
+          <div className="trends-summary">
+            <span className={`trends-direction ${trends.trend.direction}`}>
+              {TREND_TEXT[trends.trend.direction]}
+              {trends.trend.direction !== 'flat' && ` (${trends.trend.perWeek > 0 ? '+' : ''}${trends.trend.perWeek}/week)`}
+            </span>
+            <span>Open: {summary.startOpen} → {summary.endOpen}</span>
+            <span>➕ {summary.added} listed</span>
+            <span>✅ {summary.closed} delivered</span>
+          </div>
+          {trends.partial && trends.warnings.length > 0 && (
+            <div className="trends-note" title={trends.warnings.join('\n')}>
+              ⚠️ Some data was missing, so these trends are approximate (hover for details).
+            </div>
+          )}
+          <div className="trends-charts">
+            <figure>
+              <figcaption>Cumulative flow</figcaption>
+              <CumulativeFlowChart points={points} />
+              <div className="trends-legend">
+                <span className="swatch open" /> Open
+                <span className="swatch delivered" /> Delivered
+              </div>
+            </figure>
+            <figure>
+              <figcaption>Burndown of open issues</figcaption>
+              <BurndownChart points={points} trend={trends.trend} />
+              <div className="trends-legend">
+                <span className="swatch line" /> Open
+                <span className="swatch fit" /> Trend
+              </div>
+            </figure>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TrendsPanel;
@@ -0,0 +1,83 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import { actionErrorMessage } from '../utils/issueActions';
+
+const POLL_INTERVAL = 1000;
+
+/**
+ * A bulk triage job on the server (POST /api/issues/bulk), polled until it finishes.
+ *
+ * Returns { job, error, starting, start(issues, action), retryFailures(), clear() }.
+ * `job.results` has each issue's status ('pending', 'succeeded' or 'failed', with the
+ * error). retryFailures() starts a new job for the issues that failed. `onFinish(job)`
+ * is called once a job is done.
+ */
+function useBulkJob({ onFinish } = {}) {
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState(null);
+  const [starting, setStarting] = useState(false);
+  const finished = useRef(onFinish);
+
+  useEffect(() => {
+    finished.current = onFinish;
+  });
+
+  const submit = useCallback(async (request) => {
+    setStarting(true);
+    setError(null);
+    try {
+      const response = await request();
+      setJob(response.data.job);
+    } catch (err) {
+      console.error('Failed to start bulk job:', err);
+      setError(actionErrorMessage(err));
+    } finally {
+      setStarting(false);
+    }
+  }, []);
+
+  const start = useCallback((issues, action) => submit(() => axios.post('/api/issues/bulk', {
+    issues: issues.map(issue => ({ source: issue.source || 'default', projectId: issue.project_id, iid: issue.iid })),
+    action
+  })), [submit]);
+
+  const retryFailures = useCallback(() => {
+    if (job) submit(() => axios.post(`/api/issues/bulk/${job.id}/retry`));
+  }, [job, submit]);
+
+  const clear = useCallback(() => {
+    setJob(null);
+    setError(null);
+  }, []);
+
+  const jobId = job?.id;
+  const running = job?.status === 'running';
+  useEffect(() => {
+    if (!jobId || !running) return undefined;
+
+    let cancelled = false;
+    const timer = setInterval(async () => {
+      try {
+        const response = await axios.get(`/api/issues/bulk/${jobId}`);
+        if (cancelled) return;
+        setJob(response.data.job);
+        if (response.data.job.status !== 'running') finished.current?.(response.data.job);
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Failed to check bulk job:', err);
+        setError(actionErrorMessage(err));
+        // The job is gone (or the login is); stop asking
+        setJob(current => (current ? { ...current, status: 'unknown' } : current));
+      }
+    }, POLL_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [jobId, running]);
+
+  return { job, error, starting, start, retryFailures, clear };
+}
+
+export default useBulkJob;
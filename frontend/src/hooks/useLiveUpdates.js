@@ -0,0 +1,80 @@
+import { useEffect, useRef, useState } from 'react';
+
+const INITIAL_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30 * 1000;
+
+/**
+ * Subscribe to the server's /api/events stream.
+ *
+ * Calls onDatasetChange(name, update) whenever a board dataset changes on the server,
+ * and onReconnect() when the connection comes back after a drop (changes may have been
+ * missed in between). Reconnects with exponential backoff and jitter, so a room full of
+ * wall-mounted boards doesn't reconnect all at once after a server restart.
+ *
+ * Returns the connection status: 'connecting', 'live', 'reconnecting' or 'unsupported'.
+ */
+function useLiveUpdates({ onDatasetChange, onReconnect }) {
+  const [status, setStatus] = useState('connecting');
+  const handlers = useRef({ onDatasetChange, onReconnect });
+
+  useEffect(() => {
+    handlers.current = { onDatasetChange, onReconnect };
+  });
+
+  useEffect(() => {
+    if (typeof EventSource === 'undefined') {
+      setStatus('unsupported');
+      return undefined;
+    }
+
+    let eventSource = null;
+    let retryTimer = null;
+    let retryDelay = INITIAL_RETRY_DELAY;
+    let connectedBefore = false;
+    let stopped = false;
+
+    const connect = () => {
+      eventSource = new EventSource('/api/events');
+
+      eventSource.addEventListener('open', () => {
+        setStatus('live');
+        retryDelay = INITIAL_RETRY_DELAY;
+        if (connectedBefore) {
+          handlers.current.onReconnect?.();
+        }
+        connectedBefore = true;
+      });
+
+      eventSource.addEventListener('dataset', (event) => {
+        try {
+          const update = JSON.parse(event.data);
+          handlers.current.onDatasetChange?.(update.name, update);
+        } catch (error) {
+          console.error('Invalid live update:', error);
+        }
+      });
+
+      eventSource.addEventListener('error', () => {
+        // Take over from EventSource's fixed retry so we can back off
+        eventSource.close();
+        if (stopped) return;
+        setStatus('reconnecting');
+        const jitter = 0.5 + Math.random() / 2;
+        retryTimer = setTimeout(connect, retryDelay * jitter);
+        retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+      });
+    };
+
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      if (eventSource) eventSource.close();
+    };
+  }, []);
+
+  return status;
+}
+
+export default useLiveUpdates;
@@ -0,0 +1,50 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+
+/**
+ * Fetch a JSON resource that is derived from a board dataset (trends, timings, SLAs).
+ *
+ * Nothing is fetched while `enabled` is false. `params` are sent as the query string,
+ * and changing them or `refreshKey` (e.g. the refreshedAt of the dataset it comes from)
+ * fetches again. The previous data is kept while reloading, so what depends on it
+ * doesn't flicker.
+ *
+ * Returns { data, loading, error }.
+ */
+function useServerData(url, { enabled = true, params = {}, refreshKey } = {}) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Compare params by value so callers can pass a new object on every render
+  const query = JSON.stringify(params);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    let cancelled = false;
+    setLoading(true);
+
+    axios.get(url, { params: JSON.parse(query) })
+      .then(response => {
+        if (cancelled) return;
+        setData(response.data);
+        setError(null);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error(`Error fetching ${url}:`, err);
+        setError(err.response?.data?.error || `Failed to fetch ${url}`);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [url, enabled, query, refreshKey]);
+
+  return { data, loading, error };
+}
+
+export default useServerData;
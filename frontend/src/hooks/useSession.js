@@ -0,0 +1,64 @@
+import { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+
+/**
+ * The login session from /api/auth/session.
+ *
+ * Returns { loading, enabled, provider, user, admin, writableSources, feedToken, logOut }. `enabled`
+ * is false when the server doesn't require logins. When it does, an UNAUTHENTICATED 401
+ * from any API call means the session has ended, and `user` goes back to null. `admin`
+ * is true for users allowed to use the admin routes (cache, diagnostics).
+ * `writableSources` are the IDs of the GitLab sources the user can change issues on.
+ * `feedToken` goes in feed URLs, so feed readers can fetch them without a login.
+ */
+function useSession() {
+  const [session, setSession] = useState({
+    loading: true, enabled: false, provider: null, user: null, admin: false, writableSources: [], feedToken: null
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    axios.get('/api/auth/session')
+      .then(response => {
+        if (cancelled) return;
+        const { enabled, provider, user, admin, writableSources, feedToken } = response.data;
+        setSession({
+          loading: false, enabled, provider, user, admin: !!admin, writableSources: writableSources || [], feedToken: feedToken || null
+        });
+      })
+      .catch(err => {
+        console.error('Error fetching the login session:', err);
+        // Older servers have no login support; show the app as before
+        if (!cancelled) setSession(current => ({ ...current, loading: false }));
+      });
+
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      error => {
+        if (error.response?.status === 401 && error.response.data?.code === 'UNAUTHENTICATED') {
+          setSession(current => ({ ...current, user: null, admin: false, writableSources: [], feedToken: null }));
+        }
+        return Promise.reject(error);
+      }
+    );
+
+    return () => {
+      cancelled = true;
+      axios.interceptors.response.eject(interceptor);
+    };
+  }, []);
+
+  const logOut = useCallback(async () => {
+    try {
+      await axios.post('/auth/logout');
+    } catch (error) {
+      console.error('Failed to log out:', error);
+    }
+    setSession(current => ({ ...current, user: null, admin: false, writableSources: [], feedToken: null }));
+  }, []);
+
+  return { ...session, logOut };
+}
+
+export default useSession;
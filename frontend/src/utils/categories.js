@@ -0,0 +1,8 @@
+// The Emporium's sections are the categories the server declares (emporium.categories).
+// Their camelCase ids are kebab-cased for class names and anchors: forSale → for-sale,
+// #for-sale-section.
+
+export const categoryClassName = (category) =>
+  category.id.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+
+export const categorySectionId = (category) => `${categoryClassName(category)}-section`;
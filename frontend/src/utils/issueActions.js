@@ -0,0 +1,40 @@
+// Changing Emporium issues from the board (buying, returning, editing labels). Changes
+// are made in GitLab with the user's own login, so they're only offered on sources the
+// login works on (the session's writableSources).
+
+import { itemKey } from './sourceFilter';
+
+// The API path of an issue's actions, e.g. /api/issues/default/7/12
+export const issueApiPath = (issue) =>
+  `/api/issues/${encodeURIComponent(issue.source || 'default')}/${issue.project_id}/${issue.iid}`;
+
+export const canChangeIssue = (session, issue) =>
+  !!session?.user && (session.writableSources || []).includes(issue.source || 'default');
+
+// Whether the logged-in user is one of the issue's assignees (and can return it)
+export const isBoughtBy = (user, issue) =>
+  !!user && (issue.assignees || []).some(assignee => String(assignee.id) === user.id);
+
+// What to show when an action failed: the server's error and, when given, its details
+export function actionErrorMessage(error) {
+  const data = error.response?.data;
+  if (!data?.error) return error.message || 'Something went wrong';
+  return data.details ? `${data.error}: ${data.details}` : data.error;
+}
+
+// The issue's labels after adding `add` and removing `remove`, as GitLab will have them
+export const labelsAfter = (labels, add, remove) => [
+  ...labels.filter(label => !remove.includes(label)),
+  ...add.filter(label => !labels.includes(label))
+];
+
+// The issues dataset with `changed` in place of the issue it is a new version of
+export function replaceIssue(issues, changed) {
+  if (!issues?.issues) return issues;
+
+  const categorized = {};
+  Object.entries(issues.issues).forEach(([category, list]) => {
+    categorized[category] = list.map(issue => (itemKey(issue) === itemKey(changed) ? changed : issue));
+  });
+  return { ...issues, issues: categorized };
+}
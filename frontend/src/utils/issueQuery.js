@@ -0,0 +1,24 @@
+// Server-side /api/issues filters carried in the page URL, so filtered Emporium views
+// can be linked to (e.g. /?page=emporium&assignee=none&labels=backend).
+// `source` is left out: the source filter works client-side on every page.
+
+export const ISSUE_QUERY_PARAMS = [
+  'project', 'assignee', 'labels', 'not_labels', 'milestone', 'search',
+  'created_after', 'created_before', 'closed_after', 'closed_before', 'category',
+  'limit', 'offset'
+];
+
+export function readIssueQuery(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const query = {};
+  ISSUE_QUERY_PARAMS.forEach(name => {
+    if (params.has(name)) query[name] = params.get(name);
+  });
+  return query;
+}
+
+// Replace the issue filters in a URL's search params with `query`
+export function writeIssueQuery(searchParams, query) {
+  ISSUE_QUERY_PARAMS.forEach(name => searchParams.delete(name));
+  Object.entries(query).forEach(([name, value]) => searchParams.set(name, value));
+}
@@ -0,0 +1,17 @@
+// Checkbox selection with shift-click ranges, as in file managers and GitLab's lists.
+
+// The selection after clicking the item `key`. With `range` (shift held) every item
+// between the previous click (`anchor`) and this one gets the clicked item's new state.
+// `keys` are all items in display order.
+export function toggleSelection(keys, selected, key, { anchor, range = false } = {}) {
+  const next = new Set(selected);
+  const checked = !selected.has(key);
+  const from = keys.indexOf(anchor);
+  const to = keys.indexOf(key);
+
+  const affected = range && from !== -1 && to !== -1
+    ? keys.slice(Math.min(from, to), Math.max(from, to) + 1)
+    : [key];
+  affected.forEach(item => (checked ? next.add(item) : next.delete(item)));
+  return next;
+}
@@ -0,0 +1,23 @@
+// Client-side "Breached SLA" filter for the Emporium issues dataset.
+// `flagsByIssue` is /api/sla's `issues` map (itemKey => SLA flags).
+
+import { itemKey } from './sourceFilter';
+
+export const slaFlagsOf = (flagsByIssue, issue) => flagsByIssue?.[itemKey(issue)] || [];
+
+export function filterIssuesBySla(issues, flagsByIssue, enabled) {
+  if (!enabled || !issues?.issues) return issues;
+
+  const categorized = {};
+  Object.entries(issues.issues).forEach(([category, list]) => {
+    categorized[category] = list.filter(issue => slaFlagsOf(flagsByIssue, issue).length > 0);
+  });
+
+  return {
+    ...issues,
+    issues: categorized,
+    total: Object.values(categorized).reduce((sum, list) => sum + list.length, 0),
+    // The server's per-category counts no longer match the filtered lists
+    pagination: undefined
+  };
+}
@@ -0,0 +1,82 @@
+// Client-side filtering of the board datasets by GitLab source.
+// An empty source id means "all sources" and returns the dataset unchanged.
+
+export const itemKey = (item) => `${item.source || 'default'}:${item.id}`;
+
+const fromSource = (source) => (item) => item.source === source;
+
+export function filterIssuesBySource(issues, source) {
+  if (!source || !issues?.issues) return issues;
+
+  const categorized = {};
+  Object.entries(issues.issues).forEach(([category, list]) => {
+    categorized[category] = list.filter(fromSource(source));
+  });
+
+  return {
+    ...issues,
+    issues: categorized,
+    total: Object.values(categorized).reduce((sum, list) => sum + list.length, 0),
+    // The server's per-category counts no longer match the filtered lists
+    pagination: undefined
+  };
+}
+
+export function filterFeaturesBySource(features, source) {
+  if (!source || !features?.features) return features;
+
+  const active = features.features.active.filter(tree => tree.issue.source === source);
+  const complete = features.features.complete.filter(tree => tree.issue.source === source);
+
+  return {
+    ...features,
+    features: { active, complete },
+    total: active.length + complete.length
+  };
+}
+
+export function filterMergeRequestsBySource(mergeRequests, source) {
+  if (!source || !mergeRequests?.merge_requests) return mergeRequests;
+
+  const filtered = mergeRequests.merge_requests.filter(fromSource(source));
+  return {
+    ...mergeRequests,
+    merge_requests: filtered,
+    total: filtered.length
+  };
+}
+
+// The leaderboard is recomputed from the filtered team lists, with the same ordering as the server
+export function filterRaceBySource(race, source) {
+  if (!source || !race?.issuesByTeam) return race;
+
+  const issuesByTeam = {};
+  const raceIssues = new Set();
+  Object.entries(race.issuesByTeam).forEach(([team, lists]) => {
+    issuesByTeam[team] = {
+      open: lists.open.filter(fromSource(source)),
+      closed: lists.closed.filter(fromSource(source))
+    };
+    [...issuesByTeam[team].open, ...issuesByTeam[team].closed].forEach(issue => raceIssues.add(itemKey(issue)));
+  });
+
+  const leaderboard = Object.entries(issuesByTeam)
+    .map(([team, lists]) => ({
+      team,
+      closed: lists.closed.length,
+      total: lists.open.length + lists.closed.length,
+      remaining: lists.open.length
+    }))
+    .sort((a, b) => {
+      if (b.closed !== a.closed) return b.closed - a.closed;
+      if (a.total !== b.total) return a.total - b.total;
+      return a.team.localeCompare(b.team);
+    });
+
+  return {
+    ...race,
+    leaderboard,
+    issuesByTeam,
+    total: raceIssues.size
+  };
+}
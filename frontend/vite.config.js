@@ -10,6 +10,10 @@ export default defineConfig({
       '/api': {
         target: 'http://localhost:3001',
         changeOrigin: true
+      },
+      // Login redirects; the OAuth callback URL follows the Host the browser used
+      '/auth': {
+        target: 'http://localhost:3001'
       }
     }
   },